@@ -0,0 +1,115 @@
+const express = require('express')
+const router = express.Router()
+
+const auth = require('../models/auth')
+const codec = require('../models/codec')
+const dataset = require('../models/dataset')
+const changeRequests = require('../models/change-requests')
+const uri = require('encodeuricomponent-tag')
+const parse = require('../utility/parse-request-body')
+const createHttpError = require('http-errors')
+
+// add req.owner boolean for any routes with a :author param
+router.param('author', auth.ownerParam)
+
+// summarise a change request without the proposed record values
+function summary ({ records, ...request }) {
+  const counts = { pending: 0, accepted: 0, rejected: 0 }
+  for (const { status } of Object.values(records)) counts[status] += 1
+  return { ...request, counts }
+}
+
+// list change requests submitted to a dataset
+router.get('/datasets/:author\\::name/change-requests/', async (req, res) => {
+  if (!await dataset.exists(req.params.author, req.params.name)) throw createHttpError.NotFound('Dataset doesn\'t exist')
+  const list = []
+  for (const id of await changeRequests.list(req.params.author, req.params.name)) {
+    list.push(summary(await changeRequests.read(req.params.author, req.params.name, id)))
+  }
+
+  if (req.accepts('html')) {
+    res.sendVibe('change-request-list', `Change Requests for ${req.params.author}:${req.params.name}`, { list: list.reverse() })
+  } else {
+    codec.respond(req, res, list)
+  }
+})
+
+// form to propose changes from one of the logged in author's datasets
+router.all('/datasets/:author\\::name/change-requests/create', auth.required, parse.body(), async (req, res) => {
+  const state = { from: '', memo: '', ...req.query, ...req.body || {} }
+  let error = false
+  let changes = []
+
+  try {
+    if (state.from) {
+      const from = codec.path.decode(`${state.from}`.replace(/\/$/, ''))
+      if (!from || from.source !== 'datasets' || from.recordID !== undefined) {
+        throw createHttpError.BadRequest('from must be the path to one of your datasets, like /datasets/author:name')
+      }
+      if (from.author !== req.author) throw createHttpError.Forbidden('You can only propose changes from your own datasets')
+
+      if (req.method === 'PUT') {
+        const recordIDs = state.recordIDs === undefined ? undefined : [state.recordIDs].flat()
+        const id = await changeRequests.create(req.author, from.name, req.params.author, req.params.name, { memo: state.memo, recordIDs })
+        return res.redirect(303, uri`/datasets/${req.params.author}:${req.params.name}/change-requests/${id}`)
+      }
+
+      changes = await changeRequests.compare(from.author, from.name, req.params.author, req.params.name)
+    }
+  } catch (err) {
+    if (!req.accepts('html')) throw err
+    error = err.message
+  }
+
+  res.sendVibe('change-request-editor', 'Propose Changes', { ...state, changes }, error)
+})
+
+// view a change request, with each proposed record next to the target dataset's current version
+router.get('/datasets/:author\\::name/change-requests/:id', async (req, res) => {
+  const request = await changeRequests.read(req.params.author, req.params.name, req.params.id)
+
+  if (req.accepts('html')) {
+    const current = {}
+    for await (const { id, read } of dataset.iterate(req.params.author, req.params.name, { fastRead: true })) {
+      if (request.records[id]) current[id] = await read()
+    }
+    res.sendVibe('change-request', `Change Request #${request.id}`, { request, current })
+  } else {
+    codec.respond(req, res, request)
+  }
+})
+
+// review a change request, accepting or rejecting records
+router.post('/datasets/:author\\::name/change-requests/:id', auth.ownerRequired, parse.body(), async (req, res) => {
+  const request = await changeRequests.read(req.params.author, req.params.name, req.params.id)
+  const body = req.body || {}
+  const pending = Object.keys(request.records).filter(id => request.records[id].status === 'pending')
+  const decisions = {
+    accept: body.acceptAll ? pending : [body.accept || []].flat(),
+    reject: body.rejectAll ? pending : [body.reject || []].flat()
+  }
+
+  await changeRequests.review(req.params.author, req.params.name, request.id, decisions)
+
+  if (req.accepts('html')) {
+    res.redirect(303, uri`/datasets/${req.params.author}:${req.params.name}/change-requests/${request.id}`)
+  } else {
+    res.sendStatus(204)
+  }
+})
+
+// withdraw a change request, available to the author who submitted it and the dataset's owner
+router.delete('/datasets/:author\\::name/change-requests/:id', auth.required, async (req, res) => {
+  const request = await changeRequests.read(req.params.author, req.params.name, req.params.id)
+  if (!req.owner && req.author !== request.author) throw createHttpError.Forbidden('Only the submitter or the dataset owner can close this')
+
+  await changeRequests.close(req.params.author, req.params.name, request.id)
+
+  if (req.accepts('html')) {
+    res.redirect(303, uri`/datasets/${req.params.author}:${req.params.name}/change-requests/`)
+  } else {
+    res.sendStatus(204)
+  }
+})
+
+module.exports = router
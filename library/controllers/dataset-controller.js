@@ -9,6 +9,11 @@ const createError = require('http-errors')
 const multipartFiles = require('../utility/multipart-files')
 const autoImport = require('../utility/auto-import-attachments')
 const parse = require('../utility/parse-request-body')
+const conditional = require('../utility/conditional-request')
+const jsonPatch = require('../utility/json-patch')
+const paginate = require('../utility/paginate')
+const parseList = require('../utility/parse-list')
+const settings = require('../models/settings')
 const createHttpError = require('http-errors')
 
 // add req.owner boolean for any routes with a :author param
@@ -65,7 +70,11 @@ router.get('/datasets/:author\\::name/', async (req, res) => {
   const config = await dataset.readMeta(req.params.author, req.params.name)
 
   if (req.accepts('html')) {
-    res.sendVibe('dataset-index', `${req.params.author}’s “${req.params.name}” Dataset`, { config })
+    const page = paginate.options(req.query, settings.pageSize)
+    const recordIDs = paginate.page(Object.keys(config.records), { ...page, limit: page.limit + 1 })
+    const next = recordIDs.length > page.limit ? paginate.nextURL(req, recordIDs[page.limit - 1]) : undefined
+    const records = { recordIDs: recordIDs.slice(0, page.limit), next, ...page }
+    res.sendVibe('dataset-index', `${req.params.author}’s “${req.params.name}” Dataset`, { config, records })
   } else {
     codec.respond(req, res, {
       author: req.params.author,
@@ -75,9 +84,29 @@ router.get('/datasets/:author\\::name/', async (req, res) => {
   }
 })
 
+// copy a dataset in to the logged in author's account
+router.all('/datasets/:author\\::name/fork', auth.required, parse.body(), async (req, res) => {
+  const config = await dataset.readMeta(req.params.author, req.params.name)
+  if (!config) throw createHttpError.NotFound('Dataset doesn\'t exist')
+  const state = { name: req.params.name, memo: config.memo, ...req.body || {} }
+  let error = false
+
+  if (req.method === 'POST') {
+    try {
+      await dataset.fork(req.params.author, req.params.name, req.author, state.name, { memo: state.memo })
+      return res.redirect(303, uri`/datasets/${req.author}:${state.name}/`)
+    } catch (err) {
+      if (!req.accepts('html')) throw err
+      error = err.message
+    }
+  }
+
+  res.sendVibe('dataset-fork', `Fork ${req.params.author}’s “${req.params.name}”`, state, error)
+})
+
 // delete a dataset
 router.delete('/datasets/:author\\::name/', auth.ownerRequired, async (req, res) => {
-  await dataset.delete(req.params.author, req.params.name)
+  await dataset.delete(req.params.author, req.params.name, undefined, { ifVersion: conditional.ifVersion(req) })
 
   if (req.accepts('html')) {
     res.redirect(303, '/datasets/')
@@ -89,16 +118,40 @@ router.delete('/datasets/:author\\::name/', auth.ownerRequired, async (req, res)
 router.all('/datasets/:author\\::name/configuration', auth.ownerRequired, parse.body(), async (req, res) => {
   const config = await dataset.readMeta(req.params.author, req.params.name)
   let error = false
+  let schemaReport
 
   if (req.method === 'PUT') {
     try {
-      await dataset.updateMeta(req.params.author, req.params.name, meta => {
-        meta.memo = req.body.memo
-        return meta
-      })
-      if (req.accepts('html')) return res.redirect(303, uri`/datasets/${req.params.author}:${req.params.name}/`)
-      else return res.sendStatus(204)
+      // the html form sends the schema as json5 source text, empty text removes the schema
+      let schema = req.body.schema
+      if (typeof schema === 'string') schema = schema.trim() === '' ? undefined : codec.json.decode(schema)
+
+      const indexes = parseList(req.body.indexes)
+
+      if (req.body.dryRun || req.query.dryRun) {
+        // report which existing records would fail the schema, without saving anything
+        if (schema !== undefined) dataset.compileSchema(schema)
+        schemaReport = schema === undefined ? [] : await dataset.checkSchema(req.params.author, req.params.name, schema)
+        if (!req.accepts('html')) return codec.respond(req, res, schemaReport)
+      } else {
+        await dataset.updateMeta(req.params.author, req.params.name, async meta => {
+          meta.memo = req.body.memo
+          if ('schema' in req.body) {
+            if (schema === undefined) delete meta.schema
+            else meta.schema = schema
+          }
+          if (indexes !== undefined && JSON.stringify(indexes) !== JSON.stringify(meta.indexes || [])) {
+            if (indexes.length > 0) meta.indexes = indexes
+            else delete meta.indexes
+            await dataset.updateIndexes(req.params.author, req.params.name, meta)
+          }
+          return meta
+        }, { ifVersion: conditional.ifVersion(req) })
+        if (req.accepts('html')) return res.redirect(303, uri`/datasets/${req.params.author}:${req.params.name}/`)
+        else return res.sendStatus(204)
+      }
     } catch (err) {
+      if (err.status === 412 && !req.accepts('html')) throw err
       error = err.message
     }
   } else if (!['GET', 'HEAD'].includes(req.method)) {
@@ -108,8 +161,11 @@ router.all('/datasets/:author\\::name/configuration', auth.ownerRequired, parse.
   const state = {
     name: req.params.name,
     memo: config.memo,
+    schema: config.schema === undefined ? '' : codec.json.print(config.schema, 2),
+    indexes: (config.indexes || []).join('\n'),
     ...req.body || {},
-    create: false
+    create: false,
+    schemaReport
   }
 
   if (req.accepts('html')) {
@@ -123,6 +179,20 @@ router.all('/datasets/:author\\::name/configuration', auth.ownerRequired, parse.
   }
 })
 
+// restore the dataset's records to how they were at an earlier version
+router.post('/datasets/:author\\::name/rollback', auth.ownerRequired, parse.body(), async (req, res) => {
+  const version = parseInt(req.body && req.body.version)
+  if (isNaN(version)) throw createHttpError.BadRequest('version must be a number')
+
+  await dataset.rollback(req.params.author, req.params.name, version)
+
+  if (req.accepts('html')) {
+    res.redirect(303, uri`/datasets/${req.params.author}:${req.params.name}/`)
+  } else {
+    res.sendStatus(204)
+  }
+})
+
 // create a new record
 router.all('/datasets/:author\\::name/create-record', auth.ownerRequired, parse.body(), async (req, res) => {
   const title = `Creating a record inside ${req.params.author}:${req.params.name}`
@@ -138,7 +208,8 @@ router.all('/datasets/:author\\::name/create-record', auth.ownerRequired, parse.
     try {
       const path = codec.path.encode('datasets', req.params.author, req.params.name, req.body.recordID)
       const data = await autoImport(req, path, codec.json.decode(req.body.recordData))
-      await dataset.write(req.params.author, req.params.name, req.body.recordID, data)
+      // refuse to replace a record which already exists
+      await dataset.write(req.params.author, req.params.name, req.body.recordID, data, { ifHash: null })
       return res.redirect(303, path)
     } catch (err) {
       error = err.message
@@ -150,7 +221,12 @@ router.all('/datasets/:author\\::name/create-record', auth.ownerRequired, parse.
 router.all('/datasets/:author\\::name/records/', multipartFiles, async (req, res) => {
   if (req.method === 'GET' || req.method === 'HEAD') {
     const config = await dataset.readMeta(req.params.author, req.params.name)
-    const records = await dataset.list(req.params.author, req.params.name)
+    const { after, prefix, limit } = paginate.options(req.query)
+    const records = await dataset.list(req.params.author, req.params.name, { after, prefix, limit: limit + 1 })
+    if (records.length > limit) {
+      records.pop()
+      res.links({ next: paginate.nextURL(req, records[records.length - 1].id) })
+    }
     res.set('X-Version', config.version)
     res.set('ETag', `"${config.version}"`)
     codec.respond(req, res, Object.fromEntries(records.map(({ id, version, hash }) => [id, { version, hash }])))
@@ -184,63 +260,103 @@ router.all('/datasets/:author\\::name/records/', multipartFiles, async (req, res
       }
     }
 
-    await dataset.writeEntries(req.params.author, req.params.name, filesMode ? filesIter() : bodyIter(), { overwrite })
+    const ifVersion = conditional.ifVersion(req)
+    await dataset.writeEntries(req.params.author, req.params.name, filesMode ? filesIter() : bodyIter(), { overwrite, ifVersion })
 
     return res.sendStatus(204)
   }
 })
 
+// media types which can be used to PATCH records
+const acceptPatch = 'application/json-patch+json, application/merge-patch+json'
+
 // get a record from a author's dataset
 router.all('/datasets/:author\\::name/records/:recordID', multipartFiles, parse.body(), async (req, res, next) => {
   let error
+  let conflict
+
+  // the html record editor sends the hash of the version it loaded as a form field, api clients use If-Match headers
+  const ifHash = req.is('urlencoded') && req.body.ifMatch ? req.body.ifMatch : conditional.ifHash(req)
 
   if (req.method === 'PUT') {
-    if (!req.owner) next(createError.Unauthorized('You do not have write access to this dataset'))
+    if (!req.owner) return next(createError.Unauthorized('You do not have write access to this dataset'))
     try {
       if (req.is('urlencoded')) {
+        conflict = { recordData: req.body.recordData }
         req.body = codec.json.decode(req.body.recordData)
       }
 
       const data = await autoImport(req, codec.path.encode('datasets', req.params.author, req.params.name, req.params.recordID), req.body)
 
       // write record
-      await dataset.write(req.params.author, req.params.name, req.params.recordID, data)
+      await dataset.write(req.params.author, req.params.name, req.params.recordID, data, { ifHash })
 
       if (req.accepts('html')) {
         return res.redirect(303, uri`/datasets/${req.params.author}:${req.params.name}/records/${req.params.recordID}`)
       } else {
-        return req.sendStatus(204)
+        return res.sendStatus(204)
       }
     } catch (err) {
+      if (!req.accepts('html')) throw err
+      if (err.status === 412 && conflict) res.status(412)
+      else conflict = undefined
       error = err.message
     }
   } else if (req.method === 'DELETE') {
     if (!req.owner) return next(createError.Unauthorized('You do not have write access to this dataset'))
-    await dataset.delete(req.params.author, req.params.name, req.params.recordID)
+    await dataset.delete(req.params.author, req.params.name, req.params.recordID, { ifHash })
     if (req.accepts('html')) {
       return res.redirect(303, uri`/datasets/${req.params.author}:${req.params.name}/`)
     } else {
       return res.sendStatus(204)
     }
+  } else if (req.method === 'PATCH') {
+    if (!req.owner) return next(createError.Unauthorized('You do not have write access to this dataset'))
+    let patcher
+    if (req.is('application/json-patch+json')) {
+      patcher = (current) => jsonPatch.apply(current, req.body)
+    } else if (req.is('application/merge-patch+json')) {
+      patcher = (current) => jsonPatch.merge(current, req.body)
+    } else {
+      res.set('Accept-Patch', acceptPatch)
+      return next(createError.UnsupportedMediaType(`PATCH body must be one of ${acceptPatch}`))
+    }
+
+    await dataset.patch(req.params.author, req.params.name, req.params.recordID, patcher, { ifHash })
+    return res.sendStatus(204)
   }
 
-  const record = await dataset.read(req.params.author, req.params.name, req.params.recordID)
+  let record
+  const meta = await dataset.readMeta(req.params.author, req.params.name)
+  if (req.query.at !== undefined) {
+    const at = parseInt(req.query.at)
+    if (isNaN(at)) return next(createError.BadRequest('at query string parameter must be a version number'))
+    record = await dataset.readAt(req.params.author, req.params.name, req.params.recordID, at)
+  } else {
+    record = await dataset.read(req.params.author, req.params.name, req.params.recordID)
+  }
   if (!record) return next(createError.NotFound('Record Not Found'))
 
   if (req.accepts('html')) {
-    const sidebar = { recordIDs: Object.keys((await dataset.readMeta(req.params.author, req.params.name)).records) }
+    const sidebar = paginate.around(Object.keys(meta.records), req.params.recordID, settings.pageSize)
 
     const title = `${req.params.author}:${req.params.name}/${req.params.recordID}`
     if ((req.query.edit && req.owner) || req.method !== 'GET') {
+      const recordData = codec.json.print(record, '\t')
       res.sendVibe('dataset-record-editor', title, {
         sidebar,
         recordID: req.params.recordID,
-        recordData: codec.json.print(record, '\t')
+        recordHash: meta.records[req.params.recordID] && meta.records[req.params.recordID].hash,
+        recordData: conflict ? conflict.recordData : recordData,
+        conflict: conflict && { currentData: recordData }
       }, error)
     } else {
       res.sendVibe('record', title, { record, sidebar, path: { source: 'datasets', ...req.params } })
     }
   } else {
+    const recordMeta = meta.records[req.params.recordID]
+    if (req.query.at === undefined && recordMeta) res.set('ETag', `"${recordMeta.hash}"`)
+    res.set('Accept-Patch', acceptPatch)
     codec.respond(req, res, record)
   }
 })
@@ -129,6 +129,98 @@ router.get(`/:source(datasets|lenses)/:author\\::name/export/flat-file.:format($
   }
 })
 
+/**
+ * Changes feed, lists records which have been created, changed or deleted since a version of the dataset or lens
+ * ?since=(number) version number the client has already synced, defaults to 0, listing everything
+ * Responds with a list of changes, deletions are tombstones with a deleted: true property and no data. The X-Version
+ * header and the Link rel="next" header provide the cursor to use for the next request
+ */
+router.get('/:source(datasets|lenses)/:author\\::name/changes', async (req, res) => {
+  const since = req.query.since === undefined ? 0 : parseInt(req.query.since)
+  if (isNaN(since)) throw createHttpError.BadRequest('since must be a version number')
+
+  const source = readPath.getSource(req.params.source)
+  const { author, name } = req.params
+  if (!await source.exists(author, name)) throw createHttpError.NotFound('Data Not Found')
+
+  const { version } = await source.readMeta(author, name)
+  res.set('X-Version', version)
+  res.links({ next: `${uri`/${req.params.source}/${author}:${name}/changes`}?since=${version}` })
+
+  async function * changes () {
+    for await (const { id, version, hash, links, deleted, read } of source.iterateChanges(author, name, since)) {
+      if (deleted) {
+        yield { id, version, deleted }
+      } else {
+        yield { id, version, hash, links, data: await read() }
+      }
+    }
+  }
+
+  await codec.respond(req, res, changes())
+})
+
+/**
+ * Diff two versions of a dataset or lens, or compare it with another dataset or lens
+ * ?from=(number|path) version number, or data path of another dataset or lens, defaults to the previous version
+ * ?to=(number|path) version number, or data path of another dataset or lens, defaults to the current version
+ * ?values=true includes a JSON Patch for each differing record, describing how its value changed
+ * Responds with lists of added, removed, and changed recordIDs
+ */
+router.get('/:source(datasets|lenses)/:author\\::name/diff', async (req, res) => {
+  const source = readPath.getSource(req.params.source)
+  const { author, name } = req.params
+  if (!await source.exists(author, name)) throw createHttpError.NotFound('Data Not Found')
+
+  const option = (value) => typeof value === 'string' && value !== '' ? value : undefined
+  const values = req.accepts('html') || ['true', '1', 'on'].includes(req.query.values)
+  const diff = await source.diff(author, name, { from: option(req.query.from), to: option(req.query.to), values: !!values })
+
+  if (req.accepts('html')) {
+    res.sendVibe('collection-diff', `Compare ${author}:${name}`, { diff, from: option(req.query.from) || '', to: option(req.query.to) || '' })
+  } else {
+    await codec.respond(req, res, diff)
+  }
+})
+
+/**
+ * Query records using indexed fields
+ * ?where[field]=value only includes records whose indexed field matches, repeat to match any of several values
+ * ?sort=field sorts by an indexed field, prefix with - to sort descending
+ * ?limit=(number) maximum number of records to return
+ * field names are JSON Pointers, the leading / is optional
+ */
+router.get('/:source(datasets|lenses)/:author\\::name/query', async (req, res) => {
+  const source = readPath.getSource(req.params.source)
+  const { author, name } = req.params
+  if (!await source.exists(author, name)) throw createHttpError.NotFound('Data Not Found')
+
+  const pointer = (field) => `${field}`.startsWith('/') ? `${field}` : `/${field}`
+  const where = {}
+  if (req.query.where && typeof req.query.where === 'object') {
+    for (const [field, value] of Object.entries(req.query.where)) where[pointer(field)] = value
+  }
+  let sort
+  if (typeof req.query.sort === 'string') {
+    sort = req.query.sort.startsWith('-') ? `-${pointer(req.query.sort.slice(1))}` : pointer(req.query.sort)
+  }
+  const limit = req.query.limit === undefined ? Infinity : parseInt(req.query.limit)
+  if (isNaN(limit) || limit < 0) throw createHttpError.BadRequest('limit must be a positive number')
+
+  // check the query is valid before the response starts streaming
+  const results = source.query(author, name, { where, sort, limit })
+  const first = await results.next()
+
+  async function * records () {
+    for (let step = first; !step.done; step = await results.next()) {
+      const { id, version, hash, read } = step.value
+      yield { id, version, hash, data: await read() }
+    }
+  }
+
+  await codec.respond(req, res, records())
+})
+
 /**
  * export a dataset/viewport output as a zip file
  */
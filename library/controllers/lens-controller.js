@@ -4,8 +4,15 @@ const router = express.Router()
 const auth = require('../models/auth')
 const codec = require('../models/codec')
 const lens = require('../models/lens')
+const lensJobs = require('../models/lens-jobs')
+const lensBuilds = require('../models/lens-builds')
+const lensTests = require('../models/lens-tests')
 const uri = require('encodeuricomponent-tag')
 const parse = require('../utility/parse-request-body')
+const paginate = require('../utility/paginate')
+const parseList = require('../utility/parse-list')
+const settings = require('../models/settings')
+const createHttpError = require('http-errors')
 
 // add req.owner boolean for any routes with a :author param
 router.param('author', auth.ownerParam)
@@ -17,6 +24,78 @@ output(recordID, {
   lensed: true
 })`
 
+// optional lists, like indexes and lookups, are left out of the config when they're empty
+function parseOptionalList (field, value) {
+  const list = parseList(value) || []
+  return list.length > 0 ? { [field]: list } : {}
+}
+
+// reduce code is optional, blank code uses the default reduce rules
+function parseReduceCode (value) {
+  return typeof value === 'string' && value.trim() !== '' ? { reduceCode: value } : {}
+}
+
+// records which fail to map are skipped by default, or can abort the build
+function parseErrorPolicy (value) {
+  return value === 'abort' ? { errorPolicy: 'abort' } : {}
+}
+
+// settings sent from html forms as JSON text, or as values in JSON requests. Blank text is undefined
+function parseJSONText (field, value) {
+  if (typeof value !== 'string') return value
+  if (value.trim() === '') return undefined
+  try {
+    return JSON.parse(value)
+  } catch (err) {
+    throw createHttpError.BadRequest(`${field} must be valid JSON: ${err.message}`)
+  }
+}
+
+// tests are sent as an array, or from html forms as JSON text, blank text means the lens has no tests
+function parseTests (value) {
+  const tests = parseJSONText('tests', value)
+  if (tests === undefined || (Array.isArray(tests) && tests.length === 0)) return {}
+  return { tests }
+}
+
+// params are sent as an object, or from html forms as JSON text, blank text means the lens has no params
+function parseParams (value) {
+  const params = parseJSONText('params', value)
+  if (params === undefined || (params && typeof params === 'object' && Object.keys(params).length === 0)) return {}
+  return { params }
+}
+
+// checkbox asking for code to be refused if it fails its tests
+function parseRequireTestsPass (value) {
+  return [true, 'on', 'true'].includes(value) ? { requireTestsPass: true } : {}
+}
+
+// run a lens's tests, if it requires them to pass before it's saved, throwing if any fail
+// returns the results, to show in the lens editor
+async function checkTests (config) {
+  if (!config.requireTestsPass) return
+  const results = await lensTests.run(config)
+  if (!lensTests.passed(results)) {
+    throw Object.assign(createHttpError.BadRequest('Lens code failed its tests, so it wasn’t saved'), { testResults: results })
+  }
+  return results
+}
+
+// webhook settings are sent as an object, or from html forms as webhookURL, webhookFormat, webhookConcurrency,
+// and webhookRetries fields
+function parseWebhook (body) {
+  if (body.mapType !== 'webhook') return {}
+  if (body.webhook && typeof body.webhook === 'object') return { webhook: body.webhook }
+  const number = (value) => value === undefined || value === '' ? undefined : Number(value)
+  const webhook = {
+    url: body.webhookURL,
+    format: body.webhookFormat || undefined,
+    concurrency: number(body.webhookConcurrency),
+    retries: number(body.webhookRetries)
+  }
+  return { webhook: Object.fromEntries(Object.entries(webhook).filter(([, value]) => value !== undefined)) }
+}
+
 router.all('/lenses/create', auth.required, parse.body({ maxSize: 3145728 }), async (req, res) => {
   const state = {
     create: true,
@@ -24,7 +103,8 @@ router.all('/lenses/create', auth.required, parse.body({ maxSize: 3145728 }), as
     memo: '',
     inputs: ['/datasets/owner-author:dataset-name'],
     mapType: 'javascript',
-    code: defaultCode
+    code: defaultCode,
+    reduceCode: ''
   }
 
   if (req.query.clone) {
@@ -41,17 +121,27 @@ router.all('/lenses/create', auth.required, parse.body({ maxSize: 3145728 }), as
 
   if (req.method === 'PUT') {
     try {
-      await lens.create(req.author, req.body.name, {
+      const config = {
         memo: req.body.memo,
         inputs: req.body.inputs.split('\n').map(x => x.trim()).filter(x => !!x),
         mapType: req.body.mapType,
-        code: req.body.code
-      })
-      // rebuild since settings may have changed
-      await lens.build(req.author, req.body.name)
+        code: req.body.code,
+        ...parseWebhook(req.body),
+        ...parseReduceCode(req.body.reduceCode),
+        ...parseErrorPolicy(req.body.errorPolicy),
+        ...parseOptionalList('indexes', req.body.indexes),
+        ...parseOptionalList('lookups', req.body.lookups),
+        ...parseParams(req.body.params),
+        ...parseTests(req.body.tests),
+        ...parseRequireTestsPass(req.body.requireTestsPass)
+      }
+      await checkTests(config)
+      await lens.create(req.author, req.body.name, config)
+      await lensBuilds.enqueue(req.author, req.body.name)
       return res.redirect(303, uri`/lenses/${req.author}:${req.body.name}/`)
     } catch (err) {
       state.error = err
+      state.testResults = err.testResults
     }
   }
 
@@ -76,15 +166,34 @@ router.get('/lenses/:author\\::name/configuration', async (req, res) => {
 
 router.put('/lenses/:author\\::name/configuration', auth.ownerRequired, parse.body({ maxSize: 3145728 }), async (req, res) => {
   try {
-    await lens.updateMeta(req.params.author, req.params.name, meta => {
+    await lens.updateMeta(req.params.author, req.params.name, async meta => {
       meta.memo = req.body.memo
       meta.inputs = req.body.inputs.split(/\r?\n/m).map(x => x.trim()).filter(x => !!x)
       meta.mapType = req.body.mapType
       meta.code = req.body.code
+      delete meta.webhook
+      delete meta.reduceCode
+      delete meta.errorPolicy
+      delete meta.lookups
+      delete meta.params
+      delete meta.tests
+      delete meta.requireTestsPass
+      Object.assign(meta, parseWebhook(req.body), parseReduceCode(req.body.reduceCode), parseErrorPolicy(req.body.errorPolicy))
+      Object.assign(meta, parseOptionalList('lookups', req.body.lookups), parseParams(req.body.params))
+      Object.assign(meta, parseTests(req.body.tests), parseRequireTestsPass(req.body.requireTestsPass))
+      await checkTests(meta)
+      if ('indexes' in req.body) {
+        const indexes = parseList(req.body.indexes) || []
+        if (JSON.stringify(indexes) !== JSON.stringify(meta.indexes || [])) {
+          if (indexes.length > 0) meta.indexes = indexes
+          else delete meta.indexes
+          await lens.updateIndexes(req.params.author, req.params.name, meta)
+        }
+      }
       return meta
     })
-    // rebuild since settings may have changed
-    await lens.build(req.params.author, req.params.name)
+    // rebuild in the background since settings may have changed
+    await lensBuilds.enqueue(req.params.author, req.params.name)
 
     if (req.accepts('html')) {
       return res.redirect(303, uri`/lenses/${req.params.author}:${req.params.name}/`)
@@ -92,14 +201,86 @@ router.put('/lenses/:author\\::name/configuration', auth.ownerRequired, parse.bo
       return res.sendStatus(204)
     }
   } catch (err) {
-    const state = { ...req.body, create: false, error: err }
+    // api clients get an error response, like configurations which would make a loop, naming the lenses in it
+    if (!req.accepts('html')) throw createHttpError.isHttpError(err) ? err : createHttpError.BadRequest(err.message)
+    const state = { ...req.body, create: false, error: err, testResults: err.testResults }
+    res.sendVibe('lens-editor', 'Edit a Lens', state)
+  }
+})
+
+// run a lens's tests, against its saved configuration, or against unsaved code and tests sent from the lens editor
+router.post('/lenses/:author\\::name/test', auth.ownerRequired, parse.body({ maxSize: 3145728 }), async (req, res) => {
+  const config = await lens.readMeta(req.params.author, req.params.name)
+  const state = { ...config, create: false, owner: req.params.author, name: req.params.name }
+  try {
+    if (req.body && typeof req.body.code === 'string') {
+      Object.assign(state, req.body)
+      delete config.reduceCode
+      delete config.lookups
+      delete config.params
+      Object.assign(config, { mapType: req.body.mapType || config.mapType, code: req.body.code })
+      Object.assign(config, parseReduceCode(req.body.reduceCode), parseOptionalList('lookups', req.body.lookups), parseParams(req.body.params))
+    }
+    if (req.body && 'tests' in req.body) {
+      delete config.tests
+      Object.assign(config, parseTests(req.body.tests))
+    }
+    state.testResults = await lensTests.run(config)
+  } catch (err) {
+    if (!req.accepts('html')) throw createHttpError.isHttpError(err) ? err : createHttpError.BadRequest(err.message)
+    state.error = err
+  }
+
+  if (req.accepts('html')) {
+    res.sendVibe('lens-editor', 'Edit a Lens', state)
+  } else {
+    codec.respond(req, res, state.testResults)
+  }
+})
+
+// dry run new configuration sent from the lens editor, showing how the lens's outputs would change if it was saved
+router.post('/lenses/:author\\::name/preview', auth.ownerRequired, parse.body({ maxSize: 3145728 }), async (req, res) => {
+  const state = { ...req.body, create: false, owner: req.params.author, name: req.params.name }
+  try {
+    state.preview = await lens.preview(req.params.author, req.params.name, {
+      memo: req.body.memo || '',
+      inputs: `${req.body.inputs || ''}`.split(/\r?\n/m).map(x => x.trim()).filter(x => !!x),
+      mapType: req.body.mapType,
+      code: req.body.code,
+      ...parseWebhook(req.body),
+      ...parseReduceCode(req.body.reduceCode),
+      ...parseErrorPolicy(req.body.errorPolicy),
+      ...parseOptionalList('lookups', req.body.lookups),
+      ...parseParams(req.body.params)
+    })
+  } catch (err) {
+    if (!req.accepts('html')) throw createHttpError.isHttpError(err) ? err : createHttpError.BadRequest(err.message)
+    state.error = err
+  }
+
+  if (req.accepts('html')) {
     res.sendVibe('lens-editor', 'Edit a Lens', state)
+  } else {
+    await codec.respond(req, res, state.preview)
   }
 })
 
+// media types of lens code, reduce code is javascript unless the lens is a ruby or python lens
+const codeTypes = { javascript: 'application/javascript', ruby: 'text/x-ruby', python: 'text/x-python' }
+
 router.get('/lenses/:author\\::name/configuration/map', async (req, res) => {
   const meta = await lens.readMeta(req.params.author, req.params.name)
-  res.type(meta.mapType).set('X-Version', meta.version).send(meta.code)
+  if (meta.mapType === 'webhook') {
+    res.set('X-Version', meta.version)
+    codec.respond(req, res, meta.webhook)
+  } else {
+    res.type(codeTypes[meta.mapType] || codeTypes.javascript).set('X-Version', meta.version).send(meta.code)
+  }
+})
+
+router.get('/lenses/:author\\::name/configuration/reduce', async (req, res) => {
+  const meta = await lens.readMeta(req.params.author, req.params.name)
+  res.type(codeTypes[meta.mapType] || codeTypes.javascript).set('X-Version', meta.version).send(meta.reduceCode || '')
 })
 
 router.get('/lenses/:author\\::name/logs', async (req, res) => {
@@ -112,6 +293,65 @@ router.get('/lenses/:author\\::name/logs', async (req, res) => {
   }
 })
 
+// inputs which failed to map, and outputs which failed to reduce, with their errors
+router.get('/lenses/:author\\::name/errors', async (req, res) => {
+  const config = await lens.readMeta(req.params.author, req.params.name)
+  const errorsIter = lens.iterateErrors(req.params.author, req.params.name)
+
+  if (req.accepts('html')) {
+    res.sendVibe('lens-errors', 'Lens Errors', { config, errorsIter })
+  } else {
+    codec.respond(req, res, errorsIter)
+  }
+})
+
+// status of the lens's latest background build
+router.get('/lenses/:author\\::name/build', async (req, res) => {
+  const build = await lensBuilds.read(req.params.author, req.params.name)
+  if (!build) throw createHttpError.NotFound('Lens hasn’t been built in the background yet')
+  codec.respond(req, res, build)
+})
+
+// cancel the lens's queued or running build
+router.delete('/lenses/:author\\::name/build', auth.ownerRequired, async (req, res) => {
+  await lensBuilds.cancel(req.params.author, req.params.name)
+  if (req.accepts('html')) {
+    res.redirect(303, uri`/lenses/${req.params.author}:${req.params.name}/`)
+  } else {
+    res.sendStatus(204)
+  }
+})
+
+// list the job queue of a remote lens
+router.get('/lenses/:author\\::name/jobs/', auth.ownerRequired, async (req, res) => {
+  const jobs = []
+  for (const id of await lensJobs.list(req.params.author, req.params.name)) {
+    const job = await lensJobs.read(req.params.author, req.params.name, id)
+    if (!job) continue
+    const status = job.result ? 'done' : (job.lease && job.lease.expires > Date.now() ? 'leased' : 'pending')
+    jobs.push({ id, path: job.path, version: job.version, created: job.created, status })
+  }
+  codec.respond(req, res, jobs)
+})
+
+// remote workers claim the next job which needs doing, responds 204 No Content when there's nothing to do
+router.get('/lenses/:author\\::name/jobs/next', auth.ownerRequired, async (req, res) => {
+  if (!await lens.exists(req.params.author, req.params.name)) throw createHttpError.NotFound('Lens doesn\'t exist')
+  const job = await lensJobs.claim(req.params.author, req.params.name, { worker: req.author })
+  if (!job) return res.sendStatus(204)
+
+  const { id, path, version, data, lease } = job
+  codec.respond(req, res, { id, path, version, data, lease: lease.token, expires: lease.expires })
+})
+
+// remote workers submit the result of a job, as { lease, outputs, logs, errors }
+router.post('/lenses/:author\\::name/jobs/:id', auth.ownerRequired, parse.body({ maxSize: 3145728 }), async (req, res) => {
+  const { lease, ...result } = req.body || {}
+  await lensJobs.complete(req.params.author, req.params.name, req.params.id, lease, result)
+  lensJobs.scheduleBuild(req.params.author, req.params.name)
+  res.sendStatus(204)
+})
+
 router.delete('/lenses/:author\\::name/', auth.ownerRequired, async (req, res) => {
   await lens.delete(req.params.author, req.params.name)
   res.redirect(303, `/lenses/${req.params.author}:`)
@@ -152,7 +392,11 @@ router.get('/lenses/:author\\::name/', async (req, res) => {
 
   if (req.accepts('html')) {
     const title = `${req.params.author}’s “${req.params.name}” Datasets`
-    res.sendVibe('lens', title, config)
+    const page = paginate.options(req.query, settings.pageSize)
+    const recordIDs = paginate.page(Object.keys(config.records), { ...page, limit: page.limit + 1 })
+    const next = recordIDs.length > page.limit ? paginate.nextURL(req, recordIDs[page.limit - 1]) : undefined
+    const build = await lensBuilds.read(req.params.author, req.params.name)
+    res.sendVibe('lens', title, config, { recordIDs: recordIDs.slice(0, page.limit), next, ...page }, build)
   } else {
     const records = await lens.listEntryHashes(req.params.author, req.params.name)
     codec.respond(req, res, {
@@ -167,9 +411,15 @@ router.get('/lenses/:author\\::name/', async (req, res) => {
 // list records of lens
 router.get('/lenses/:author\\::name/records/', async (req, res) => {
   const config = await lens.readMeta(req.params.author, req.params.name)
+  const { after, prefix, limit } = paginate.options(req.query)
+  const records = await lens.list(req.params.author, req.params.name, { after, prefix, limit: limit + 1 })
+  if (records.length > limit) {
+    records.pop()
+    res.links({ next: paginate.nextURL(req, records[records.length - 1].id) })
+  }
   res.set('X-Version', config.version)
   res.set('ETag', `"${config.version}"`)
-  codec.respond(req, res, config.records)
+  codec.respond(req, res, Object.fromEntries(records.map(({ id, read, ...meta }) => [id, meta])))
 })
 
 // get a record from a author's lens
@@ -180,7 +430,7 @@ router.get('/lenses/:author\\::name/records/:recordID', async (req, res) => {
     const meta = await lens.readMeta(req.params.author, req.params.name)
 
     const title = `${req.params.author}:${req.params.name}/${req.params.recordID}`
-    const sidebar = { recordIDs: Object.keys(meta.records) }
+    const sidebar = paginate.around(Object.keys(meta.records), req.params.recordID, settings.pageSize)
     res.sendVibe('record', title, { record, sidebar, path: { source: 'lenses', ...req.params } })
   } else {
     codec.respond(req, res, record)
@@ -189,6 +439,10 @@ router.get('/lenses/:author\\::name/records/:recordID', async (req, res) => {
 
 // ephemeral lens runs once, exports, then is deleted
 router.post('/lenses/ephemeral', parse.body({ maxSize: 3145728 }), async (req, res) => {
+  // anyone can build ephemeral lenses, so they can't make the server send records to other hosts, or wait for workers
+  if (['webhook', 'remote'].includes(req.body.mapType)) {
+    throw createHttpError.BadRequest(`Ephemeral lenses can’t use the ${req.body.mapType} map type`)
+  }
   const [author, name] = ['system', `ephemeral-${Date.now()}-${codec.objectHash(req.body).slice(0, 4).toString('hex')}`]
 
   try {
@@ -197,6 +451,7 @@ router.post('/lenses/ephemeral', parse.body({ maxSize: 3145728 }), async (req, r
       inputs: req.body.inputs.split('\n').map(x => x.trim()).filter(x => !!x),
       mapType: req.body.mapType,
       code: req.body.code,
+      ...parseReduceCode(req.body.reduceCode),
       garbageCollect: false
     })
 
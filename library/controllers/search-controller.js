@@ -0,0 +1,29 @@
+const express = require('express')
+const router = express.Router()
+
+const codec = require('../models/codec')
+const search = require('../models/search')
+const createHttpError = require('http-errors')
+
+/**
+ * full text search of records in datasets and lenses
+ * ?q=(text) words to find, records must contain every word
+ * ?in=(data path) optionally limits the search to a collection, like /datasets/author:name, repeat to search several
+ * ?limit=(number) maximum number of results, defaults to 100
+ */
+router.get('/search', async (req, res) => {
+  const query = typeof req.query.q === 'string' ? req.query.q : ''
+  const paths = [req.query.in || []].flat().filter(x => typeof x === 'string' && x !== '')
+  const limit = req.query.limit === undefined ? 100 : parseInt(req.query.limit)
+  if (isNaN(limit) || limit < 0) throw createHttpError.BadRequest('limit must be a positive number')
+
+  const results = await search.search(query, { in: paths.length > 0 ? paths : undefined, limit })
+
+  if (req.accepts('html')) {
+    res.sendVibe('search', query ? `Search: ${query}` : 'Search', { query, in: paths, results })
+  } else {
+    codec.respond(req, res, results)
+  }
+})
+
+module.exports = router
@@ -80,6 +80,50 @@ exports.link = async function (hash, ...dataPaths) {
   })
 }
 
+/**
+ * Keep an attachment for something stored inside a dataset or lens which isn't a record, like a change request, until
+ * releaseFor() is called. Unlike hold(), this is saved in the attachment's metadata, so it lasts across restarts. It's
+ * dropped if the dataset or lens is deleted.
+ * @param {string} hash - attachment content hash
+ * @param {string} path - data path of the dataset or lens
+ * @param {string} key - what inside the dataset or lens needs the attachment, like 'change-requests/1/records/abc'
+ * @async
+ */
+exports.holdFor = async function (hash, path, key) {
+  await tq.lockWhile(['attachments', hash], async () => {
+    await metaStore.update([hash], meta => {
+      if (!meta) throw new Error('Cannot hold non-existant attachment')
+      const holders = meta.holders || []
+      if (!holders.some(x => x.path === path && x.key === key)) {
+        meta.holders = [...holders, { path, key }]
+        meta.updated = Date.now()
+        return meta
+      }
+    })
+  })
+}
+
+/**
+ * Let go of an attachment kept with holdFor(), removing it if nothing else links to or holds it
+ * @param {string} hash - attachment content hash
+ * @param {string} path - data path of the dataset or lens
+ * @param {string} key - same key given to holdFor()
+ * @returns {boolean} - true if the attachment remains in storage, false if it was removed
+ * @async
+ */
+exports.releaseFor = async function (hash, path, key) {
+  await tq.lockWhile(['attachments', hash], async () => {
+    await metaStore.update([hash], meta => {
+      if (meta && meta.holders) {
+        meta.holders = meta.holders.filter(x => !(x.path === path && x.key === key))
+        meta.updated = Date.now()
+        return meta
+      }
+    })
+  })
+  return await exports.validate(hash)
+}
+
 /** import an attachment from multipart-files file object
  * @param {object} file - file object from ../utility/multipart-files
  * @param {{linkers<string[]>}} meta - meta stuff to add, only linkers gets handled currently
@@ -176,10 +220,17 @@ exports.validate = async function (hash) {
         }
       }
 
-      if (newLinkers.length > 0) retain = true
+      // holds from holdFor() last as long as the dataset or lens they're inside
+      const holders = []
+      for (const holder of meta.holders || []) {
+        if (await readPath.exists(holder.path)) holders.push(holder)
+      }
+
+      if (newLinkers.length > 0 || holders.length > 0) retain = true
       return {
         ...meta,
-        linkers: newLinkers
+        linkers: newLinkers,
+        ...(holders.length > 0 ? { holders } : {})
       }
     }
   })
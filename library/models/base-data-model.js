@@ -11,7 +11,12 @@ const assert = require('assert')
 const updateEvents = require('../utility/update-events')
 const stringNaturalCompare = require('string-natural-compare')
 const recordStructure = require('../utility/record-structure')
+const paginate = require('../utility/paginate')
 const createMissingAttachmentsError = require('../utility/missing-attachments-error')
+const jsonPatch = require('../utility/json-patch')
+const { diff: diffValues } = require('../utility/diff')
+const readPath = require('./read-path')
+const auth = require('./auth')
 const attachments = require('./attachments')
 const createHttpError = require('http-errors')
 const { DatasetArchive } = require('dataset-archive/dataset-archive.cjs')
@@ -22,11 +27,20 @@ exports.readMeta = async function (author, name) {
   return await this.getFileStore(author, name).read(['meta'])
 }
 
-/* update meta about dataset */
-exports.updateMeta = async function (author, name, block) {
+/**
+ * update meta about dataset
+ * @param {string} author - author/owner name
+ * @param {string} name - collection name
+ * @param {function} block - async function which receives the meta object, and returns the updated version of it
+ * @param {object} [options]
+ * @param {number|number[]} [options.ifVersion] - if specified, throws a PreconditionFailed http error unless the collection is currently at this version
+ * @async
+ */
+exports.updateMeta = async function (author, name, block, { ifVersion = undefined } = {}) {
   let notifyVersion = 0
   await this.getFileStore(author, name).update(['meta'], async (config) => {
     if (!config) throw new Error('Dataset doesn\'t exist')
+    checkVersion(config, ifVersion)
     config.version += 1
     config.updated = Date.now()
 
@@ -58,6 +72,36 @@ exports.updateMeta = async function (author, name, block) {
   process.nextTick(() => updateEvents.pathUpdated(codec.path.encode(this.source, author, name), notifyVersion))
 }
 
+/**
+ * throws a PreconditionFailed http error if the collection isn't at the expected version
+ * @param {object} meta - collection's meta object
+ * @param {number|number[]} [ifVersion] - expected version number or list of acceptable ones, or undefined to skip the check
+ */
+function checkVersion (meta, ifVersion) {
+  if (ifVersion !== undefined && ![ifVersion].flat().includes(meta.version)) {
+    throw createHttpError.PreconditionFailed(`Collection has changed, it is at version ${meta.version}, not ${[ifVersion].flat().join(' or ')}`)
+  }
+}
+
+/**
+ * throws a PreconditionFailed http error if a record's current hash isn't one which is expected
+ * @param {object} meta - collection's meta object
+ * @param {string} recordID - record id
+ * @param {string|string[]|null} [ifHash] - expected hex hash or list of acceptable hashes, '*' if the record must exist,
+ *                                          null if it must not exist, or undefined to skip the check
+ */
+function checkHash (meta, recordID, ifHash) {
+  if (ifHash === undefined) return
+  const current = meta.records[recordID]
+  if (ifHash === null) {
+    if (current) throw createHttpError.PreconditionFailed(`Record ${recordID} already exists`)
+  } else if (!current) {
+    throw createHttpError.PreconditionFailed(`Record ${recordID} doesn't exist`)
+  } else if (ifHash !== '*' && ![ifHash].flat().includes(current.hash)) {
+    throw createHttpError.PreconditionFailed(`Record ${recordID} has changed, it's hash is now ${current.hash}`)
+  }
+}
+
 /**
  * @callback DataModelIterateEntryRead
  * @returns {any} value of the dataset entry
@@ -73,20 +117,45 @@ exports.updateMeta = async function (author, name, block) {
  * @property {DataModelIterateEntryRead} read - function which reads the contents of this entry
  */
 
+/**
+ * iterates every collection of this kind, from every author, skipping authors who haven't made any yet
+ * @yields {{ author: string, name: string }}
+ * @async
+ */
+exports.iterateAll = async function * () {
+  for await (const author of auth.iterate()) {
+    const names = []
+    try {
+      for await (const name of this.iterate(author)) names.push(name)
+    } catch (err) {
+      // authors who haven't made any of these don't have a folder for them
+      if (err.status !== 404) throw err
+    }
+    for (const name of names) yield { author, name }
+  }
+}
+
 /**
  * If name is provided, iterates through the records of a collection, otherwise, iterates the string names of collections
  * the specified author owns.
  * If fastRead is true, iteration will be a bit slower, but the read function will return very quickly, syncronously.
  * If you plan to read more than one value, it's probably best to turn fastRead on. If you wont read more than one, leave it off.
+ * If at is specified, the records are iterated as they were at that version of the collection, using the history log.
+ * Records can be read a page at a time with after, prefix, and limit. Pages are selected from records in natural sort
+ * order, and are iterated in that order unless fastRead is on.
  * @param {string} author - author/owner name
  * @param {string} [name] - collection name
  * @param {object} [options]
  * @param {boolean} [options.fastRead = false] - optimise for reading values quickly, at the expense of more memory use and slower iteration
+ * @param {number} [options.at] - version number of the collection to read records from, defaults to the current version
+ * @param {string} [options.after] - only include records whose recordID sorts after this one
+ * @param {string} [options.prefix] - only include records whose recordID starts with this string
+ * @param {number} [options.limit] - maximum number of records to include
  * @yields {DataModelIterateEntry}
  * @generator
  * @async
  */
-exports.iterate = async function * (author, name = undefined, { fastRead = false } = {}) {
+exports.iterate = async function * (author, name = undefined, { fastRead = false, at = undefined, after = undefined, prefix = undefined, limit = Infinity } = {}) {
   if (name === undefined) {
     const file = require('./fs/objects')
     const path = this.path(author)
@@ -98,18 +167,65 @@ exports.iterate = async function * (author, name = undefined, { fastRead = false
       if (err.code === 'ENOENT') throw createHttpError.NotFound('Author account name doesn\'t exist')
       else throw err
     }
+  } else if (at !== undefined) {
+    const meta = await this.readMeta(author, name)
+    checkHistory(meta, at)
+    // find the state each record was in at the requested version, for records that have changed since then
+    const past = new Map()
+    for await (const entry of this.iterateHistory(author, name)) {
+      const current = meta.records[entry.id]
+      if (current && current.version <= at) continue
+      if (entry.version <= at && !(past.has(entry.id) && past.get(entry.id).version > entry.version)) {
+        past.set(entry.id, entry)
+      }
+    }
+
+    const existed = (id) => (meta.records[id] && meta.records[id].version <= at) || (past.has(id) && !past.get(id).deleted)
+    const ids = paginate.page(new Set([...Object.keys(meta.records), ...past.keys()].filter(existed)), { after, prefix, limit })
+
+    if (fastRead) {
+      const selected = new Set(ids)
+      /** @type {dataArc.DatasetArchive} */
+      const archive = this.getDataArchive(author, name)
+
+      for await (const [keyBuffer, valueBuffer] of archive.read({ decode: false })) {
+        const id = keyBuffer.toString('utf-8')
+        const current = meta.records[id]
+        if (selected.has(id) && current && current.version <= at) {
+          yield { id, ...current, read: () => Promise.resolve(archive.valueCodec.decode(valueBuffer)) }
+        }
+      }
+
+      for (const [id, { hash, version, links, deleted, read }] of past) {
+        if (selected.has(id) && !deleted) yield { id, hash, version, links, read }
+      }
+    } else {
+      for (const id of ids) {
+        const current = meta.records[id]
+        if (current && current.version <= at) {
+          yield { id, ...current, read: () => this.read(author, name, id) }
+        } else {
+          const { hash, version, links, read } = past.get(id)
+          yield { id, hash, version, links, read }
+        }
+      }
+    }
   } else {
     const meta = await this.readMeta(author, name)
+    const ids = paginate.page(Object.keys(meta.records), { after, prefix, limit })
     if (fastRead) {
+      const selected = new Set(ids)
       /** @type {dataArc.DatasetArchive} */
       const archive = this.getDataArchive(author, name)
 
       for await (const [keyBuffer, valueBuffer] of archive.read({ decode: false })) {
         const id = keyBuffer.toString('utf-8')
-        yield { id, ...meta.records[id], read: () => Promise.resolve(archive.valueCodec.decode(valueBuffer)) }
+        if (selected.has(id)) {
+          yield { id, ...meta.records[id], read: () => Promise.resolve(archive.valueCodec.decode(valueBuffer)) }
+        }
       }
     } else {
-      for (const id in meta.records) {
+      for (const id of ids) {
         yield { id, ...meta.records[id], read: () => this.read(author, name, id) }
       }
     }
@@ -119,11 +235,177 @@ exports.iterate = async function * (author, name = undefined, { fastRead = false
 /** returns an array of all datasets owned by an author account, or a list of records inside a dataset if name is specified
  * @param {string} author - author who owns dataset
  * @param {string} [name] - name of dataset
- * @returns {string[]} - dataset names or recordIDs if name is specified
+ * @param {object} [options] - paging options, after, prefix, and limit, see iterate()
+ * @returns {string[]|DataModelIterateEntry[]} - dataset names, or records if name is specified
+ * @async
+ */
+exports.list = async function (author, name = undefined, { after = undefined, prefix = undefined, limit = Infinity } = {}) {
+  return await itToArray(this.iterate(author, name, { after, prefix, limit }))
+}
+
+/**
+ * @typedef {object} DataModelDiff
+ * @property {{ path: string, version: number }} from - collection and version compared from
+ * @property {{ path: string, version: number }} to - collection and version compared to
+ * @property {string[]} added - recordIDs which only exist in to
+ * @property {string[]} removed - recordIDs which only exist in from
+ * @property {string[]} changed - recordIDs which exist in both with different values
+ * @property {Object.<string, object[]>} [records] - if values are requested, a JSON Patch for each added, removed, or changed record
+ */
+
+/**
+ * Compare the records of two versions of this collection, or this collection and another dataset or lens, using the
+ * hashes of the records. Optionally includes a structural diff of each differing record's values.
+ * @param {string} author - author/owner name
+ * @param {string} name - collection name
+ * @param {object} [options]
+ * @param {number|string} [options.from] - version number of this collection, or data path of another collection, defaults to the previous version
+ * @param {number|string} [options.to] - version number of this collection, or data path of another collection, defaults to the current version
+ * @param {boolean} [options.values = false] - include JSON Patches describing how each record's value changed
+ * @returns {DataModelDiff}
  * @async
  */
-exports.list = async function (author, name = undefined) {
-  return await itToArray(this.iterate(author, name))
+exports.diff = async function (author, name, { from = undefined, to = undefined, values = false } = {}) {
+  const { version } = await this.readMeta(author, name)
+  const sides = []
+  for (const ref of [from === undefined ? Math.max(0, version - 1) : from, to === undefined ? version : to]) {
+    sides.push(await diffSide(this, author, name, ref))
+  }
+  const [before, after] = sides
+
+  const added = [...after.hashes.keys()].filter(id => !before.hashes.has(id))
+  const removed = [...before.hashes.keys()].filter(id => !after.hashes.has(id))
+  const changed = [...after.hashes.keys()].filter(id => before.hashes.has(id) && before.hashes.get(id) !== after.hashes.get(id))
+  const output = {
+    from: { path: before.path, version: before.version },
+    to: { path: after.path, version: after.version },
+    added: added.sort(stringNaturalCompare),
+    removed: removed.sort(stringNaturalCompare),
+    changed: changed.sort(stringNaturalCompare)
+  }
+
+  if (values) {
+    const ids = new Set([...added, ...removed, ...changed])
+    const [beforeValues, afterValues] = [await before.read(ids), await after.read(ids)]
+    output.records = {}
+    for (const id of [...ids].sort(stringNaturalCompare)) {
+      output.records[id] = diffValues(beforeValues.get(id), afterValues.get(id))
+    }
+  }
+
+  return output
+}
+
+/**
+ * resolve one side of a diff to the record hashes of a collection at a version, and a function to read some values
+ * @param {object} self - data model the diff was requested from
+ * @param {string} author - author of the collection the diff was requested from
+ * @param {string} name - name of the collection the diff was requested from
+ * @param {number|string} ref - version number of that collection, or data path of another collection
+ */
+async function diffSide (self, author, name, ref) {
+  let model = self
+  let at
+  if (typeof ref === 'string' && ref.startsWith('/')) {
+    const params = codec.path.decode(ref.replace(/\/$/, ''))
+    model = params && params.recordID === undefined && ['datasets', 'lenses'].includes(params.source) ? readPath.getSource(params.source) : undefined
+    if (!model) throw createHttpError.BadRequest(`Cannot compare with "${ref}", must be a dataset or lens path`)
+    if (!await model.exists(params.author, params.name)) throw createHttpError.NotFound(`${ref} doesn't exist`)
+    author = params.author
+    name = params.name
+  } else {
+    at = typeof ref === 'number' || /^[0-9]+$/.test(ref) ? Number(ref) : NaN
+    if (!Number.isInteger(at) || at < 0) throw createHttpError.BadRequest('Versions to compare must be whole numbers, or dataset or lens paths')
+  }
+
+  const meta = await model.readMeta(author, name)
+  if (at !== undefined && at > meta.version) throw createHttpError.BadRequest(`Version ${at} doesn't exist yet, the current version is ${meta.version}`)
+  if (at === meta.version) at = undefined
+
+  const hashes = new Map()
+  for await (const { id, hash } of model.iterate(author, name, { at })) hashes.set(id, hash)
+
+  return {
+    path: codec.path.encode(model.source, author, name),
+    version: at === undefined ? meta.version : at,
+    hashes,
+    async read (ids) {
+      const values = new Map()
+      for await (const entry of model.iterate(author, name, { at, fastRead: true })) {
+        if (ids.has(entry.id)) values.set(entry.id, await entry.read())
+      }
+      return values
+    }
+  }
+}
+
+/**
+ * @typedef {object} DataModelQuery
+ * @property {object} [where] - object with JSON Pointer keys of indexed fields, and values to match. An array of values
+ *                              matches any of them. Indexed arrays match if any of their elements match
+ * @property {string} [sort] - JSON Pointer of an indexed field to sort by, prefixed with - to sort descending
+ * @property {number} [limit] - maximum number of records to yield
+ */
+
+/**
+ * Find records using the values of indexed fields, configured as a list of JSON Pointers in the indexes property of meta
+ * @param {string} author - author/owner name
+ * @param {string} name - collection name
+ * @param {DataModelQuery} query
+ * @yields {DataModelIterateEntry}
+ * @async
+ */
+exports.query = async function * (author, name, { where = {}, sort = undefined, limit = Infinity } = {}) {
+  const meta = await this.readMeta(author, name)
+  const indexes = meta.indexes || []
+  const descending = typeof sort === 'string' && sort.startsWith('-')
+  const sortPointer = descending ? sort.slice(1) : sort
+
+  for (const pointer of [...Object.keys(where), ...(sort === undefined ? [] : [sortPointer])]) {
+    if (!indexes.includes(pointer)) {
+      throw createHttpError.BadRequest(`${pointer} isn't an indexed field, indexed fields are: ${indexes.join(', ') || 'none'}`)
+    }
+  }
+
+  const matches = Object.entries(meta.records).filter(([, { index = {} }]) => {
+    return Object.entries(where).every(([pointer, expected]) => indexMatches(index[pointer], expected))
+  })
+
+  if (sort !== undefined) {
+    const sortValue = ([, { index = {} }]) => [index[sortPointer]].flat()[0]
+    matches.sort((a, b) => compareIndexValues(sortValue(a), sortValue(b)) * (descending ? -1 : 1))
+  }
+
+  const results = matches.slice(0, limit)
+  if (results.length === 0) return
+
+  // read all the matched values in one pass through the archive
+  const wanted = new Set(results.map(([id]) => id))
+  const values = new Map()
+  /** @type {DatasetArchive} */
+  const archive = this.getDataArchive(author, name)
+  for await (const [keyBuffer, valueBuffer] of archive.read({ decode: false })) {
+    const id = archive.keyCodec.decode(keyBuffer)
+    if (wanted.has(id)) values.set(id, valueBuffer)
+  }
+
+  for (const [id, recordMeta] of results) {
+    if (values.has(id)) yield { id, ...recordMeta, read: () => Promise.resolve(archive.valueCodec.decode(values.get(id))) }
+  }
+}
+
+// does an indexed value match any of the expected values? query string values are strings, so compare as strings too
+function indexMatches (value, expected) {
+  if (value === undefined) return false
+  const expectations = [expected].flat()
+  return [value].flat().some(element => expectations.some(x => x === element || `${x}` === `${element}`))
+}
+
+// sort missing values last, numbers numerically, and everything else in natural string order
+function compareIndexValues (a, b) {
+  if (a === undefined || b === undefined) return (a === undefined) - (b === undefined)
+  if (typeof a === 'number' && typeof b === 'number') return a - b
+  return stringNaturalCompare(`${a}`, `${b}`)
 }
 
 /**
@@ -139,19 +421,256 @@ exports.read = async function (author, name, recordID) {
   return await data.get(recordID)
 }
 
+/**
+ * read a record as it was at a specific version of the dataset, using the history log
+ * @param {string} author
+ * @param {string} name
+ * @param {string} recordID
+ * @param {number} version - version number of the dataset
+ * @returns {any} record value, or undefined if the record didn't exist at that version
+ * @async
+ */
+exports.readAt = async function (author, name, recordID, version) {
+  const meta = await this.readMeta(author, name)
+  checkHistory(meta, version)
+  const current = meta.records[recordID]
+  if (current && current.version <= version) return await this.read(author, name, recordID)
+
+  let found
+  for await (const entry of this.iterateHistory(author, name)) {
+    if (entry.id === recordID && entry.version <= version && !(found && found.version > entry.version)) {
+      found = entry
+    }
+  }
+
+  if (found && !found.deleted) return await found.read()
+}
+
+/**
+ * @typedef {object} DataModelHistoryEntry
+ * @property {string} id - record id
+ * @property {number} version - version of the dataset when the record entered this state
+ * @property {string} [hash] - hash of entry's data, not present on deletions
+ * @property {string[]} [links] - links to attachments contained in this document, not present on deletions
+ * @property {boolean} [deleted] - true if this entry marks the record being removed from the dataset
+ * @property {DataModelIterateEntryRead} read - function which reads the contents of this entry
+ */
+
+/**
+ * Iterates through the history log of a dataset. The log contains every earlier state of each record, and a tombstone
+ * entry for each time a record was removed. The current state of records is not included, that lives in meta.records.
+ * Lenses only keep the log for their most recent versions, see meta.historyFrom
+ * @param {string} author - author/owner name
+ * @param {string} name - collection name
+ * @yields {DataModelHistoryEntry}
+ * @async
+ */
+exports.iterateHistory = async function * (author, name) {
+  for (const version of await listHistory(this.getFileStore(author, name))) {
+    /** @type {DatasetArchive} */
+    const archive = this.getDataArchive(author, name, ['history', version])
+    try {
+      for await (const [, { data, ...entry }] of archive.read()) {
+        yield { ...entry, read: () => Promise.resolve(data) }
+      }
+    } catch (err) {
+      // a lens build may have pruned this version since it was listed
+      if (err.code !== 'ENOENT') throw err
+    }
+  }
+}
+
+// throws if the history log needed to read back a version has been pruned
+function checkHistory (meta, version) {
+  if (meta.historyFrom !== undefined && version < meta.historyFrom) {
+    throw createHttpError.Gone(`History before version ${meta.historyFrom} is no longer kept`)
+  }
+}
+
+// list the versions which have an archive in a collection's history folder
+async function listHistory (fileStore) {
+  const versions = []
+  try {
+    for await (const file of fileStore._raw.instance({ extension: '.archive.br' }).iterateFiles(['history'])) {
+      versions.push(file)
+    }
+  } catch (err) {
+    // collections which haven't changed any records yet won't have a history folder
+    if (err.code !== 'ENOENT') throw err
+  }
+  return versions
+}
+
+/**
+ * @typedef {object} DataModelChange
+ * @property {string} id - record id
+ * @property {number} version - version of the collection when the record last changed, or was removed
+ * @property {string} [hash] - hash of entry's data, not present on deletions
+ * @property {string[]} [links] - links to attachments contained in this document, not present on deletions
+ * @property {boolean} [deleted] - true if the record has been removed from the collection
+ * @property {DataModelIterateEntryRead} [read] - function which reads the current contents of this entry, not present on deletions
+ */
+
+/**
+ * Iterates through every record which has been created, changed or deleted since a version of the collection.
+ * Deletions are found in the history log, so removals from before history was kept won't be listed. Throws 410 Gone if
+ * the history since that version has been pruned, see meta.historyFrom
+ * @param {string} author - author/owner name
+ * @param {string} name - collection name
+ * @param {number} [since = 0] - version number the reader has already seen, only newer changes are listed
+ * @yields {DataModelChange}
+ * @async
+ */
+exports.iterateChanges = async function * (author, name, since = 0) {
+  const meta = await this.readMeta(author, name)
+  // reading from the start lists every current record, so it doesn't matter if older tombstones were pruned
+  if (since > 0) checkHistory(meta, since)
+
+  // find tombstones for records removed since that version, which haven't been recreated
+  const removed = new Map()
+  for await (const entry of this.iterateHistory(author, name)) {
+    if (entry.deleted && entry.version > since && !meta.records[entry.id]) {
+      if (!removed.has(entry.id) || removed.get(entry.id).version < entry.version) removed.set(entry.id, entry)
+    }
+  }
+
+  /** @type {DatasetArchive} */
+  const archive = this.getDataArchive(author, name)
+  for await (const [keyBuffer, valueBuffer] of archive.read({ decode: false })) {
+    const id = archive.keyCodec.decode(keyBuffer)
+    const current = meta.records[id]
+    if (current && current.version > since) {
+      yield { id, ...current, read: () => Promise.resolve(archive.valueCodec.decode(valueBuffer)) }
+    }
+  }
+
+  for (const { id, version } of removed.values()) {
+    yield { id, version, deleted: true }
+  }
+}
+
+/**
+ * Append to the history log any records which have changed or been removed between previousRecords and meta.records.
+ * Must be called before the data archive is rewritten, as the earlier values are read out of it. Each version's entries
+ * are stored in their own archive, history/(version), so earlier history is never rewritten
+ * @param {string} author - author/owner name
+ * @param {string} name - collection name
+ * @param {object} previousRecords - meta.records object from before the change
+ * @param {object} meta - updated meta object, with the new version number and records
+ * @param {object} [options]
+ * @param {number} [options.keepVersions] - prune history older than this many versions, and set meta.historyFrom to the
+ *   oldest version which can still be read back. By default history is kept forever
+ * @async
+ */
+exports.appendHistory = async function (author, name, previousRecords, meta, { keepVersions = undefined } = {}) {
+  const superseded = new Set(Object.keys(previousRecords).filter(id => {
+    return !meta.records[id] || meta.records[id].hash !== previousRecords[id].hash
+  }))
+
+  const fileStore = this.getFileStore(author, name)
+  const historyStore = fileStore._raw.instance({ extension: '.archive.br' })
+  if (superseded.size > 0) {
+    const dataArchive = this.getDataArchive(author, name)
+    const historyArchive = this.getDataArchive(author, name, ['history', `${meta.version}`])
+    const encode = (entry) => [historyArchive.keyCodec.encode(`${entry.version}/${entry.id}`), historyArchive.valueCodec.encode(entry)]
+
+    async function * build () {
+      for await (const [keyBuffer, valueBuffer] of dataArchive.read({ decode: false })) {
+        const id = dataArchive.keyCodec.decode(keyBuffer)
+        if (superseded.has(id)) {
+          const { hash, version, links } = previousRecords[id]
+          yield encode({ id, version, hash, links, data: dataArchive.valueCodec.decode(valueBuffer) })
+        }
+      }
+
+      for (const id of superseded) {
+        if (!meta.records[id]) yield encode({ id, version: meta.version, deleted: true })
+      }
+    }
+
+    // replaces anything logged by an earlier attempt at this version which didn't complete
+    await historyArchive.write(build(), { encode: false })
+  } else {
+    // nothing was replaced, so clear anything logged by an earlier attempt at this version
+    await historyStore.delete(['history', `${meta.version}`])
+  }
+
+  if (keepVersions !== undefined && meta.version - keepVersions > 0) {
+    // reading back a version needs the entries logged by every version after it
+    meta.historyFrom = meta.version - keepVersions
+    for (const version of await listHistory(fileStore)) {
+      if (parseInt(version) <= meta.historyFrom) await historyStore.delete(['history', version])
+    }
+  }
+}
+
+/**
+ * validate a list of indexed fields, from a dataset or lens configuration
+ * @param {string[]} [indexes] - array of JSON Pointers
+ */
+exports.validateIndexes = function (indexes) {
+  if (indexes === undefined) return
+  assert(Array.isArray(indexes), 'indexes must be an array')
+  for (const pointer of indexes) {
+    assert(typeof pointer === 'string' && pointer.startsWith('/'), 'indexes entries must be JSON Pointers, like /field/subfield')
+  }
+}
+
+/**
+ * extract the values of indexed fields from a record, for storing in meta.records. Only strings, numbers, booleans,
+ * null, and arrays of those, can be indexed. Other values are left out
+ * @param {string[]} [indexes] - array of JSON Pointers
+ * @param {*} data - record value
+ * @returns {object|undefined} object with JSON Pointer keys and indexed values, or undefined if there are no indexes
+ */
+exports.indexValues = function (indexes, data) {
+  if (!Array.isArray(indexes) || indexes.length === 0) return undefined
+
+  const isIndexable = (value) => value === null || ['string', 'number', 'boolean'].includes(typeof value)
+  const index = {}
+  for (const pointer of indexes) {
+    const value = jsonPatch.resolve(data, pointer)
+    if (isIndexable(value)) index[pointer] = value
+    else if (Array.isArray(value)) index[pointer] = value.filter(isIndexable)
+  }
+  return index
+}
+
+/**
+ * recompute the indexed values of every record, for use inside an updateMeta block when meta.indexes has changed
+ * @param {string} author - author/owner name
+ * @param {string} name - collection name
+ * @param {object} meta - meta object being updated
+ * @async
+ */
+exports.updateIndexes = async function (author, name, meta) {
+  /** @type {DatasetArchive} */
+  const archive = this.getDataArchive(author, name)
+  for await (const [id, data] of archive.read()) {
+    if (!meta.records[id]) continue
+    const index = this.indexValues(meta.indexes, data)
+    if (index) meta.records[id].index = index
+    else delete meta.records[id].index
+  }
+}
+
 /**
  * Write the value of a single record
  * @param {string} author
  * @param {string} name
  * @param {string} recordID
  * @param {*} data
+ * @param {object} [options]
+ * @param {number|number[]} [options.ifVersion] - only write if the collection is currently at this version
+ * @param {string|string[]|null} [options.ifHash] - only write if the record's current hash matches, see writeEntries
  * @async
  */
-exports.write = async function (author, name, recordID, data) {
+exports.write = async function (author, name, recordID, data, { ifVersion = undefined, ifHash = undefined } = {}) {
   assert(data !== undefined, 'Records cannot be set to undefined')
   assert(data !== null, 'Records cannot be set to null')
 
-  await this.writeEntries(author, name, [[recordID, data]])
+  const ifHashes = ifHash === undefined ? undefined : { [recordID]: ifHash }
+  await this.writeEntries(author, name, [[recordID, data]], { ifVersion, ifHashes })
 }
 
 /**
@@ -162,8 +681,14 @@ exports.write = async function (author, name, recordID, data) {
  * @param {AsyncIterable|Iterable|Array|object} entries - entries list of recordIDs and recordData, or an object for key/value storage
  * @param {object} [options]
  * @param {boolean} [options.overwrite] - overwrite? if true, all existing records are removed if they aren't in the entries list
+ * @param {number|number[]} [options.ifVersion] - if specified, PreconditionFailed is thrown unless the collection is currently at this version
+ * @param {object} [options.ifHashes] - object with recordID keys, and values which are the expected current hex hash of the
+ *                                      record, an array of acceptable hashes, '*' if it must exist, or null if it must not exist.
+ *                                      PreconditionFailed is thrown if any don't match
+ * @param {function} [options.alterMeta] - receives the collection's meta object at its new version, and can change it in
+ *                                         the same write as the entries
  */
-exports.writeEntries = async function (author, name, entries, { overwrite = false } = {}) {
+exports.writeEntries = async function (author, name, entries, { overwrite = false, ifVersion = undefined, ifHashes = {}, alterMeta = undefined } = {}) {
   if (entries && typeof entries === 'object' && !entries[Symbol.asyncIterator] && !entries[Symbol.iterator]) {
     entries = Object.entries(entries)
   }
@@ -172,6 +697,12 @@ exports.writeEntries = async function (author, name, entries, { overwrite = fals
 
   try {
     await this.updateMeta(author, name, async meta => {
+      for (const [recordID, ifHash] of Object.entries(ifHashes || {})) checkHash(meta, recordID, ifHash)
+      if (alterMeta) await alterMeta(meta)
+
+      const previousRecords = { ...meta.records }
+      const mentioned = new Set()
+
       // iterate through entries, validating them and writing out to scratch pad temporarily
       const entryReaders = []
       for await (const entry of entries) {
@@ -188,18 +719,32 @@ exports.writeEntries = async function (author, name, entries, { overwrite = fals
           if (missingLinks.length > 0) throw createMissingAttachmentsError(missingLinks)
 
           // apply source specific validation rules
-          await this.validateRecord(entry[0], entry[1])
+          await this.validateRecord(entry[0], entry[1], meta)
 
           const hash = codec.objectHash(entry[1]).toString('hex')
           // update meta file's records if the value actually changed or is newly created
           if (meta.records[entry[0]] === undefined || hash !== meta.records[entry[0]].hash) {
             meta.records[entry[0]] = { hash, links: links.map(x => x.toString()) }
+            const index = this.indexValues(meta.indexes, entry[1])
+            if (index) meta.records[entry[0]].index = index
           }
+        } else {
+          delete meta.records[entry[0]]
         }
 
+        mentioned.add(entry[0])
         entryReaders.push(await scratch.write(entry))
       }
 
+      if (overwrite) {
+        for (const id of Object.keys(meta.records)) {
+          if (!mentioned.has(id)) delete meta.records[id]
+        }
+      }
+
+      // log the earlier values of anything which is about to be changed or removed
+      await this.appendHistory(author, name, previousRecords, meta)
+
       // if we got this far, the entries are valid, pop open the dataset archive and write the entries in
       /** @type {dataArc.DatasetArchive} */
       const archive = this.getDataArchive(author, name)
@@ -218,12 +763,56 @@ exports.writeEntries = async function (author, name, entries, { overwrite = fals
       }
 
       return meta
-    })
+    }, { ifVersion })
   } finally {
     scratch.close()
   }
 }
 
+/**
+ * Add records as linkers to the attachments they link to, so the attachments are retained while the records use them.
+ * Useful when records are copied from elsewhere, reusing attachments which are already stored.
+ * @param {string} author - author/owner name
+ * @param {string} name - collection name
+ * @param {string[]} [recordIDs] - records to link, defaults to every record in the collection
+ * @async
+ */
+exports.linkAttachments = async function (author, name, recordIDs = undefined) {
+  const { records } = await this.readMeta(author, name)
+  for (const id of recordIDs || Object.keys(records)) {
+    if (!records[id]) continue
+    const path = codec.path.encode(this.source, author, name, id)
+    for (const { hash } of recordStructure.listHashURLs(records[id].links || [])) {
+      await attachments.link(hash, path)
+    }
+  }
+}
+
+/**
+ * Update part of a record, by transforming it's current value with a patcher function. The patcher runs while the dataset
+ * is locked for writing, so concurrent changes to other parts of the record aren't lost
+ * @param {string} author
+ * @param {string} name
+ * @param {string} recordID
+ * @param {function} patcher - receives the current value of the record, returns the new value, may be async
+ * @param {object} [options]
+ * @param {number|number[]} [options.ifVersion] - only write if the collection is currently at this version
+ * @param {string|string[]} [options.ifHash] - only write if the record's current hash matches, see writeEntries
+ * @async
+ */
+exports.patch = async function (author, name, recordID, patcher, { ifVersion = undefined, ifHash = undefined } = {}) {
+  async function * entries () {
+    const current = await this.read(author, name, recordID)
+    if (current === undefined) throw createHttpError.NotFound(`Record ${recordID} doesn't exist`)
+    const updated = await patcher(current)
+    if (updated === undefined || updated === null) throw createHttpError.BadRequest('Patch cannot remove the whole record, delete it instead')
+    yield [recordID, updated]
+  }
+
+  const ifHashes = ifHash === undefined ? undefined : { [recordID]: ifHash }
+  await this.writeEntries(author, name, entries.call(this), { ifVersion, ifHashes })
+}
+
 /* given an input object, merge it (like Object.assign) on to the dataset, but delete any entries whose value is undefined or null */
 exports.merge = async function (author, name, records) {
   return await this.writeEntries(author, name, records, { overwrite: false })
@@ -238,20 +827,31 @@ exports.overwrite = async function (author, name, records) {
  * @param {string} author - author account name who owns dataset
  * @param {string} name - name of dataset
  * @param {string} [recordID] - the dataset record's name
+ * @param {object} [options]
+ * @param {number|number[]} [options.ifVersion] - only delete if the collection is currently at this version
+ * @param {string|string[]} [options.ifHash] - only delete the record if it's current hash matches, or '*' if it must exist
  * @async
  */
-exports.delete = async function (author, name, recordID = undefined) {
+exports.delete = async function (author, name, recordID = undefined, { ifVersion = undefined, ifHash = undefined } = {}) {
   if (typeof recordID === 'string') {
     assert(recordID.length > 0, 'recordID can\'t be an empty string')
     await this.updateMeta(author, name, async meta => {
+      checkHash(meta, recordID, ifHash)
+      const previousRecords = { ...meta.records }
+      delete meta.records[recordID]
+      await this.appendHistory(author, name, previousRecords, meta)
+
       const archive = this.getDataArchive(author, name)
       await archive.delete(recordID)
-
-      delete meta.records[recordID]
       return meta
-    })
+    }, { ifVersion })
   } else {
-    await this.getFileStore(author, name).delete([])
+    const file = this.getFileStore(author, name)
+    // check the version while holding the meta lock, so nothing can write between the check and the delete
+    await file.update(['meta'], async meta => {
+      if (meta) checkVersion(meta, ifVersion)
+      await file.delete([])
+    })
     process.nextTick(() => updateEvents.pathUpdated(codec.path.encode('meta', 'system', 'system', this.source)))
   }
 }
@@ -297,6 +897,7 @@ exports.create = async function (author, name, config = {}) {
  * Get a DatasetArchive instance which can read and manipulate the records collection of this dataset
  * @param {string} author - author/owner name
  * @param {string} name - collection name
+ * @param {string|string[]} [archiveName] - path of the archive inside the collection's folder, defaults to 'data'
  * @returns {DatasetArchive}
  */
 exports.getDataArchive = function (author, name, archiveName = 'data') {
@@ -305,10 +906,10 @@ exports.getDataArchive = function (author, name, archiveName = 'data') {
   return new DatasetArchive({
     io: {
       async * read () {
-        yield * fileStore.readIter([archiveName])
+        yield * fileStore.readIter([archiveName].flat())
       },
       async write (iterable) {
-        await fileStore.writeIter([archiveName], iterable)
+        await fileStore.writeIter([archiveName].flat(), iterable)
       }
     },
     codec: codec.cbor
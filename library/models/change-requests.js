@@ -0,0 +1,261 @@
+/**
+ * Change Requests Model - lets an author propose changes from one of their datasets (usually a fork) to a dataset they
+ * can't write to. The target dataset's owner reviews the proposed records, accepting or rejecting each one. Accepted
+ * records are written in to the target dataset, unless the target's record has changed since it was proposed. Change
+ * requests are stored inside the target dataset's folder, so they are removed along with it. Proposed records hold on
+ * to the attachments they use until they're reviewed, so the attachments are still stored if they're accepted.
+ * @module
+ */
+const dataset = require('./dataset')
+const attachments = require('./attachments')
+const codec = require('./codec')
+const recordStructure = require('../utility/record-structure')
+const assert = require('assert')
+const tq = require('tiny-function-queue')
+const createHttpError = require('http-errors')
+const stringNaturalCompare = require('string-natural-compare')
+
+/**
+ * @typedef {object} ProposedChange
+ * @property {string} id - recordID
+ * @property {'create'|'update'|'delete'} type - what the change does to the target dataset
+ * @property {string} [hash] - hash of the proposed value, undefined for deletions
+ * @property {string|null} base - hash of the target record the change was compared with, null if it didn't exist
+ */
+
+/**
+ * @typedef {object} ChangeRequestRecord
+ * @property {'create'|'update'|'delete'} type - what the change does to the target dataset
+ * @property {'pending'|'accepted'|'rejected'} status - review status
+ * @property {string} [hash] - hash of the proposed value
+ * @property {string|null} base - hash of the target record when the change was proposed, null if it didn't exist
+ * @property {*} [data] - proposed value, undefined for deletions
+ */
+
+/**
+ * @typedef {object} ChangeRequest
+ * @property {number} id - number of the change request, unique within the target dataset
+ * @property {string} author - author who submitted the change request
+ * @property {string} from - data path of the dataset the changes were proposed from
+ * @property {string} memo - description of the changes
+ * @property {'open'|'closed'} status - closed once every record is reviewed, or if it's withdrawn
+ * @property {number} created - ms epoch timestamp
+ * @property {number} updated - ms epoch timestamp
+ * @property {number} fromVersion - version of the source dataset the records were copied from
+ * @property {number} [forkVersion] - if the source is a fork of the target, the version of the fork holding the copy,
+ *                                    changes made after it were proposed
+ * @property {Object.<string, ChangeRequestRecord>} records - proposed changes, by recordID
+ */
+
+function store (author, name) {
+  return dataset.getFileStore(author, name)
+}
+
+// arguments to attachments.holdFor() and releaseFor(), for the attachments used by some records of a change request
+function attachmentHolds (author, name, id, records, recordIDs) {
+  const path = codec.path.encode('datasets', author, name)
+  return recordIDs.flatMap(recordID => {
+    if (records[recordID].data === undefined) return []
+    return recordStructure.listHashURLs(records[recordID].data).map(({ hash }) => [hash, path, `change-requests/${id}/records/${recordID}`])
+  })
+}
+
+async function releaseAttachments (author, name, id, records, recordIDs) {
+  for (const hold of attachmentHolds(author, name, id, records, recordIDs)) await attachments.releaseFor(...hold)
+}
+
+/**
+ * list the records which differ between a source dataset and a target dataset. If the source is a fork of the target,
+ * only records changed in the fork are listed, including deletions. Otherwise any record in the source which is new
+ * or different is listed, and nothing is deleted.
+ * @param {string} fromAuthor - owner of the source dataset
+ * @param {string} fromName - name of the source dataset
+ * @param {string} toAuthor - owner of the target dataset
+ * @param {string} toName - name of the target dataset
+ * @returns {ProposedChange[]}
+ * @async
+ */
+exports.compare = async function (fromAuthor, fromName, toAuthor, toName) {
+  for (const [author, name] of [[fromAuthor, fromName], [toAuthor, toName]]) {
+    if (!await dataset.exists(author, name)) throw createHttpError.NotFound(`Dataset ${author}:${name} doesn't exist`)
+  }
+  const from = await dataset.readMeta(fromAuthor, fromName)
+  const to = await dataset.readMeta(toAuthor, toName)
+  const forked = from.forkedFrom && from.forkedFrom.path === codec.path.encode('datasets', toAuthor, toName)
+
+  const base = id => to.records[id] ? to.records[id].hash : null
+  const changes = []
+  if (forked) {
+    for await (const { id, hash, deleted } of dataset.iterateChanges(fromAuthor, fromName, from.forkedFrom.forkVersion)) {
+      if (deleted) {
+        if (to.records[id]) changes.push({ id, type: 'delete', base: base(id) })
+      } else if (!to.records[id] || to.records[id].hash !== hash) {
+        changes.push({ id, type: to.records[id] ? 'update' : 'create', hash, base: base(id) })
+      }
+    }
+  } else {
+    for (const [id, { hash }] of Object.entries(from.records)) {
+      if (!to.records[id] || to.records[id].hash !== hash) {
+        changes.push({ id, type: to.records[id] ? 'update' : 'create', hash, base: base(id) })
+      }
+    }
+  }
+
+  return changes.sort((a, b) => stringNaturalCompare(a.id, b.id))
+}
+
+/**
+ * Submit a change request, proposing records from one dataset be written in to another. The proposed values are copied
+ * in to the change request, so later changes to the source dataset don't alter it.
+ * @param {string} author - author submitting the request, who must own the source dataset
+ * @param {string} fromName - name of the source dataset
+ * @param {string} toAuthor - owner of the target dataset
+ * @param {string} toName - name of the target dataset
+ * @param {object} [options]
+ * @param {string} [options.memo] - description of the changes
+ * @param {string[]} [options.recordIDs] - only propose these records, defaults to every changed record
+ * @returns {number} id of the new change request
+ * @async
+ */
+exports.create = async function (author, fromName, toAuthor, toName, { memo = '', recordIDs = undefined } = {}) {
+  assert(typeof memo === 'string', 'memo must be a string')
+  let changes = await exports.compare(author, fromName, toAuthor, toName)
+  if (recordIDs !== undefined) {
+    const selected = new Set([recordIDs].flat())
+    changes = changes.filter(({ id }) => selected.has(id))
+  }
+  if (changes.length === 0) throw createHttpError.BadRequest('There are no changes to propose')
+
+  const { version: fromVersion, forkedFrom } = await dataset.readMeta(author, fromName)
+  const forkVersion = forkedFrom && forkedFrom.path === codec.path.encode('datasets', toAuthor, toName) ? forkedFrom.forkVersion : undefined
+  const records = Object.fromEntries(changes.map(({ id, type, hash, base }) => [id, { type, status: 'pending', hash, base }]))
+  for await (const { id, read } of dataset.iterate(author, fromName, { fastRead: true })) {
+    if (records[id] && records[id].type !== 'delete') records[id].data = await read()
+  }
+
+  return await tq.lockWhile(['change-requests', toAuthor, toName], async () => {
+    const ids = await exports.list(toAuthor, toName)
+    const id = ids.length > 0 ? Math.max(...ids) + 1 : 1
+    try {
+      for (const hold of attachmentHolds(toAuthor, toName, id, records, Object.keys(records))) await attachments.holdFor(...hold)
+    } catch (err) {
+      await releaseAttachments(toAuthor, toName, id, records, Object.keys(records))
+      throw err
+    }
+    await store(toAuthor, toName).write(['change-requests', `${id}`], {
+      id,
+      author,
+      from: codec.path.encode('datasets', author, fromName),
+      memo,
+      status: 'open',
+      created: Date.now(),
+      updated: Date.now(),
+      fromVersion,
+      forkVersion,
+      records
+    })
+    return id
+  })
+}
+
+/**
+ * list the ids of the change requests submitted to a dataset
+ * @param {string} author - owner of the target dataset
+ * @param {string} name - name of the target dataset
+ * @returns {number[]}
+ * @async
+ */
+exports.list = async function (author, name) {
+  const ids = []
+  try {
+    for await (const file of store(author, name).iterateFiles(['change-requests'])) {
+      if (/^[0-9]+$/.test(file)) ids.push(parseInt(file))
+    }
+  } catch (err) {
+    if (err.code !== 'ENOENT') throw err
+  }
+  return ids.sort((a, b) => a - b)
+}
+
+/**
+ * read a change request
+ * @param {string} author - owner of the target dataset
+ * @param {string} name - name of the target dataset
+ * @param {number} id - change request number
+ * @returns {ChangeRequest}
+ * @async
+ */
+exports.read = async function (author, name, id) {
+  const request = await store(author, name).read(['change-requests', `${id}`]).catch(err => {
+    if (err.code !== 'ENOENT') throw err
+  })
+  if (!request) throw createHttpError.NotFound('Change request doesn\'t exist')
+  return request
+}
+
+/**
+ * Review records in a change request. Accepted records are written to the target dataset in one version, and link to
+ * any attachments they use, and the change request lets go of attachments used by reviewed records. Once no records
+ * are pending, the change request is closed.
+ * @param {string} author - owner of the target dataset
+ * @param {string} name - name of the target dataset
+ * @param {number} id - change request number
+ * @param {object} decisions
+ * @param {string[]} [decisions.accept] - recordIDs to accept
+ * @param {string[]} [decisions.reject] - recordIDs to reject
+ * @async
+ */
+exports.review = async function (author, name, id, { accept = [], reject = [] } = {}) {
+  accept = [accept].flat()
+  reject = [reject].flat()
+
+  await tq.lockWhile(['change-requests', author, name], async () => {
+    const request = await exports.read(author, name, id)
+    if (request.status !== 'open') throw createHttpError.Conflict('Change request is closed')
+    for (const recordID of [...accept, ...reject]) {
+      if (!request.records[recordID]) throw createHttpError.BadRequest(`Change request doesn't include record ${recordID}`)
+      if (request.records[recordID].status !== 'pending') throw createHttpError.Conflict(`Record ${recordID} has already been reviewed`)
+    }
+    const accepted = accept.filter(recordID => !reject.includes(recordID))
+
+    if (accepted.length > 0) {
+      const entries = accepted.map(recordID => [recordID, request.records[recordID].data])
+      // only write records which haven't changed in the target since they were proposed, so later edits aren't lost
+      const ifHashes = Object.fromEntries(accepted.map(recordID => [recordID, request.records[recordID].base]))
+      try {
+        await dataset.writeEntries(author, name, entries, { ifHashes })
+      } catch (err) {
+        if (err.status === 412) throw createHttpError.Conflict(`Can't accept records which changed after the change request was made. ${err.message}`)
+        throw err
+      }
+      await dataset.linkAttachments(author, name, accepted)
+    }
+
+    for (const recordID of accepted) request.records[recordID].status = 'accepted'
+    for (const recordID of reject) request.records[recordID].status = 'rejected'
+    if (Object.values(request.records).every(({ status }) => status !== 'pending')) request.status = 'closed'
+    request.updated = Date.now()
+
+    await store(author, name).write(['change-requests', `${id}`], request)
+    // accepted records link to their attachments now, so the change request doesn't need to hold them anymore
+    await releaseAttachments(author, name, id, request.records, [...accepted, ...reject])
+  })
+}
+
+/**
+ * Withdraw a change request, closing it without changing the target dataset
+ * @param {string} author - owner of the target dataset
+ * @param {string} name - name of the target dataset
+ * @param {number} id - change request number
+ * @async
+ */
+exports.close = async function (author, name, id) {
+  await tq.lockWhile(['change-requests', author, name], async () => {
+    const request = await exports.read(author, name, id)
+    const pending = Object.keys(request.records).filter(recordID => request.records[recordID].status === 'pending')
+    request.status = 'closed'
+    request.updated = Date.now()
+    await store(author, name).write(['change-requests', `${id}`], request)
+    await releaseAttachments(author, name, id, request.records, pending)
+  })
+}
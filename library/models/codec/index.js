@@ -37,8 +37,12 @@ exports.extensionHandlers = Object.fromEntries(Object.values(exports).flatMap(va
  */
 exports.for = function (query) {
   query = `${query}`.toLowerCase()
-  if (exports.mediaTypeHandlers[query.split(';')[0]]) {
-    return exports.mediaTypeHandlers[query]
+  const mediaType = query.split(';')[0].trim()
+  if (exports.mediaTypeHandlers[mediaType]) {
+    return exports.mediaTypeHandlers[mediaType]
+  } else if (mediaType.includes('/') && mediaType.includes('+')) {
+    // structured syntax suffixes, like application/merge-patch+json, are handled by the codec for the suffix
+    return exports.extensionHandlers[mediaType.split('+').pop()]
   } else {
     for (const ext in exports.extensionHandlers) {
       if (query === ext || query.endsWith(`.${ext}`)) {
@@ -6,6 +6,9 @@
 const auth = require('./auth')
 const assert = require('assert')
 const settings = require('./settings')
+const codec = require('./codec')
+const createHttpError = require('http-errors')
+const Ajv = require('ajv').default
 
 Object.assign(exports, require('./base-data-model'))
 
@@ -16,12 +19,78 @@ exports.path = function (author, ...path) {
   return [...auth.authorFolder(author), 'datasets', ...path]
 }
 
-// validate a record is acceptable
-exports.validateRecord = function (id, data) {
+// validate a record is acceptable, and matches the dataset's schema if it has one
+exports.validateRecord = function (id, data, meta = {}) {
   assert(typeof id === 'string', 'recordID must be a string')
   assert(id !== '', 'recordID must not be empty')
   assert(id.length <= 10000, 'recordID cannot be longer than 10 thousand characters')
   assert(data !== undefined, 'record data cannot be set to undefined, use delete operation instead')
+
+  if (meta.schema !== undefined) {
+    const errors = exports.schemaErrors(meta.schema, data)
+    if (errors.length > 0) {
+      const [{ pointer, message }] = errors
+      const more = errors.length > 1 ? ` (and ${errors.length - 1} more problems)` : ''
+      const err = createHttpError.BadRequest(`Record “${id}” doesn’t match the dataset’s schema at “${pointer || '/'}”: ${message}${more}`)
+      err.recordID = id
+      err.schemaErrors = errors
+      throw err
+    }
+  }
+}
+
+// compiled JSON Schema validators, by hash of the schema
+const validators = new Map()
+
+/**
+ * compile a JSON Schema in to a validator function, throws if the schema itself is invalid
+ * @param {object|boolean} schema - JSON Schema
+ * @returns {function} ajv validate function
+ */
+exports.compileSchema = function (schema) {
+  const key = codec.objectHash(schema).toString('hex')
+  if (!validators.has(key)) {
+    if (validators.size >= 100) validators.clear()
+    // each schema gets it's own instance, so datasets using the same $id don't collide
+    const ajv = new Ajv({ strict: false, allErrors: true })
+    validators.set(key, ajv.compile(schema))
+  }
+  return validators.get(key)
+}
+
+/**
+ * @typedef {object} SchemaError
+ * @property {string} pointer - JSON Pointer to the part of the record which failed, empty string for the whole record
+ * @property {string} message - description of the problem
+ */
+
+/**
+ * list the ways a value doesn't match a JSON Schema
+ * @param {object|boolean} schema - JSON Schema
+ * @param {*} data - record value
+ * @returns {SchemaError[]} empty if the value is valid
+ */
+exports.schemaErrors = function (schema, data) {
+  const validate = exports.compileSchema(schema)
+  if (validate(data)) return []
+  return validate.errors.map(({ instancePath, message }) => ({ pointer: instancePath, message }))
+}
+
+/**
+ * Dry run a JSON Schema against the existing records of a dataset, listing every record which would fail to validate
+ * @param {string} author - author account name who owns dataset
+ * @param {string} name - name of dataset
+ * @param {object|boolean} schema - JSON Schema
+ * @returns {Array<{ id: string, errors: SchemaError[] }>}
+ * @async
+ */
+exports.checkSchema = async function (author, name, schema) {
+  const failures = []
+  for await (const { id, read } of this.iterate(author, name, { fastRead: true })) {
+    const errors = exports.schemaErrors(schema, await read())
+    if (errors.length > 0) failures.push({ id, errors })
+  }
+  return failures
 }
 
 /** validates config object for dataset/lens is valid
@@ -36,4 +105,80 @@ exports.validateConfig = async function (author, name, config) {
 
   assert(typeof config.memo === 'string', 'memo must be a string')
   assert(typeof config.version === 'number', 'version must be a number')
+  this.validateIndexes(config.indexes)
+
+  if (config.forkedFrom !== undefined) {
+    assert(config.forkedFrom && typeof config.forkedFrom.path === 'string', 'forkedFrom must contain the path of the original dataset')
+    assert(Number.isInteger(config.forkedFrom.version), 'forkedFrom must contain the version of the original dataset')
+    if (config.forkedFrom.forkVersion !== undefined) {
+      assert(Number.isInteger(config.forkedFrom.forkVersion), 'forkedFrom forkVersion must be the version of the fork holding the copy')
+    }
+  }
+
+  if (config.schema !== undefined) {
+    assert(typeof config.schema === 'boolean' || (config.schema && typeof config.schema === 'object' && !Array.isArray(config.schema)), 'schema must be a JSON Schema object')
+    try {
+      exports.compileSchema(config.schema)
+    } catch (err) {
+      assert.fail(`schema is invalid: ${err.message}`)
+    }
+  }
+}
+
+/**
+ * Rewrite the dataset so its records match an earlier version. This creates a new version of the dataset, going through
+ * writeEntries like any other write, so downstream lenses rebuild and attachment links are checked again.
+ * @param {string} author - author account name who owns dataset
+ * @param {string} name - name of dataset
+ * @param {number} version - earlier version number to restore records from
+ * @async
+ */
+exports.rollback = async function (author, name, version) {
+  assert(Number.isInteger(version) && version >= 0, 'version must be a positive whole number')
+  const meta = await this.readMeta(author, name)
+  assert(version < meta.version, `version must be older than the current version, ${meta.version}`)
+
+  async function * entries (self) {
+    for await (const { id, read } of self.iterate(author, name, { at: version, fastRead: true })) {
+      yield [id, await read()]
+    }
+  }
+
+  await this.writeEntries(author, name, entries(this), { overwrite: true })
+}
+
+/**
+ * Copy a dataset's records, memo, schema, and indexes in to a new dataset, which can belong to a different author.
+ * Attachments aren't copied, the new records are added as linkers to the same attachment blobs. The new dataset's meta
+ * has a forkedFrom property recording the path and version of the dataset it was copied from, and the forkVersion of
+ * the new dataset which holds the copy.
+ * @param {string} fromAuthor - author account name who owns the original dataset
+ * @param {string} fromName - name of the original dataset
+ * @param {string} toAuthor - author account name who will own the copy
+ * @param {string} toName - name of the new dataset
+ * @param {object} [config] - config overrides for the new dataset, like memo
+ * @async
+ */
+exports.fork = async function (fromAuthor, fromName, toAuthor, toName, config = {}) {
+  if (!await this.exists(fromAuthor, fromName)) throw createHttpError.NotFound('Dataset to fork doesn\'t exist')
+  const source = await this.readMeta(fromAuthor, fromName)
+  const forkedFrom = { path: codec.path.encode(this.source, fromAuthor, fromName), version: source.version }
+  const copied = Object.fromEntries(['memo', 'schema', 'indexes'].filter(key => source[key] !== undefined).map(key => [key, source[key]]))
+
+  await this.create(toAuthor, toName, { ...copied, ...config })
+  try {
+    async function * entries (self) {
+      for await (const { id, read } of self.iterate(fromAuthor, fromName, { at: source.version, fastRead: true })) {
+        yield [id, await read()]
+      }
+    }
+    // forkedFrom is written along with the copy, recording which version of the fork holds it, so changes made in the
+    // fork afterwards can be found
+    const alterMeta = meta => { meta.forkedFrom = { ...forkedFrom, forkVersion: meta.version } }
+    await this.writeEntries(toAuthor, toName, entries(this), { overwrite: true, alterMeta })
+    await this.linkAttachments(toAuthor, toName)
+  } catch (err) {
+    await this.delete(toAuthor, toName)
+    throw err
+  }
 }
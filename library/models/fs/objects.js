@@ -99,11 +99,6 @@ class FSObjects {
           },
           [Symbol.asyncIterator] () { return this }
         }
-      } else {
-        return {
-          async next () { return Promise.resolve({ value: undefined, done: true }) },
-          [Symbol.asyncIterator] () { return this }
-        }
       }
     })
   }
@@ -0,0 +1,175 @@
+/**
+ * Lens Builds Model - a queue of lens builds which run in the background, so configuring a lens responds straight
+ * away, and a slow lens doesn't hold up builds of other lenses. A few lenses build at once, but each lens only has one
+ * build running at a time. The status of each lens's latest build is stored in its folder, so queued builds, and
+ * builds interrupted by a restart, resume when the server starts up again.
+ * @module
+ */
+const lens = require('./lens')
+const codec = require('./codec')
+const settings = require('./settings')
+const createHttpError = require('http-errors')
+
+/**
+ * @typedef {object} LensBuild
+ * @property {'queued'|'running'|'failed'|'done'} status
+ * @property {number} queued - ms epoch timestamp when the build was queued
+ * @property {number} [started] - ms epoch timestamp when the build started running
+ * @property {number} [finished] - ms epoch timestamp when the build finished or failed
+ * @property {{ done: number, total: number }} [progress] - input records processed, out of the total
+ * @property {{ type: string, message: string }} [error] - why the build failed, or was cancelled
+ */
+
+const builds = new Map() // lens paths, with the state of their queued or running build
+const queue = [] // paths of lenses waiting for a free slot to build in, oldest first
+let running = 0 // how many builds are running
+
+// lens build status, without the in memory book keeping
+function status ({ status, queued, started, finished, progress, error }) {
+  return Object.fromEntries(Object.entries({ status, queued, started, finished, progress, error }).filter(([, value]) => value !== undefined))
+}
+
+// store the status of a build in the lens's folder, unless the lens has been deleted. Holds the meta lock, which
+// deletes hold too, so the status can't recreate the folder of a lens deleted in the mean time
+async function save (path, build) {
+  const { author, name } = codec.path.decode(path)
+  const file = lens.getFileStore(author, name)
+  await file.update(['meta'], async meta => {
+    if (meta) await file.write(['build'], status(build))
+  })
+}
+
+// start queued builds while there are free slots
+function next () {
+  while (running < settings.lensBuildConcurrency && queue.length > 0) {
+    running += 1
+    run(queue.shift()).finally(() => {
+      running -= 1
+      next()
+    })
+  }
+}
+
+async function run (path) {
+  const build = builds.get(path)
+  const { author, name } = codec.path.decode(path)
+  Object.assign(build, { status: 'running', started: Date.now(), progress: { done: 0, total: 0 } })
+  try {
+    await save(path, build)
+    await lens.build(author, name, {
+      progress: progress => { build.progress = progress },
+      cancelled: () => build.cancelled
+    })
+    build.status = 'done'
+  } catch (err) {
+    build.status = 'failed'
+    if (build.cancelled) {
+      build.error = { type: 'Cancelled', message: 'Build cancelled' }
+    } else {
+      build.error = { type: err.type || err.name, message: err.message }
+      console.error('lens build error', err)
+    }
+  }
+  build.finished = Date.now()
+
+  // if something changed while the build was running, build again
+  const again = build.again && !build.cancelled
+  if (again) {
+    builds.set(path, { status: 'queued', queued: Date.now(), waiting: build.waiting })
+    queue.push(path)
+  } else {
+    builds.delete(path)
+  }
+
+  try {
+    await save(path, again ? builds.get(path) : build)
+  } catch (err) {
+    console.error('lens build status error', err)
+  }
+  if (!again) for (const resolve of build.waiting) resolve(status(build))
+}
+
+/**
+ * read the status of a lens's latest build
+ * @param {string} author - lens owner
+ * @param {string} name - lens name
+ * @returns {LensBuild|undefined} undefined if the lens has never been built in the background
+ * @async
+ */
+exports.read = async function (author, name) {
+  const path = codec.path.encode('lenses', author, name)
+  if (builds.has(path)) return status(builds.get(path))
+  if (await lens.getFileStore(author, name).exists(['build'])) return await lens.getFileStore(author, name).read(['build'])
+}
+
+/**
+ * Queue a lens to build in the background. Lenses which are already queued stay in the same place in the queue, and
+ * lenses which are building now build again afterwards
+ * @param {string} author - lens owner
+ * @param {string} name - lens name
+ * @returns {LensBuild}
+ * @async
+ */
+exports.enqueue = async function (author, name) {
+  const path = codec.path.encode('lenses', author, name)
+  if (!builds.has(path)) {
+    const build = { status: 'queued', queued: Date.now(), waiting: [] }
+    builds.set(path, build)
+    await save(path, build)
+    queue.push(path)
+    next()
+  } else if (builds.get(path).status === 'running') {
+    builds.get(path).again = true
+  }
+  return status(builds.get(path))
+}
+
+/**
+ * wait for any queued or running build of a lens to finish, including builds queued again while it was running
+ * @param {string} author - lens owner
+ * @param {string} name - lens name
+ * @returns {LensBuild|undefined} status of the finished build
+ * @async
+ */
+exports.wait = async function (author, name) {
+  const path = codec.path.encode('lenses', author, name)
+  if (!builds.has(path)) return await exports.read(author, name)
+  return await new Promise(resolve => builds.get(path).waiting.push(resolve))
+}
+
+/**
+ * Cancel a lens's queued or running build. Running builds stop mapping input records, keeping earlier results of any
+ * they haven't mapped yet
+ * @param {string} author - lens owner
+ * @param {string} name - lens name
+ * @async
+ */
+exports.cancel = async function (author, name) {
+  const path = codec.path.encode('lenses', author, name)
+  const build = builds.get(path)
+  if (!build) throw createHttpError.Conflict('Lens isn’t queued or building')
+
+  build.cancelled = true
+  if (build.status === 'queued') {
+    queue.splice(queue.indexOf(path), 1)
+    builds.delete(path)
+    Object.assign(build, { status: 'failed', finished: Date.now(), error: { type: 'Cancelled', message: 'Build cancelled' } })
+    await save(path, build)
+    for (const resolve of build.waiting) resolve(status(build))
+  }
+}
+
+/**
+ * queue up any builds which were queued or running when the server stopped
+ * @async
+ */
+exports.resume = async function () {
+  const interrupted = []
+  for await (const { author, name } of lens.iterateAll()) {
+    const build = await exports.read(author, name)
+    if (build && ['queued', 'running'].includes(build.status)) interrupted.push({ author, name, queued: build.queued })
+  }
+
+  interrupted.sort((a, b) => a.queued - b.queued)
+  for (const { author, name } of interrupted) await exports.enqueue(author, name)
+}
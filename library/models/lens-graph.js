@@ -0,0 +1,214 @@
+/**
+ * Lens Graph Model - a cached graph of which datasets and lenses each lens takes as inputs or looks up. It stops lenses
+ * from taking their own output as an input, directly or through other lenses, and rebuilds lenses when their inputs
+ * change, in an order where each lens builds after any lenses it takes as inputs, so a change upstream rebuilds each
+ * lens once.
+ * @module
+ */
+const codec = require('./codec')
+const settings = require('./settings')
+
+let graph // promise of a Map of lens paths, to arrays of the collection paths the lens takes as inputs or lookups
+const pending = new Set() // paths of lenses waiting to rebuild
+let running // promise of the loop rebuilding pending lenses, while it's running
+let wake = () => {} // wakes the rebuild loop while it waits for builds, when more lenses need rebuilding
+const refreshing = new Set() // promises of lenses being refreshed in the graph
+
+// collection path of a data path, inputs which are a specific record depend on the whole collection
+function collection (path) {
+  const { source, author, name } = codec.path.decode(path)
+  return codec.path.encode({ source, author, name })
+}
+
+// collection paths a lens depends on, it rebuilds when its inputs or lookups change
+function sources ({ inputs, lookups = [] }) {
+  return [...inputs, ...lookups].map(collection)
+}
+
+async function load () {
+  const lens = require('./lens') // break cyclic dependency
+  const lenses = new Map()
+  for await (const { author, name } of lens.iterateAll()) {
+    lenses.set(codec.path.encode('lenses', author, name), sources(await lens.readMeta(author, name)))
+  }
+  return lenses
+}
+
+/**
+ * read the graph, loading it the first time it's needed
+ * @returns {Map<string, string[]>} lens paths, with the collection paths each takes as inputs or looks up
+ * @async
+ */
+exports.read = async function () {
+  if (!graph) {
+    const loading = graph = load()
+    loading.catch(() => { if (graph === loading) graph = undefined })
+  }
+  return await graph
+}
+
+/**
+ * update a lens's inputs in the graph, after it's created or configured
+ * @param {string} author - lens owner
+ * @param {string} name - lens name
+ * @async
+ */
+exports.refresh = async function (author, name) {
+  const lens = require('./lens') // break cyclic dependency
+  // like auth.iterate(), leave out system accounts, which only hold ephemeral lenses
+  if (settings.forbiddenAuthorNames.includes(author)) return
+  const lenses = await exports.read()
+  const path = codec.path.encode('lenses', author, name)
+  if (await lens.exists(author, name)) {
+    lenses.set(path, sources(await lens.readMeta(author, name)))
+  } else {
+    lenses.delete(path)
+  }
+}
+
+/** forget the graph, so it reloads next time it's needed, after lenses are deleted */
+exports.reset = function () {
+  graph = undefined
+}
+
+/**
+ * lenses which directly take a dataset or lens as an input
+ * @param {string} path - data path of a dataset or lens, or a record inside one
+ * @returns {string[]} lens paths
+ * @async
+ */
+exports.downstream = async function (path) {
+  const target = collection(path)
+  const lenses = await exports.read()
+  return [...lenses].filter(([, inputs]) => inputs.includes(target)).map(([lensPath]) => lensPath)
+}
+
+/**
+ * find the loop of lenses there would be if a lens took these inputs
+ * @param {string} path - data path of the lens
+ * @param {string[]} inputs - data paths the lens would take as inputs
+ * @returns {string[]|undefined} lens paths in the order data flows around the loop, starting and ending with this lens
+ * @async
+ */
+exports.findCycle = async function (path, inputs) {
+  const lenses = new Map(await exports.read())
+  lenses.set(path, inputs.map(collection))
+  const visited = new Set()
+  const visit = (current, trail) => {
+    for (const input of lenses.get(current) || []) {
+      if (input === path) return [...trail, input]
+      if (lenses.has(input) && !visited.has(input)) {
+        visited.add(input)
+        const loop = visit(input, [...trail, input])
+        if (loop) return loop
+      }
+    }
+  }
+  const loop = visit(path, [path])
+  if (loop) return loop.reverse()
+}
+
+/**
+ * order lenses so each comes after any lenses it takes as inputs. Lenses in a loop, or downstream of one, are left out
+ * @returns {string[]} lens paths
+ * @async
+ */
+exports.buildOrder = async function () {
+  const lenses = await exports.read()
+  const remaining = new Map([...lenses].map(([path, inputs]) => [path, inputs.filter(input => lenses.has(input))]))
+  const order = []
+  let ready
+  do {
+    ready = [...remaining.keys()].filter(path => remaining.get(path).every(input => !remaining.has(input)))
+    for (const path of ready) {
+      remaining.delete(path)
+      order.push(path)
+    }
+  } while (ready.length > 0)
+  return order
+}
+
+// lens paths a lens takes input from, directly or through other lenses
+function upstream (lenses, path, found = new Set()) {
+  for (const input of lenses.get(path) || []) {
+    if (lenses.has(input) && !found.has(input)) {
+      found.add(input)
+      upstream(lenses, input, found)
+    }
+  }
+  return found
+}
+
+// rebuild pending lenses until none are left, starting each once no lens upstream of it is pending or building, so
+// lenses which don't depend on each other build at the same time
+async function rebuild () {
+  const lensBuilds = require('./lens-builds') // break cyclic dependency
+  const building = new Map() // lens paths, to promises which resolve when the build finishes
+  while (pending.size > 0 || building.size > 0) {
+    const lenses = await exports.read()
+    const order = await exports.buildOrder()
+    for (const path of pending) {
+      if (!lenses.has(path)) {
+        pending.delete(path)
+      } else if (!order.includes(path)) {
+        console.error(`not rebuilding ${path}, it takes input from a loop of lenses`)
+        pending.delete(path)
+      }
+    }
+
+    const busy = new Set([...pending, ...building.keys()])
+    for (const path of pending) {
+      if (building.has(path) || [...upstream(lenses, path)].some(input => busy.has(input))) continue
+      pending.delete(path)
+      const { author, name } = codec.path.decode(path)
+      building.set(path, (async () => {
+        try {
+          await lensBuilds.enqueue(author, name)
+          await lensBuilds.wait(author, name)
+        } catch (err) {
+          console.error('background lens rebuild error', err)
+        }
+        // let change events from the build queue up lenses downstream, before choosing which to build next
+        await new Promise(resolve => setImmediate(resolve))
+        building.delete(path)
+      })())
+    }
+
+    // wait for a build to finish, or more lenses to need rebuilding
+    if (building.size > 0) await Promise.race([...building.values(), new Promise(resolve => { wake = resolve })])
+  }
+}
+
+/**
+ * handle a change event, keeping the graph up to date, and rebuilding lenses downstream of a dataset or lens which
+ * changed, after any other pending rebuilds they depend on
+ * @param {string} path - data path which changed
+ * @async
+ */
+exports.changed = async function (path) {
+  const { source, author, name } = codec.path.decode(path)
+  if (source === 'meta') return exports.reset()
+
+  if (source === 'lenses') {
+    const refresh = exports.refresh(author, name).catch(err => console.error('lens graph refresh error', err))
+    refreshing.add(refresh)
+    refresh.then(() => refreshing.delete(refresh))
+  }
+
+  for (const lensPath of await exports.downstream(path)) pending.add(lensPath)
+  if (!running && pending.size > 0) {
+    running = rebuild().finally(() => { running = undefined })
+  } else if (pending.size > 0) {
+    wake()
+  }
+  await exports.settled()
+}
+
+/**
+ * wait until the graph is up to date, and background rebuilds have finished
+ * @async
+ */
+exports.settled = async function () {
+  const busy = () => [running, ...refreshing].filter(promise => promise !== undefined)
+  while (busy().length > 0) await Promise.all(busy())
+}
@@ -0,0 +1,186 @@
+/**
+ * Lens Jobs Model - a queue of map jobs for remote lenses. Remote lenses are mapped by workers which can't be reached
+ * by the server, like a computer on a home network, so instead of the server calling them, they pull jobs from the
+ * queue. Lens builds queue a job for each input which needs mapping, remote workers claim a job with a lease, and
+ * submit the result before the lease expires, otherwise the job is given to the next worker which asks. Results are
+ * used by the next build. Jobs are stored inside the lens's folder, so they are removed along with it.
+ * @module
+ */
+const lens = require('./lens')
+const lensBuilds = require('./lens-builds')
+const codec = require('./codec')
+const settings = require('./settings')
+const mapOutput = require('../utility/map-output')
+const tq = require('tiny-function-queue')
+const crypto = require('crypto')
+const timestring = require('timestring')
+const createHttpError = require('http-errors')
+
+/**
+ * @typedef {object} LensJob
+ * @property {string} id - job id, unique to the input path and version
+ * @property {string} path - data path of the input record
+ * @property {number} version - version of the input record
+ * @property {*} data - value of the input record
+ * @property {number} created - ms epoch timestamp
+ * @property {{ worker: string, token: string, expires: number }} [lease] - which author's worker claimed it, and until when
+ * @property {import('../workers/lens-worker-base').MapOutput} [result] - map output submitted by a remote worker
+ */
+
+function store (author, name) {
+  return lens.getFileStore(author, name)
+}
+
+/**
+ * job id for a version of an input record
+ * @param {string} path - data path of the input record
+ * @param {number} version - version of the input record
+ * @returns {string}
+ */
+exports.jobID = function (path, version) {
+  return codec.objectHash([path, version]).toString('hex').slice(0, 32)
+}
+
+/**
+ * Queue a job to map an input record, if it isn't queued already
+ * @param {string} author - lens owner
+ * @param {string} name - lens name
+ * @param {string} path - data path of the input record
+ * @param {number} version - version of the input record
+ * @param {*} data - value of the input record
+ * @returns {string} job id
+ * @async
+ */
+exports.enqueue = async function (author, name, path, version, data) {
+  const id = exports.jobID(path, version)
+  await tq.lockWhile(['lens-jobs', author, name], async () => {
+    if (!await store(author, name).exists(['jobs', id])) {
+      await store(author, name).write(['jobs', id], { id, path, version, data, created: Date.now() })
+    }
+  })
+  return id
+}
+
+/**
+ * list the ids of every job in a lens's queue
+ * @param {string} author - lens owner
+ * @param {string} name - lens name
+ * @returns {string[]}
+ * @async
+ */
+exports.list = async function (author, name) {
+  const ids = []
+  try {
+    for await (const file of store(author, name).iterateFiles(['jobs'])) ids.push(file)
+  } catch (err) {
+    if (err.code !== 'ENOENT') throw err
+  }
+  return ids.sort()
+}
+
+/**
+ * read a job
+ * @param {string} author - lens owner
+ * @param {string} name - lens name
+ * @param {string} id - job id
+ * @returns {LensJob|undefined}
+ * @async
+ */
+exports.read = async function (author, name, id) {
+  return await store(author, name).read(['jobs', id]).catch(err => {
+    if (err.code !== 'ENOENT') throw err
+  })
+}
+
+/**
+ * Claim the next job which doesn't have a result, and isn't leased to another worker
+ * @param {string} author - lens owner
+ * @param {string} name - lens name
+ * @param {object} [options]
+ * @param {string} [options.worker] - name of the author whose worker is claiming the job
+ * @param {string} [options.leaseTime] - how long the worker has to submit a result, defaults to the remoteLeaseTime setting
+ * @param {number} [options.now] - ms epoch time to check leases against, and start the new lease from
+ * @returns {LensJob|undefined} the claimed job, with a lease, or undefined if there's nothing to do
+ * @async
+ */
+exports.claim = async function (author, name, { worker = author, leaseTime = settings.remoteLeaseTime, now = Date.now() } = {}) {
+  return await tq.lockWhile(['lens-jobs', author, name], async () => {
+    for (const id of await exports.list(author, name)) {
+      const job = await exports.read(author, name, id)
+      if (!job || job.result || (job.lease && job.lease.expires > now)) continue
+
+      job.lease = {
+        worker,
+        token: crypto.randomBytes(16).toString('hex'),
+        expires: now + timestring(leaseTime, 'ms')
+      }
+      await store(author, name).write(['jobs', id], job)
+      return job
+    }
+  })
+}
+
+/**
+ * Submit the result of a job. The lease token must match the job's current lease, but expired leases are still
+ * accepted, as long as the job hasn't been claimed by another worker since.
+ * @param {string} author - lens owner
+ * @param {string} name - lens name
+ * @param {string} id - job id
+ * @param {string} token - lease token, from the claimed job
+ * @param {import('../workers/lens-worker-base').MapOutput} result - outputs, logs, and errors of the map
+ * @async
+ */
+exports.complete = async function (author, name, id, token, result) {
+  let parsed
+  try {
+    parsed = mapOutput.parse(result)
+  } catch (err) {
+    throw createHttpError.BadRequest(err.message)
+  }
+
+  await tq.lockWhile(['lens-jobs', author, name], async () => {
+    const job = await exports.read(author, name, id)
+    if (!job) throw createHttpError.NotFound('Job doesn\'t exist, it may have been replaced by a newer version of the input')
+    if (job.result) throw createHttpError.Conflict('Job already has a result')
+    if (!job.lease || job.lease.token !== token) throw createHttpError.Conflict('Lease has expired, and the job was claimed by another worker')
+    job.result = parsed
+    await store(author, name).write(['jobs', id], job)
+  })
+}
+
+/**
+ * remove every job which isn't in a list of ids to keep
+ * @param {string} author - lens owner
+ * @param {string} name - lens name
+ * @param {Set<string>} keep - ids of jobs to keep
+ * @async
+ */
+exports.prune = async function (author, name, keep) {
+  await tq.lockWhile(['lens-jobs', author, name], async () => {
+    for (const id of await exports.list(author, name)) {
+      if (!keep.has(id)) await store(author, name).delete(['jobs', id])
+    }
+  })
+}
+
+// lenses with a rebuild waiting to start
+const scheduled = new Set()
+
+/**
+ * Rebuild a lens soon, in the background, so results submitted together are used by one build
+ * @param {string} author - lens owner
+ * @param {string} name - lens name
+ */
+exports.scheduleBuild = function (author, name) {
+  const key = codec.path.encode('lenses', author, name)
+  if (scheduled.has(key)) return
+  scheduled.add(key)
+  setTimeout(async () => {
+    scheduled.delete(key)
+    try {
+      await lensBuilds.enqueue(author, name)
+    } catch (err) {
+      console.error('remote lens rebuild error', err)
+    }
+  }, 100)
+}
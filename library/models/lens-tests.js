@@ -0,0 +1,130 @@
+/**
+ * Lens Tests Model - runs a lens's test cases in a lens worker. Each test case has fixture input records, and the
+ * records the lens is expected to output from them. Tests never write to datasets or lenses, and only read the
+ * lens's lookups, so they're safe to run against code which hasn't been saved yet.
+ * @module
+ */
+const assert = require('assert')
+const codec = require('./codec')
+const reduce = require('../utility/reduce')
+const { LensWorker } = require('../workers/interface')
+
+/**
+ * @typedef {object} LensTest
+ * @property {string} name - describes what the test checks
+ * @property {Object<string, *>} inputs - fixture input records, with record data path keys
+ * @property {Object<string, *>} outputs - records the lens should output, with recordID keys
+ */
+
+/**
+ * @typedef {object} LensTestResult
+ * @property {string} name - name of the test
+ * @property {boolean} pass - true if the lens output exactly the expected records, without any errors
+ * @property {Object<string, *>} outputs - records the lens output, with recordID keys
+ * @property {Object<string, *>} expected - records the test expected
+ * @property {string[]} mismatched - recordIDs which were missing, unexpected, or had a different value
+ * @property {import('../workers/lens-worker-base').LensLog[]} logs - logs from map and reduce functions
+ * @property {import('../workers/lens-worker-base').LensError[]} errors - errors from map and reduce functions
+ */
+
+// map types which run in a local worker sandbox, so they can be tested
+exports.mapTypes = ['javascript', 'ruby', 'python']
+
+/**
+ * validate a list of lens tests, throwing an assertion error if any are malformed
+ * @param {LensTest[]} tests
+ */
+exports.validate = function (tests) {
+  assert(Array.isArray(tests), 'tests must be an array')
+  for (const test of tests) {
+    assert(test && typeof test === 'object', 'each test must be an object')
+    assert(typeof test.name === 'string' && test.name.trim() !== '', 'each test must have a name')
+    assert(test.inputs && typeof test.inputs === 'object' && !Array.isArray(test.inputs), `test “${test.name}” inputs must be an object with data path keys`)
+    for (const path of Object.keys(test.inputs)) {
+      const decoded = codec.path.decode(path)
+      assert(decoded && decoded.recordID !== undefined, `test “${test.name}” input ${path} must be a record data path`)
+    }
+    assert(test.outputs && typeof test.outputs === 'object' && !Array.isArray(test.outputs), `test “${test.name}” outputs must be an object with recordID keys`)
+  }
+}
+
+/**
+ * run tests against a lens configuration
+ * @param {object} config - lens configuration, which doesn't need to be saved
+ * @param {LensTest[]} [tests] - defaults to the tests in the lens configuration
+ * @returns {LensTestResult[]}
+ * @async
+ */
+exports.run = async function (config, tests = config.tests || []) {
+  assert(exports.mapTypes.includes(config.mapType), `tests can only run on ${exports.mapTypes.join(', ')} lenses`)
+  exports.validate(tests)
+  const customReduce = typeof config.reduceCode === 'string' && config.reduceCode.trim() !== ''
+
+  const worker = new LensWorker()
+  try {
+    const { errors: startupErrors } = await worker.startup(config)
+    const results = []
+    for (const test of tests) {
+      const logs = []
+      const errors = [...startupErrors]
+      const values = new Map()
+
+      if (startupErrors.length === 0) {
+        for (const [path, data] of Object.entries(test.inputs)) {
+          const result = await worker.map({ path, data })
+          logs.push(...result.logs)
+          errors.push(...result.errors)
+          // records which fail to map are skipped, like in lens builds
+          if (result.errors.length > 0) continue
+          for (const { id, data } of result.outputs) {
+            if (!values.has(id)) values.set(id, [])
+            values.get(id).push(data)
+          }
+        }
+      }
+
+      const outputs = {}
+      for (const [id, [first, ...rest]] of values) {
+        let value = first
+        for (const right of rest) {
+          if (customReduce) {
+            const result = await worker.reduce({ id, left: value, right })
+            logs.push(...result.logs)
+            errors.push(...result.errors)
+            value = result.value
+          } else {
+            value = reduce([value, right])
+          }
+        }
+        outputs[id] = value
+      }
+
+      const hash = value => codec.objectHash(value).toString('hex')
+      const mismatched = [...new Set([...Object.keys(test.outputs), ...Object.keys(outputs)])].filter(id => {
+        return !(id in outputs) || !(id in test.outputs) || hash(outputs[id]) !== hash(test.outputs[id])
+      })
+
+      results.push({
+        name: test.name,
+        pass: mismatched.length === 0 && errors.length === 0,
+        outputs,
+        expected: test.outputs,
+        mismatched,
+        logs,
+        errors
+      })
+    }
+    return results
+  } finally {
+    if (worker.started) await worker.shutdown()
+  }
+}
+
+/**
+ * check every test passed
+ * @param {LensTestResult[]} results
+ * @returns {boolean}
+ */
+exports.passed = function (results) {
+  return results.every(result => result.pass)
+}
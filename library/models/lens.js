@@ -1,13 +1,19 @@
 /**
- * Lenses are code which runs automatically either via local javascript interpreter or via webhook or remote service
+ * Lenses are code which runs automatically either via local javascript, ruby, or python interpreter or via webhook or remote service
  * Lenses must have deterministic output as pure functions, as their results are cached as long as the inputs haven't changed
- * - local javascript lenses are ideal for reformatting data and creating quick indexes
+ * - local javascript, ruby, and python lenses are ideal for reformatting data and creating quick indexes
  * - webhooks are ideal for computationally intensive tasks like machine translation, video content analysis
  * - remote services are ideal for heavy computation tasks that aren't highly available or don't have a public address
  *   or for situations where you want to implement your own throttling instead of responding on demand to the lens controller
  *
  * Lenses always include a 'reduce' function which combines multiple outputs that have the same recordID key, implemented in
  * javascript. The map function maybe a javascript function, a webhook or a remote service.
+ *
+ * Input records which fail to map are skipped by default, or with errorPolicy: 'abort', builds where any records fail
+ * keep the lens's earlier outputs.
+ *
+ * Javascript lenses can look up records in other datasets and lenses while mapping. Inputs which looked up records are
+ * mapped again when those records change.
  */
 const assert = require('assert')
 const codec = require('./codec')
@@ -16,10 +22,12 @@ const settings = require('./settings')
 const auth = require('./auth')
 const xbytes = require('xbytes')
 const updateEvents = require('../utility/update-events')
+const lensGraph = require('./lens-graph')
+const lensTests = require('./lens-tests')
 const { LensWorker } = require('../workers/interface')
 const reduce = require('../utility/reduce')
-const tfq = require('tiny-function-queue')
-const dataArc = require('dataset-archive/index.cjs')
+const recordStructure = require('../utility/record-structure')
+const attachments = require('./attachments')
 const ScratchPad = require('file-scratch-pad')
 
 Object.assign(exports, require('./base-data-model'))
@@ -42,16 +50,69 @@ exports.validateConfig = async function (author, name, config) {
   assert(typeof config.version === 'number', 'version must be a number')
 
   // assert(['webhook', 'javascript', 'remote'].includes(config.mapType), 'map type must be javascript, webhook, or remote')
-  assert(config.mapType === 'javascript', 'map type must be "javascript"')
-  assert(typeof config.code === 'string', 'map code must be a string')
+  assert(['javascript', 'ruby', 'python', 'webhook', 'remote'].includes(config.mapType), 'map type must be "javascript", "ruby", "python", "webhook", or "remote"')
+  if (config.mapType === 'webhook') {
+    this.validateWebhook(config.webhook)
+  } else if (config.mapType !== 'remote') {
+    assert(typeof config.code === 'string', 'map code must be a string')
+    assert(config.code.length < xbytes.parseSize(settings.lensCodeSize), `Lens code must be less than ${settings.lensCodeSize}`)
+  }
   assert(Array.isArray(config.inputs), 'inputs must be an array')
   assert(config.inputs.every(x => typeof x === 'string'), 'inputs entries must be strings')
-  assert(config.code.length < xbytes.parseSize(settings.lensCodeSize), `Lens code must be less than ${settings.lensCodeSize}`)
+  if (config.reduceCode !== undefined) {
+    assert(typeof config.reduceCode === 'string', 'reduce code must be a string')
+    assert(config.reduceCode.length < xbytes.parseSize(settings.lensCodeSize), `Lens reduce code must be less than ${settings.lensCodeSize}`)
+  }
+  if (config.lookups !== undefined) {
+    assert(Array.isArray(config.lookups), 'lookups must be an array')
+    assert(config.mapType === 'javascript', 'lookups are only available to javascript lenses')
+    for (const lookup of config.lookups) {
+      const params = typeof lookup === 'string' && codec.path.decode(lookup)
+      assert(params && ['datasets', 'lenses'].includes(params.source) && params.recordID === undefined, `lookup ${lookup} must be the path of a dataset or lens`)
+    }
+  }
+  if (config.params !== undefined) {
+    assert(config.params && typeof config.params === 'object' && !Array.isArray(config.params), 'params must be an object')
+    assert(config.mapType === 'javascript', 'params are only available to javascript lenses')
+    assert(codec.json.encode(config.params).length < xbytes.parseSize(settings.lensCodeSize), `Lens params must be less than ${settings.lensCodeSize}`)
+  }
+  assert(config.errorPolicy === undefined || ['skip', 'abort'].includes(config.errorPolicy), 'error policy must be "skip" or "abort"')
+  if (config.tests !== undefined) lensTests.validate(config.tests)
+  assert(config.requireTestsPass === undefined || typeof config.requireTestsPass === 'boolean', 'requireTestsPass must be a boolean')
+  this.validateIndexes(config.indexes)
 
   const readPath = require('./read-path') // break cyclic dependency
-  for (const input of config.inputs) {
+  for (const input of [...config.inputs, ...config.lookups || []]) {
     assert(await readPath.exists(input), `${input} doesn’t exist`)
   }
+
+  const loop = await lensGraph.findCycle(codec.path.encode(this.source, author, name), [...config.inputs, ...config.lookups || []])
+  if (loop) assert.fail(`inputs can’t include this lens’s own output, they would loop: ${loop.join(' → ')}`)
+}
+
+/**
+ * validate the webhook settings of a webhook lens
+ * @param {object} webhook
+ * @param {string} webhook.url - http or https url each input record is POSTed to
+ * @param {'json'|'cbor'} [webhook.format = 'json'] - encoding of requests, responses may use either
+ * @param {number} [webhook.concurrency = 1] - how many requests can be waiting for a response at once
+ * @param {number} [webhook.retries = 2] - how many times to retry requests which fail with network or server errors
+ */
+exports.validateWebhook = function (webhook) {
+  assert(webhook && typeof webhook === 'object', 'webhook settings must be an object')
+  assert(typeof webhook.url === 'string', 'webhook url must be a string')
+  let url
+  try { url = new URL(webhook.url) } catch (err) { assert.fail('webhook url must be a valid url') }
+  assert(['http:', 'https:'].includes(url.protocol), 'webhook url must be http or https')
+  assert(webhook.format === undefined || ['json', 'cbor'].includes(webhook.format), 'webhook format must be "json" or "cbor"')
+  if (webhook.concurrency !== undefined) {
+    assert(Number.isInteger(webhook.concurrency), 'webhook concurrency must be a whole number')
+    assert(webhook.concurrency >= 1 && webhook.concurrency <= settings.webhookMaxConcurrency, `webhook concurrency must be between 1 and ${settings.webhookMaxConcurrency}`)
+  }
+  if (webhook.retries !== undefined) {
+    assert(Number.isInteger(webhook.retries), 'webhook retries must be a whole number')
+    assert(webhook.retries >= 0 && webhook.retries <= settings.webhookMaxRetries, `webhook retries must be between 0 and ${settings.webhookMaxRetries}`)
+  }
 }
 
 // validate a record is acceptable
@@ -64,30 +125,38 @@ exports.validateRecord = async function (id, data) {
 
 // returns an object, with dataPath keys, and { author, name } values
 exports.getInputs = async function () {
-  // TODO: consider optimising/caching this somehow? seems expensive to do frequently
   const inputMap = {}
-  for await (const author of auth.iterate()) {
-    for await (const name of this.iterate(author)) {
-      const lensConfig = await this.readMeta(author, name)
-      for (const path of lensConfig.inputs) {
-        const normalized = codec.path.encode(codec.path.decode(path))
-        if (!Array.isArray(inputMap[normalized])) inputMap[normalized] = []
-        inputMap[normalized].push({ author, name })
-      }
+  for (const [lensPath, inputs] of await lensGraph.read()) {
+    const { author, name } = codec.path.decode(lensPath)
+    for (const path of inputs) {
+      if (!Array.isArray(inputMap[path])) inputMap[path] = []
+      inputMap[path].push({ author, name })
     }
   }
 
   return inputMap
 }
 
+/** async iterator outputs an object like iterateLogs, for each map or custom reduce which threw errors
+ * @yields {object}
+ */
+exports.iterateErrors = async function * (author, name) {
+  for await (const log of this.iterateLogs(author, name)) {
+    if (log.errors.length > 0) yield log
+  }
+}
+
 /** async iterator outputs an object for each map output, containing it's input
- *  path, error if any, and logs
+ *  path as input, error if any, and logs. Custom reduce functions which logged or threw are included too, with the
+ *  output's path as input, and function set to 'reduce'
  * @yields {object}
  */
 exports.iterateLogs = async function * (author, name) {
   const computeCache = this.getComputeCache(author, name)
-  for await (const [path, info] of computeCache.read({ decode: true })) {
-    yield { path, logs: info.logs, errors: info.errors }
+  for await (const [keyBuffer, valueBuffer] of readArchive(computeCache)) {
+    const path = computeCache.keyCodec.decode(keyBuffer)
+    const info = computeCache.valueCodec.decode(valueBuffer)
+    yield { input: path, function: info.function || 'map', logs: info.logs, errors: info.errors }
   }
 }
 
@@ -95,141 +164,413 @@ exports.iterateLogs = async function * (author, name) {
  * rebuild the lens output, refreshing any outputs based on expired cached content
  * @param {string} author - lens owner name
  * @param {string} name - lens name
+ * @param {object} [options]
+ * @param {function} [options.progress] - called with { done, total } counts of input records as they're processed
+ * @param {function} [options.cancelled] - returns true when the build should stop mapping inputs, keeping earlier
+ *   results of any it hasn't mapped yet. The build finishes writing, then rejects
  */
-exports.build = async function (author, name) {
+exports.build = async function (author, name, { progress = () => {}, cancelled = () => false } = {}) {
   const rp = require('./read-path')
+  const lensJobs = require('./lens-jobs') // break cyclic dependency
 
   const worker = new LensWorker()
-  /** @type {dataArc.DatasetArchive} */
+  /** @type {import('dataset-archive/dataset-archive.cjs').DatasetArchive} */
   const computeCache = this.getComputeCache(author, name)
+  /** @type {import('dataset-archive/dataset-archive.cjs').DatasetArchive} */
+  const dataArchive = this.getDataArchive(author, name)
+  const scratch = await ScratchPad.create()
+
+  // boot up the worker the first time some user code needs to run
+  const startWorker = async (meta) => {
+    if (worker.started) return
+    const result = await worker.startup(meta)
+    if (result.errors.length > 0) throw new exports.LensCodeError(result.errors[0])
+  }
 
-  return await this.updateMeta(author, name, async (meta) => {
-    // make sure lens has an inputVersions object, to track which inputs need rebuilding
-    if (!meta.inputVersions) meta.inputVersions = {}
-    const updatedInputVersions = {}
+  // logs from custom reduce functions are stored in the compute cache under the path of the output they describe
+  const reduceLogPath = (recordID) => codec.path.encode('lenses', author, name, recordID)
+  const isReduceLog = (path) => {
+    const params = codec.path.decode(path)
+    return !!params && params.source === 'lenses' && params.author === author && params.name === name
+  }
 
-    const scratch = await ScratchPad.create()
-    const compositions = new Map()
-    const inputRecordPaths = new Set()
-    const retainOutputKeys = new Set()
+  // remote lenses can't map during the build, so each input is queued as a job for remote workers, and results are
+  // used by the first build after they're submitted. Returns undefined until then
+  const queuedJobs = new Set()
+  const remoteMap = async (path, entry) => {
+    const job = await lensJobs.read(author, name, lensJobs.jobID(path, entry.version))
+    if (job && job.result) return job.result
+    queuedJobs.add(await lensJobs.enqueue(author, name, path, entry.version, await entry.read()))
+  }
 
-    async function * updateComputeCache () {
-      const retainPaths = new Set()
+  // cancelled builds stop mapping inputs, and keep earlier results of the rest, like remote lenses waiting on jobs
+  let stoppedEarly = false
+  // input paths which failed to map in this build, and if that aborted it
+  const failedPaths = new Set()
+  let aborted = false
+  // input paths which output hash urls in this build, aborted builds don't link them, so attach() results are removed
+  const attachingPaths = new Set()
+  // attachments outputs started linking to, as [hash, recordID], and hashes of attachments outputs stopped linking to
+  const linked = []
+  const unlinked = new Set()
+
+  // count inputs which failed to map, and outputs which failed to reduce, to show on the lens page
+  const countErrors = async () => {
+    const counts = { map: 0, reduce: 0 }
+    for await (const [, result] of computeCache.read()) {
+      if (result.errors.length > 0) counts[result.function || 'map'] += 1
+    }
+    return counts
+  }
 
+  try {
+    await this.updateMeta(author, name, async (meta) => {
+      // make sure lens has an inputVersions object, to track which inputs need rebuilding
+      if (!meta.inputVersions) meta.inputVersions = {}
+      const updatedInputVersions = {}
+      const previousRecords = { ...meta.records }
+
+      // if the map code, params, or lookups have changed, every input needs to be mapped again. params and lookups are
+      // only hashed when the lens has some, so lenses without them keep the hashes they always had
+      const params = meta.params ? [meta.params] : []
+      const lookups = meta.lookups ? [meta.lookups] : []
+      const mapHash = codec.objectHash([meta.mapType, meta.code, meta.webhook && meta.webhook.url, ...params, ...lookups]).toString('hex')
+      if (meta.mapHash !== mapHash) meta.inputVersions = {}
+      // if the reduce code or params have changed, every output needs to be reduced again
+      const reduceHash = codec.objectHash([meta.reduceCode || '', ...params]).toString('hex')
+      const reduceChanged = meta.reduceHash !== reduceHash
+      const customReduce = typeof meta.reduceCode === 'string' && meta.reduceCode.trim() !== ''
+
+      const inputRecordPaths = new Set()
+      // output recordIDs which need to be reduced again, because something contributing to them has changed,
+      // including any left over from an aborted build
+      const dirtyKeys = new Set(meta.dirtyKeys || [])
+
+      // count input records up front, to report progress through them
+      const count = { done: 0, total: 0 }
       for (const input of meta.inputs) {
         const { source, author, name, recordID } = codec.path.decode(input)
-        for await (const entry of rp.getSource(source).iterate(author, name, { fastRead: true })) {
-          const path = codec.path.encode(source, author, name, entry.id)
-          const data = await entry.read()
-
-          // if we've already seen this input path, skip it, it's redundant
-          if (inputRecordPaths.has(path)) {
-            continue
+        if (recordID !== undefined) count.total += 1
+        else count.total += Object.keys((await rp.getSource(source).readMeta(author, name)).records).length
+      }
+      progress({ ...count })
+
+      // current versions of records in lookup datasets and lenses, and the versions each cached map result looked up,
+      // so inputs are mapped again when records they looked up change
+      const lookupVersions = new Map()
+      const cachedLookups = new Map()
+      if (lookups.length > 0) {
+        for (const lookup of meta.lookups) {
+          const { source, author, name } = codec.path.decode(lookup)
+          const { records } = await rp.getSource(source).readMeta(author, name)
+          for (const [id, { version }] of Object.entries(records)) lookupVersions.set(codec.path.encode(source, author, name, id), version)
+        }
+        for await (const [keyBuffer, valueBuffer] of readArchive(computeCache)) {
+          const result = computeCache.valueCodec.decode(valueBuffer)
+          if (result.lookups) cachedLookups.set(computeCache.keyCodec.decode(keyBuffer), result.lookups)
+        }
+      }
+      const lookupsChanged = (path) => Object.entries(cachedLookups.get(path) || {}).some(([lookupPath, version]) => {
+        return (lookupVersions.has(lookupPath) ? lookupVersions.get(lookupPath) : null) !== version
+      })
+
+      async function * updateComputeCache () {
+        const retainPaths = new Set()
+        // map calls still running, and finished ones waiting to be written, so webhooks can map several inputs at once
+        const running = new Set()
+        const finished = []
+        // keep any earlier result of an input, and the version it was mapped from, instead of mapping it now
+        const keepEarlierResult = (path) => {
+          if (meta.inputVersions[path] === undefined) delete updatedInputVersions[path]
+          else updatedInputVersions[path] = meta.inputVersions[path]
+          retainPaths.add(path)
+        }
+        function * takeFinished () {
+          while (finished.length > 0) {
+            let [path, result] = finished.shift()
+            // records which fail to map are skipped, instead of publishing whatever they output before failing
+            if (result.errors.length > 0) {
+              failedPaths.add(path)
+              result = { ...result, outputs: [] }
+            }
+            for (const output of result.outputs) dirtyKeys.add(output.id)
+            if (recordStructure.listHashURLs(result.outputs.map(x => x.data)).length > 0) attachingPaths.add(path)
+            yield [computeCache.keyCodec.encode(path), computeCache.valueCodec.encode(result)]
           }
+        }
 
-          // record the input record path
-          inputRecordPaths.add(path)
+        for (const input of meta.inputs) {
+          const { source, author, name, recordID } = codec.path.decode(input)
+          for await (const entry of rp.getSource(source).iterate(author, name, { fastRead: true })) {
+            const path = codec.path.encode(source, author, name, entry.id)
 
-          // build new updatedInputVersions meta info
-          if (updatedInputVersions[source] === undefined || updatedInputVersions[source] < entry.version) {
-            updatedInputVersions[source] = entry.version
-          }
+            // does the recordID match the path selector in the lens input spec?
+            if (recordID !== undefined && recordID !== entry.id) continue
+            count.done += 1
+            progress({ ...count })
+            // if we've already seen this input path, skip it, it's redundant
+            if (inputRecordPaths.has(path)) continue
+            inputRecordPaths.add(path)
+
+            // build new updatedInputVersions meta info
+            updatedInputVersions[path] = entry.version
 
-          // does the recordID match the path selector in the lens input spec?
-          if (recordID === undefined || recordID === entry.id) {
             // is the entry fresher than what we might have cached?
-            if (meta.inputVersions[source] === undefined || meta.inputVersions[source] < entry.version) {
-              // if the worker hasn't been started up yet, boot it up
-              if (!worker.started) {
-                const result = await worker.startup(meta)
-                if (result.errors.length > 0) throw new exports.LensCodeError(result.errors[0])
+            if (meta.inputVersions[path] === undefined || meta.inputVersions[path] < entry.version || lookupsChanged(path)) {
+              if (cancelled()) {
+                stoppedEarly = true
+                keepEarlierResult(path)
+                continue
               }
 
-              // use map function to build new outputs
-              const result = await worker.map({ path, data })
-
-              // write out the values to scratch pad for each output key
-              for (const output of result.outputs) {
-                retainOutputKeys.add(output.id)
-                const reader = await scratch.write(output.data)
-                if (!compositions.has(output.id)) {
-                  compositions.set(output.id, [reader])
+              if (meta.mapType === 'remote') {
+                const result = await remoteMap(path, entry)
+                if (result) {
+                  finished.push([path, result])
+                  yield * takeFinished()
                 } else {
-                  compositions.get(output.id).push(reader)
+                  // keep any earlier result until a remote worker maps the new version
+                  keepEarlierResult(path)
                 }
+                continue
               }
 
-              // yield an updated version in to the compute cache
-              yield [computeCache.keyCodec.encode(path), computeCache.valueCodec.encode(result)]
+              // if the worker hasn't been started up yet, boot it up
+              await startWorker(meta)
+
+              // use map function to build new outputs, waiting for a slot if the worker is busy
+              while (running.size >= worker.concurrency) await Promise.race(running)
+              const job = worker.map({ path, data: await entry.read() }).then(result => {
+                running.delete(job)
+                finished.push([path, result])
+              })
+              running.add(job)
+
+              // yield updated versions in to the compute cache
+              yield * takeFinished()
             } else {
               // cached version should still be good, signal to retain it later
               retainPaths.add(path)
             }
           }
         }
-      }
-
-      for await (const [keyBuffer, valueBuffer] of computeCache.read({ decode: false })) {
-        const key = computeCache.keyCodec.decode(keyBuffer)
-        const value = computeCache.valueCodec.decode(valueBuffer)
-
-        // retain anything that the previous step indicated should remain in the cache
-        if (retainPaths.has(key)) {
-          yield [keyBuffer, valueBuffer]
-
-          // also check for any outputs matching compositions we started building
-          for (const output of value.outputs) {
-            retainOutputKeys.add(output.id)
-            if (compositions.has(output.id)) {
-              compositions.get(output.id).push(await scratch.write(output.data))
-            }
+        await Promise.all(running)
+        yield * takeFinished()
+
+        for await (const [keyBuffer, valueBuffer] of readArchive(computeCache)) {
+          const key = computeCache.keyCodec.decode(keyBuffer)
+          if (retainPaths.has(key) || isReduceLog(key)) {
+            yield [keyBuffer, valueBuffer]
+          } else {
+            // this cached result is stale or it's input is gone, so anything it output needs to be reduced again
+            for (const output of computeCache.valueCodec.decode(valueBuffer).outputs) dirtyKeys.add(output.id)
           }
         }
       }
-    }
-    await computeCache.write(updateComputeCache(), { encode: false })
-
-    // remove any keys from meta.records which aren't used anymore
-    const removals = new Set()
-    for (const key of Object.keys(meta.records)) {
-      if (!retainOutputKeys.has(key)) {
-        removals.add(key)
-        delete meta.records[key]
+      await computeCache.write(updateComputeCache(), { encode: false })
+
+      // abort builds where records failed to map, keeping the earlier outputs, and trying those records again next build,
+      // along with records which output attachments, which are removed when the worker shuts down
+      if (meta.errorPolicy === 'abort' && failedPaths.size > 0) {
+        for (const path of [...failedPaths, ...attachingPaths]) {
+          if (meta.inputVersions[path] === undefined) delete updatedInputVersions[path]
+          else updatedInputVersions[path] = meta.inputVersions[path]
+        }
+        // cancelled builds didn't look at every input, so jobs they didn't queue again might still be needed
+        if (!stoppedEarly) await lensJobs.prune(author, name, queuedJobs)
+        meta.inputVersions = updatedInputVersions
+        meta.mapHash = mapHash
+        meta.dirtyKeys = [...dirtyKeys]
+        meta.errorCounts = await countErrors()
+        aborted = true
+        return meta
       }
-    }
 
-    /** @type {dataArc.DatasetArchive} */
-    const dataArchive = this.getDataArchive(author, name)
+      // gather up every map output which contributes to an output key that needs rebuilding
+      const compositions = new Map()
+      const outputKeys = new Set()
+      for await (const [, result] of computeCache.read()) {
+        if (result.function === 'reduce') continue
+        for (const output of result.outputs) {
+          outputKeys.add(output.id)
+          if (reduceChanged || dirtyKeys.has(output.id)) {
+            if (!compositions.has(output.id)) compositions.set(output.id, [])
+            compositions.get(output.id).push(await scratch.write(output.data))
+          }
+        }
+      }
 
-    async function * updateOutputsArchive () {
-      const writtenKeys = new Set()
-      // build new outputs by reducing all the values in the composition map
+      // build new outputs by reducing all the values in the composition map, and update meta.records to match
+      const valueReaders = new Map()
+      const reduceLogs = new Map()
       for (const [key, valueGetters] of compositions) {
         let value = await valueGetters.shift()()
+        const reduceLog = { function: 'reduce', logs: [], errors: [] }
         while (valueGetters.length > 0) {
-          value = reduce([value, await valueGetters.shift()()])
+          if (customReduce) {
+            await startWorker(meta)
+            const result = await worker.reduce({ id: key, left: value, right: await valueGetters.shift()() })
+            reduceLog.logs.push(...result.logs)
+            reduceLog.errors.push(...result.errors)
+            value = result.value
+          } else {
+            value = reduce([value, await valueGetters.shift()()])
+          }
+        }
+        if (reduceLog.logs.length > 0 || reduceLog.errors.length > 0) reduceLogs.set(key, reduceLog)
+
+        const hash = codec.objectHash(value).toString('hex')
+        if (meta.records[key] === undefined || meta.records[key].hash !== hash) {
+          meta.records[key] = { hash, links: recordStructure.listHashURLs(value).map(x => x.toString()) }
+          const index = this.indexValues(meta.indexes, value)
+          if (index) meta.records[key].index = index
         }
+        valueReaders.set(key, await scratch.write(value))
+      }
 
-        writtenKeys.add(key)
-        yield [dataArchive.keyCodec.encode(key), dataArchive.valueCodec.encode(value)]
+      // remove any keys from meta.records which aren't output anymore
+      for (const key of Object.keys(meta.records)) {
+        if (!outputKeys.has(key)) delete meta.records[key]
       }
-      // read in the old data archive and copy forward any cached stuff that's still up to date
-      for (const [keyBuffer, valueBuffer] of dataArchive.read({ decode: false })) {
-        const key = keyBuffer.toString('utf-8')
-        if (retainOutputKeys.has(key) && !writtenKeys.has(key)) {
-          writtenKeys.add(key)
+
+      // store logs and errors from custom reduce functions in the compute cache, replacing any from earlier builds
+      async function * updateReduceLogs () {
+        for (const [key, reduceLog] of reduceLogs) {
+          yield [computeCache.keyCodec.encode(reduceLogPath(key)), computeCache.valueCodec.encode(reduceLog)]
+        }
+        for await (const [keyBuffer, valueBuffer] of readArchive(computeCache)) {
+          const path = computeCache.keyCodec.decode(keyBuffer)
+          if (isReduceLog(path)) {
+            const { recordID } = codec.path.decode(path)
+            if (!outputKeys.has(recordID) || compositions.has(recordID)) continue
+          }
           yield [keyBuffer, valueBuffer]
         }
       }
+      if (customReduce || reduceChanged) await computeCache.write(updateReduceLogs(), { encode: false })
+
+      const hashes = record => new Set(recordStructure.listHashURLs((record && record.links) || []).map(x => x.hash))
+      for (const key of new Set([...Object.keys(previousRecords), ...Object.keys(meta.records)])) {
+        const [before, after] = [hashes(previousRecords[key]), hashes(meta.records[key])]
+        for (const hash of after) if (!before.has(hash)) linked.push([hash, key])
+        for (const hash of before) if (!after.has(hash)) unlinked.add(hash)
+      }
+
+      // log the earlier values of anything which is about to be changed or removed, keeping only recent versions
+      await this.appendHistory(author, name, previousRecords, meta, { keepVersions: settings.lensHistoryVersions })
+
+      async function * updateOutputsArchive () {
+        for (const [key, read] of valueReaders) {
+          yield [dataArchive.keyCodec.encode(key), dataArchive.valueCodec.encode(await read())]
+        }
+        // read in the old data archive and copy forward any cached stuff that's still up to date
+        for await (const [keyBuffer, valueBuffer] of readArchive(dataArchive)) {
+          const key = dataArchive.keyCodec.decode(keyBuffer)
+          if (outputKeys.has(key) && !valueReaders.has(key)) yield [keyBuffer, valueBuffer]
+        }
+      }
+      await dataArchive.write(updateOutputsArchive(), { encode: false })
+
+      // remove jobs which were used, or aren't needed anymore, unless the build was cancelled before queueing them again
+      if (!stoppedEarly) await lensJobs.prune(author, name, queuedJobs)
+
+      meta.inputVersions = updatedInputVersions
+      meta.mapHash = mapHash
+      meta.reduceHash = reduceHash
+      delete meta.dirtyKeys
+      meta.errorCounts = await countErrors()
+      return meta
+    })
+    // link outputs to the attachments they use, including any made by attach(), before the worker lets go of them
+    for (const [hash, recordID] of linked) {
+      if (await attachments.has(hash)) await attachments.link(hash, codec.path.encode(this.source, author, name, recordID))
     }
-    dataArchive.write(updateOutputsArchive(), { encode: false })
+    // garbage collect attachments this lens linked to, if nothing links to them anymore
+    await this.collectAttachments(author, name, unlinked)
 
-    meta.inputVersions = updatedInputVersions
+    if (stoppedEarly) throw new Error('Build cancelled')
+    if (aborted) {
+      throw new Error(`Build aborted, ${failedPaths.size} input record${failedPaths.size === 1 ? '' : 's'} failed to map`)
+    }
+  } finally {
+    if (worker.started) await worker.shutdown()
     await scratch.close() // close scratch file, effectively erasing it from disk
+  }
+}
+
+/**
+ * Remove attachments which outputs of this lens linked to, unless other records still link to them
+ * @param {string} author - lens owner name
+ * @param {string} name - lens name
+ * @param {Iterable<string>} hashes - hex hashes of attachments outputs stopped linking to
+ * @async
+ */
+exports.collectAttachments = async function (author, name, hashes) {
+  const prefix = `${codec.path.encode(this.source, author, name)}/`
+  for (const hash of hashes) {
+    if (!await attachments.has(hash)) continue
+    const { linkers } = await attachments.readMeta(hash)
+    if (linkers.some(path => path.startsWith(prefix))) await attachments.validate(hash)
+  }
+}
+
+/**
+ * @typedef {object} LensPreview
+ * @property {number} version - version of the live lens the preview is compared with
+ * @property {string[]} added - recordIDs the new configuration would add
+ * @property {string[]} removed - recordIDs the new configuration would remove
+ * @property {string[]} changed - recordIDs the new configuration would output different values for
+ * @property {Object.<string, object[]>} records - a JSON Patch for each added, removed, or changed record
+ * @property {{ map: number, reduce: number }} errorCounts - inputs which failed to map, and outputs which failed to reduce
+ */
 
-    return meta
-  })
+/**
+ * Dry run a new configuration of a lens, without changing the live lens. The configuration builds over the current
+ * inputs in to a scratch lens, which is compared with the live lens's outputs, then deleted
+ * @param {string} author - lens owner name
+ * @param {string} name - lens name
+ * @param {object} config - new lens configuration
+ * @returns {LensPreview}
+ * @async
+ */
+exports.preview = async function (author, name, config) {
+  assert(config.mapType !== 'remote', 'remote lenses can’t be previewed, their workers only build the live lens')
+  const { version } = await this.readMeta(author, name)
+  await this.validateConfig(author, name, { ...config, version })
+
+  // like ephemeral lenses, the scratch lens lives under the system account, out of the lens graph
+  const scratch = `preview-${Date.now()}-${codec.objectHash(config).slice(0, 4).toString('hex')}`
+  try {
+    // builds which would abort still preview, counting the records which failed
+    await this.create('system', scratch, { ...config, errorPolicy: undefined })
+    await this.build('system', scratch)
+    const { errorCounts } = await this.readMeta('system', scratch)
+    const { added, removed, changed, records } = await this.diff(author, name, {
+      from: version,
+      to: codec.path.encode(this.source, 'system', scratch),
+      values: true
+    })
+    return { version, added, removed, changed, records, errorCounts }
+  } finally {
+    if (await this.exists('system', scratch)) {
+      const { records } = await this.readMeta('system', scratch)
+      await this.delete('system', scratch)
+      // attachments made by the preview are removed, unless the live lens or anything else uses them too
+      const hashes = Object.values(records).flatMap(({ links = [] }) => recordStructure.listHashURLs(links).map(x => x.hash))
+      await this.collectAttachments('system', scratch, new Set(hashes))
+    }
+  }
+}
+
+// read raw entries from an archive, treating archives which haven't been written yet as empty
+async function * readArchive (archive) {
+  try {
+    yield * archive.read({ decode: false })
+  } catch (err) {
+    if (err.code !== 'ENOENT') throw err
+  }
 }
+
 // exports.build = async function (author, name) {
 //   const readPath = require('./read-path')
 //   const worker = new LensWorker()
@@ -323,12 +664,10 @@ exports.build = async function (author, name) {
  * Get a DatasetArchive instance which caches map function results
  * @param {string} author - author/owner name
  * @param {string} name - collection name
- * @returns {dataArc.DatasetArchive}
+ * @returns {import('dataset-archive/dataset-archive.cjs').DatasetArchive}
  */
 exports.getComputeCache = function (author, name) {
-  const raw = require('./file/raw')
-  const path = raw.fullPath(this.path(author, name, 'compute'), '.archive.br')
-  return dataArc.fsOpen(path, { codec: codec.cbor })
+  return this.getDataArchive(author, name, 'compute')
 }
 
 exports.LensCodeError = class LensCodeError extends Error {
@@ -347,21 +686,11 @@ exports.LensCodeError = class LensCodeError extends Error {
   }
 }
 
-// setup listening for changes to inputs
-updateEvents.events.on('change', async ({ path, source, author, name, recordID }) => {
-  const matcher = codec.path.encode({ source, author, name })
-  const inputs = await exports.getInputs()
-  await tfq.lockWhile('lens background builds', async () => {
-    for (const [path, receivers] of Object.entries(inputs)) {
-      if (path === matcher) {
-        for (const { author: lensAuthor, name: lensName } of receivers) {
-          try {
-            await exports.build(lensAuthor, lensName)
-          } catch (err) {
-            console.error('background lens rebuild error', err)
-          }
-        }
-      }
-    }
-  })
+// setup listening for changes to inputs, rebuilding lenses downstream, and keeping the lens graph up to date
+updateEvents.events.on('change', async ({ path }) => {
+  try {
+    await lensGraph.changed(path)
+  } catch (err) {
+    console.error('background lens rebuild error', err)
+  }
 })
@@ -3,7 +3,7 @@
  */
 const codec = require('./codec')
 
-async function * readPathConfigurable (path, fastRead = false) {
+async function * readPathConfigurable (path, fastRead = false, at = undefined) {
   if (typeof path === 'string') {
     const params = codec.path.decode(path)
     const source = readPath.getSource(params.source)
@@ -11,7 +11,7 @@ async function * readPathConfigurable (path, fastRead = false) {
     if (!source) throw new Error(`Unknown source "/${params.source}/..."`)
 
     if (await source.exists(params.author, params.name)) {
-      const iterator = source.iterate(params.author, params.name, { fastRead })
+      const iterator = source.iterate(params.author, params.name, { fastRead, at })
       for await (const meta of iterator) {
         if (params.recordID === undefined || params.recordID === meta.id) {
           const path = codec.path.encode(params.source, params.author, params.name, meta.id)
@@ -21,7 +21,7 @@ async function * readPathConfigurable (path, fastRead = false) {
     }
   } else if (path && (path[Symbol.iterator] || path[Symbol.asyncIterator])) {
     for await (const entry of path) {
-      yield * readPathConfigurable(entry, fastRead)
+      yield * readPathConfigurable(entry, fastRead, at)
     }
   } else {
     throw new Error('path type must be an iterable list (like an Array) of strings or string')
@@ -38,10 +38,12 @@ async function * readPathConfigurable (path, fastRead = false) {
 
 /** reads a data path, which could be one specific record, or a whole dataset/viewport
  * @param {string|Array} path - can be a path, or array of paths to read sequentially
+ * @param {object} [options]
+ * @param {number} [options.at] - read records as they were at this version of their dataset, instead of the current version
  * @yields {ReadPathOutput}
  */
-async function * readPath (path) {
-  for await (const entry of readPathConfigurable(path, true)) {
+async function * readPath (path, { at = undefined } = {}) {
+  for await (const entry of readPathConfigurable(path, true, at)) {
     const data = await entry.read()
     const read = () => Promise.resolve(data)
     yield { ...entry, read, data }
@@ -60,10 +62,11 @@ async function * readPath (path) {
  * @param {string|Array} path - can be a path, or array of paths to read sequentially
  * @param {object} [options]
  * @param {boolean} [options.fastRead] - set to true to have accelerated reads, if you plan to read a lot of entries
+ * @param {number} [options.at] - read records as they were at this version of their dataset, instead of the current version
  * @yields {ReadPathMetaOutput}
  */
-readPath.meta = async function * readPathMeta (path, { fastRead = false } = {}) {
-  yield * readPathConfigurable(path, fastRead)
+readPath.meta = async function * readPathMeta (path, { fastRead = false, at = undefined } = {}) {
+  yield * readPathConfigurable(path, fastRead, at)
 }
 
 /**
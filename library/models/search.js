@@ -0,0 +1,251 @@
+/**
+ * Search Model - maintains a full text inverted index of the records in each dataset and lens, and ranks records
+ * against text queries. Indexes are stored alongside other data, one file per collection, and kept up to date by
+ * watching for changes to collections
+ * @module
+ */
+const codec = require('./codec')
+const readPath = require('./read-path')
+const updateEvents = require('../utility/update-events')
+const createHttpError = require('http-errors')
+
+const store = require('./fs/objects').instance({ prefix: ['search-index'] })
+const sources = ['datasets', 'lenses']
+
+// longest word that will be indexed, anything longer is probably not language
+const maxTermLength = 100
+// BM25 ranking tuning constants
+const k1 = 1.2
+const b = 0.75
+
+/**
+ * split text in to a list of lowercase words, with accents and other marks removed
+ * @param {string} text
+ * @returns {string[]}
+ */
+exports.tokenize = function (text) {
+  return `${text}`.normalize('NFKD').replace(/\p{M}+/gu, '').toLowerCase()
+    .split(/[^\p{L}\p{N}]+/u)
+    .filter(term => term.length > 0 && term.length <= maxTermLength)
+}
+
+/**
+ * find all the words in a record's value, including it's id
+ * @param {string} id - recordID
+ * @param {*} data - record value
+ * @returns {string[]}
+ */
+exports.recordTerms = function (id, data) {
+  const terms = exports.tokenize(id)
+  const visit = (value) => {
+    if (typeof value === 'string' || typeof value === 'number') {
+      terms.push(...exports.tokenize(value))
+    } else if (Array.isArray(value)) {
+      value.forEach(visit)
+    } else if (value && typeof value === 'object' && !Buffer.isBuffer(value)) {
+      Object.values(value).forEach(visit)
+    }
+  }
+  visit(data)
+  return terms
+}
+
+// index files store maps as lists of entries, so any string is safe to use as a key
+function decodeIndex (file) {
+  if (!file) return { version: -1, documents: new Map(), postings: new Map() }
+  return {
+    version: file.version,
+    documents: new Map(file.documents),
+    postings: new Map(file.postings.map(([term, list]) => [term, new Map(list)]))
+  }
+}
+
+function encodeIndex (index) {
+  return {
+    version: index.version,
+    documents: [...index.documents],
+    postings: [...index.postings].map(([term, list]) => [term, [...list]])
+  }
+}
+
+function removeDocument (index, id) {
+  const document = index.documents.get(id)
+  if (!document) return
+  for (const term of document.terms) {
+    const list = index.postings.get(term)
+    if (list) {
+      list.delete(id)
+      if (list.size === 0) index.postings.delete(term)
+    }
+  }
+  index.documents.delete(id)
+}
+
+function addDocument (index, id, { hash, version }, terms) {
+  const counts = new Map()
+  for (const term of terms) counts.set(term, (counts.get(term) || 0) + 1)
+  for (const [term, count] of counts) {
+    if (!index.postings.has(term)) index.postings.set(term, new Map())
+    index.postings.get(term).set(id, count)
+  }
+  index.documents.set(id, { hash, version, length: terms.length, terms: [...counts.keys()] })
+}
+
+/**
+ * bring a collection's search index up to date with it's current contents, only reading records which have changed
+ * since the last update. Removes the index if the collection no longer exists.
+ * @param {string} source - 'datasets' or 'lenses'
+ * @param {string} author - author/owner name
+ * @param {string} name - collection name
+ * @async
+ */
+exports.update = async function (source, author, name) {
+  const model = readPath.getSource(source)
+  if (!sources.includes(source) || !model) throw new Error(`Unknown source "${source}"`)
+
+  if (!await model.exists(author, name)) {
+    return await store.delete([source, author, name])
+  }
+
+  await store.update([source, author, name], async (file) => {
+    const meta = await model.readMeta(author, name)
+    const index = decodeIndex(file)
+    if (index.version === meta.version) return
+
+    const changed = new Set(Object.keys(meta.records).filter(id => {
+      return !index.documents.has(id) || index.documents.get(id).hash !== meta.records[id].hash
+    }))
+
+    for (const id of [...index.documents.keys()]) {
+      if (!meta.records[id] || changed.has(id)) removeDocument(index, id)
+    }
+
+    if (changed.size > 0) {
+      try {
+        for await (const { id, read } of model.iterate(author, name, { fastRead: true })) {
+          if (changed.has(id)) addDocument(index, id, meta.records[id], exports.recordTerms(id, await read()))
+        }
+      } catch (err) {
+        // lenses which haven't built yet don't have any data
+        if (err.code !== 'ENOENT') throw err
+      }
+    }
+
+    index.version = meta.version
+    return encodeIndex(index)
+  })
+}
+
+// list the files or folders in a folder of the index store, treating missing folders as empty
+async function list (iterable) {
+  const names = []
+  try {
+    for await (const name of iterable) names.push(name)
+  } catch (err) {
+    if (err.code !== 'ENOENT') throw err
+  }
+  return names
+}
+
+/**
+ * remove the search indexes of datasets and lenses which no longer exist, after collections or authors are deleted
+ * @async
+ */
+exports.prune = async function () {
+  for (const source of sources) {
+    const model = readPath.getSource(source)
+    for (const author of await list(store.iterateFolders([source]))) {
+      let remaining = 0
+      for (const name of await list(store.iterateFiles([source, author]))) {
+        if (await model.exists(author, name)) remaining += 1
+        else await store.delete([source, author, name])
+      }
+      if (remaining === 0) await store.delete([source, author])
+    }
+  }
+}
+
+/**
+ * @typedef {object} SearchResult
+ * @property {string} path - data path to the matching record
+ * @property {string} source - 'datasets' or 'lenses'
+ * @property {string} author - collection's owner
+ * @property {string} name - collection name
+ * @property {string} recordID - matching record's id
+ * @property {number} version - version of the matching record
+ * @property {string} hash - hash of the matching record
+ * @property {number} score - relevance, higher numbers are better matches
+ */
+
+/**
+ * list the data paths of every dataset and lens
+ * @yields {string}
+ * @async
+ */
+exports.iterateCollections = async function * () {
+  for (const source of sources) {
+    for await (const { author, name } of readPath.getSource(source).iterateAll()) yield codec.path.encode(source, author, name)
+  }
+}
+
+/**
+ * search records for text, returning records which contain every word in the query, best matches first
+ * @param {string} query - text to search for
+ * @param {object} [options]
+ * @param {string|string[]} [options.in] - data paths of collections to search, like '/datasets/author:name', defaults to everything
+ * @param {number} [options.limit = 100] - maximum number of results
+ * @returns {SearchResult[]}
+ * @async
+ */
+exports.search = async function (query, { in: paths = undefined, limit = 100 } = {}) {
+  const terms = [...new Set(exports.tokenize(query))]
+  if (terms.length === 0) return []
+
+  const collections = []
+  for await (const path of paths === undefined ? exports.iterateCollections() : [paths].flat()) {
+    const params = typeof path === 'string' ? codec.path.decode(path) : undefined
+    if (!params || !sources.includes(params.source) || params.recordID !== undefined) {
+      throw createHttpError.BadRequest(`Cannot search in "${path}", must be a dataset or lens path like /datasets/author:name`)
+    }
+    collections.push(params)
+  }
+
+  const results = []
+  for (const { source, author, name } of collections) {
+    await exports.update(source, author, name)
+    const index = decodeIndex(await store.read([source, author, name]))
+    if (index.documents.size === 0) continue
+
+    const lists = terms.map(term => index.postings.get(term))
+    if (lists.some(list => list === undefined)) continue
+
+    const averageLength = [...index.documents.values()].reduce((sum, doc) => sum + doc.length, 0) / index.documents.size
+    const idfs = lists.map(list => Math.log(1 + (index.documents.size - list.size + 0.5) / (list.size + 0.5)))
+
+    // start from the rarest word, and only consider records containing every word
+    const [shortest] = [...lists].sort((a, b) => a.size - b.size)
+    for (const id of shortest.keys()) {
+      if (!lists.every(list => list.has(id))) continue
+      const { length, version, hash } = index.documents.get(id)
+      const score = lists.reduce((sum, list, idx) => {
+        const frequency = list.get(id)
+        return sum + idfs[idx] * (frequency * (k1 + 1)) / (frequency + k1 * (1 - b + b * length / averageLength))
+      }, 0)
+      const path = codec.path.encode(source, author, name, id)
+      results.push({ path, source, author, name, recordID: id, version, hash, score })
+    }
+  }
+
+  return results.sort((a, b) => b.score - a.score).slice(0, limit)
+}
+
+// keep indexes up to date as collections change, whole collections and authors being deleted only change meta
+updateEvents.events.on('change', async ({ source, author, name }) => {
+  if (source !== 'meta' && !sources.includes(source)) return
+  try {
+    if (source === 'meta') await exports.prune()
+    else await exports.update(source, author, name)
+  } catch (err) {
+    console.error('search index update error', err)
+  }
+})
@@ -0,0 +1,45 @@
+/**
+ * helpers to read If-Match and If-None-Match request headers, for optimistic concurrency on writes
+ */
+
+/**
+ * @typedef {import('express').Request} ExpressRequest
+ */
+
+/**
+ * parse an If-Match or If-None-Match header value in to a list of entity tags, with quotes removed
+ * @param {string} [header] - header value like '"abc", W/"def"' or '*'
+ * @param {object} [options]
+ * @param {boolean} [options.strong = false] - leave out weak tags, which never match when strong comparison is required
+ * @returns {string[]|'*'|undefined} - list of etag values, '*' for any, or undefined if the header is missing
+ */
+exports.parse = function parseEntityTags (header, { strong = false } = {}) {
+  if (typeof header !== 'string' || header.trim() === '') return undefined
+  if (header.trim() === '*') return '*'
+  return header.split(',').map(x => x.trim())
+    .filter(x => x !== '' && !(strong && x.startsWith('W/')))
+    .map(x => x.replace(/^W\//, '').replace(/^"(.*)"$/, '$1'))
+}
+
+/**
+ * reads a request's conditional headers, into the ifHash option data models accept when writing or deleting a record
+ * If-Match uses strong comparison, so a header listing only weak tags never matches
+ * @param {ExpressRequest} req - express request
+ * @returns {string|string[]|null|undefined} - '*' or a list of hashes to require a match, null if the record must not exist, or undefined
+ */
+exports.ifHash = function (req) {
+  const match = exports.parse(req.get('If-Match'), { strong: true })
+  if (match !== undefined) return match
+  if (exports.parse(req.get('If-None-Match')) === '*') return null
+}
+
+/**
+ * reads a request's If-Match header, into the ifVersion option data models accept when writing to a collection
+ * @param {ExpressRequest} req - express request
+ * @returns {number[]|undefined} - acceptable version numbers of the collection, or undefined
+ */
+exports.ifVersion = function (req) {
+  const match = exports.parse(req.get('If-Match'), { strong: true })
+  // etags that aren't version numbers parse to NaN, which never matches, so the write fails as it should
+  if (Array.isArray(match)) return match.map(tag => parseInt(tag))
+}
@@ -0,0 +1,46 @@
+// utility to describe the structural differences between two record values, as a JSON Patch (RFC 6902) list of operations
+// applying the output to the first value with json-patch's apply() produces the second value
+const { isDeepStrictEqual } = require('util')
+const jsonPatch = require('./json-patch')
+
+// objects and arrays are compared by their contents, anything else is compared as a whole value
+function isPlainObject (value) {
+  return value !== null && typeof value === 'object' && Object.getPrototypeOf(value) === Object.prototype
+}
+
+/**
+ * list the operations which transform one value in to another
+ * @param {*} before - earlier value, undefined if it didn't exist
+ * @param {*} after - later value, undefined if it doesn't exist
+ * @returns {object[]} JSON Patch operations, empty if the values are equal
+ */
+exports.diff = function diff (before, after) {
+  const ops = []
+  const walk = (before, after, keys) => {
+    const path = jsonPatch.formatPointer(keys)
+    if (isDeepStrictEqual(before, after)) return
+    if (before === undefined) return ops.push({ op: 'add', path, value: after })
+    if (after === undefined) return ops.push({ op: 'remove', path })
+
+    if (isPlainObject(before) && isPlainObject(after)) {
+      for (const key of Object.keys(before)) {
+        if (!Object.prototype.hasOwnProperty.call(after, key)) ops.push({ op: 'remove', path: jsonPatch.formatPointer([...keys, key]) })
+      }
+      for (const key of Object.keys(after)) {
+        const earlier = Object.prototype.hasOwnProperty.call(before, key) ? before[key] : undefined
+        walk(earlier, after[key], [...keys, key])
+      }
+    } else if (Array.isArray(before) && Array.isArray(after)) {
+      const common = Math.min(before.length, after.length)
+      for (let index = 0; index < common; index++) walk(before[index], after[index], [...keys, index])
+      // remove from the end first, so the indexes of earlier elements don't shift
+      for (let index = before.length - 1; index >= common; index--) ops.push({ op: 'remove', path: jsonPatch.formatPointer([...keys, index]) })
+      for (let index = common; index < after.length; index++) ops.push({ op: 'add', path: jsonPatch.formatPointer([...keys, index]), value: after[index] })
+    } else {
+      ops.push({ op: 'replace', path, value: after })
+    }
+  }
+
+  walk(before, after, [])
+  return ops
+}
@@ -0,0 +1,171 @@
+/**
+ * Implements JSON Patch (RFC 6902) and JSON Merge Patch (RFC 7386) for partial updates to records, and JSON Pointers
+ * Patches which are malformed throw BadRequest http errors, patches which can't apply to the document throw Conflict
+ */
+const createHttpError = require('http-errors')
+const { isDeepStrictEqual } = require('util')
+const codec = require('../models/codec')
+
+/**
+ * parse a JSON Pointer (RFC 6901) string in to an array of unescaped keys
+ * @param {string} pointer - string like '/foo/0/bar~1baz'
+ * @returns {string[]}
+ */
+exports.parsePointer = function parsePointer (pointer) {
+  if (typeof pointer !== 'string') throw createHttpError.BadRequest('JSON Pointer must be a string')
+  if (pointer === '') return []
+  if (!pointer.startsWith('/')) throw createHttpError.BadRequest(`JSON Pointer "${pointer}" must begin with a /`)
+  return pointer.slice(1).split('/').map(key => key.replace(/~1/g, '/').replace(/~0/g, '~'))
+}
+
+/**
+ * build a JSON Pointer string from a list of keys, escaping them
+ * @param {Array<string|number>} keys - keys, like ['foo', 0, 'bar/baz']
+ * @returns {string}
+ */
+exports.formatPointer = function formatPointer (keys) {
+  return keys.map(key => `/${`${key}`.replace(/~/g, '~0').replace(/\//g, '~1')}`).join('')
+}
+
+/**
+ * read the value a JSON Pointer refers to inside a document
+ * @param {*} document - any object
+ * @param {string} pointer - JSON Pointer string
+ * @returns {*} value, or undefined if the pointer doesn't exist in the document
+ */
+exports.resolve = function resolvePointer (document, pointer) {
+  let value = document
+  for (const key of exports.parsePointer(pointer)) {
+    if (!isContainer(value) || !Object.prototype.hasOwnProperty.call(value, key)) return undefined
+    value = value[key]
+  }
+  return value
+}
+
+// objects and arrays can be navigated in to by pointers
+function isContainer (value) {
+  return value !== null && typeof value === 'object' && (Array.isArray(value) || Object.getPrototypeOf(value) === Object.prototype)
+}
+
+// find the container and key a pointer refers to, inside a wrapper object holding the whole document at 'root'
+function locate (wrapper, pointer) {
+  const keys = ['root', ...exports.parsePointer(pointer)]
+  let parent = wrapper
+  for (const key of keys.slice(0, -1)) {
+    const child = Array.isArray(parent) ? parent[arrayIndex(parent, key, pointer)] : ownValue(parent, key, pointer)
+    if (!isContainer(child)) throw createHttpError.Conflict(`JSON Pointer "${pointer}" doesn't exist in the record`)
+    parent = child
+  }
+  return { parent, key: keys[keys.length - 1] }
+}
+
+// validate and parse an array index, '-' refers to the end of the array, which is only valid when adding
+function arrayIndex (array, key, pointer, { adding = false } = {}) {
+  if (adding && key === '-') return array.length
+  if (!/^(0|[1-9][0-9]*)$/.test(key)) throw createHttpError.Conflict(`JSON Pointer "${pointer}" has an invalid array index`)
+  const index = parseInt(key)
+  if (index > array.length || (!adding && index === array.length)) {
+    throw createHttpError.Conflict(`JSON Pointer "${pointer}" array index is out of bounds`)
+  }
+  return index
+}
+
+function ownValue (object, key, pointer) {
+  if (!Object.prototype.hasOwnProperty.call(object, key)) {
+    throw createHttpError.Conflict(`JSON Pointer "${pointer}" doesn't exist in the record`)
+  }
+  return object[key]
+}
+
+// set a property without invoking setters, so keys like __proto__ are just data
+function setOwn (object, key, value) {
+  Object.defineProperty(object, key, { value, enumerable: true, writable: true, configurable: true })
+}
+
+function getValue (wrapper, pointer) {
+  const { parent, key } = locate(wrapper, pointer)
+  return Array.isArray(parent) ? parent[arrayIndex(parent, key, pointer)] : ownValue(parent, key, pointer)
+}
+
+function addValue (wrapper, pointer, value) {
+  const { parent, key } = locate(wrapper, pointer)
+  if (Array.isArray(parent)) {
+    parent.splice(arrayIndex(parent, key, pointer, { adding: true }), 0, value)
+  } else {
+    setOwn(parent, key, value)
+  }
+}
+
+function removeValue (wrapper, pointer) {
+  const { parent, key } = locate(wrapper, pointer)
+  if (Array.isArray(parent)) {
+    return parent.splice(arrayIndex(parent, key, pointer), 1)[0]
+  } else {
+    const value = ownValue(parent, key, pointer)
+    delete parent[key]
+    return value
+  }
+}
+
+/**
+ * Apply a JSON Patch (RFC 6902) to a document. The document may be modified in place, use the return value
+ * @param {*} document - the current value of the record
+ * @param {object[]} operations - JSON Patch array of operation objects
+ * @returns {*} patched document
+ */
+exports.apply = function applyJSONPatch (document, operations) {
+  if (!Array.isArray(operations)) throw createHttpError.BadRequest('JSON Patch must be an array of operations')
+
+  const wrapper = { root: document }
+  for (const operation of operations) {
+    if (!isContainer(operation) || Array.isArray(operation)) throw createHttpError.BadRequest('JSON Patch operations must be objects')
+    const { op, path, from, value } = operation
+    if (typeof path !== 'string') throw createHttpError.BadRequest('JSON Patch operations must have a string path')
+    if (['add', 'replace', 'test'].includes(op) && !('value' in operation)) {
+      throw createHttpError.BadRequest(`JSON Patch ${op} operation must have a value`)
+    }
+
+    if (op === 'add') {
+      addValue(wrapper, path, value)
+    } else if (op === 'remove') {
+      removeValue(wrapper, path)
+    } else if (op === 'replace') {
+      removeValue(wrapper, path)
+      addValue(wrapper, path, value)
+    } else if (op === 'move') {
+      if (path.startsWith(`${from}/`)) throw createHttpError.Conflict(`JSON Patch cannot move "${from}" in to one of it's children`)
+      addValue(wrapper, path, removeValue(wrapper, from))
+    } else if (op === 'copy') {
+      // roundtrip through the storage codec, so the copy is independent of the original
+      addValue(wrapper, path, codec.cbor.decode(codec.cbor.encode(getValue(wrapper, from))))
+    } else if (op === 'test') {
+      if (!isDeepStrictEqual(getValue(wrapper, path), value)) throw createHttpError.Conflict(`JSON Patch test failed at "${path}"`)
+    } else {
+      throw createHttpError.BadRequest(`JSON Patch operation "${op}" is not supported`)
+    }
+  }
+
+  return wrapper.root
+}
+
+/**
+ * Apply a JSON Merge Patch (RFC 7386) to a document. The document may be modified in place, use the return value
+ * @param {*} target - the current value of the record
+ * @param {*} patch - merge patch, null values remove properties, objects merge recursively, anything else replaces
+ * @returns {*} patched document
+ */
+exports.merge = function applyMergePatch (target, patch) {
+  if (!isContainer(patch) || Array.isArray(patch)) return patch
+  if (!isContainer(target) || Array.isArray(target)) target = {}
+
+  for (const [key, value] of Object.entries(patch)) {
+    if (value === null) {
+      delete target[key]
+    } else {
+      const current = Object.prototype.hasOwnProperty.call(target, key) ? target[key] : undefined
+      setOwn(target, key, exports.merge(current, value))
+    }
+  }
+
+  return target
+}
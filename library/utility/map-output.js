@@ -0,0 +1,25 @@
+// utility to check map outputs which come from outside the server, like webhook responses and remote worker results
+
+/**
+ * check a decoded object looks like a MapOutput, and returns a clean copy of it, throwing if it doesn't
+ * @param {*} body - decoded object
+ * @returns {import('../workers/lens-worker-base').MapOutput}
+ */
+exports.parse = function parseMapOutput (body) {
+  if (!body || typeof body !== 'object') throw new Error('response must be an object')
+  const { outputs = [], logs = [], errors = [] } = body
+  if (!Array.isArray(outputs) || !outputs.every(x => x && typeof x === 'object' && typeof x.id === 'string' && x.id !== '')) {
+    throw new Error('response outputs must be an array of { id, data } objects')
+  }
+  if (!Array.isArray(logs) || !logs.every(x => x && typeof x === 'object' && Array.isArray(x.args))) {
+    throw new Error('response logs must be an array of { type, args } objects')
+  }
+  if (!Array.isArray(errors) || !errors.every(x => x && typeof x === 'object' && typeof x.message === 'string')) {
+    throw new Error('response errors must be an array of { type, message } objects')
+  }
+  return {
+    outputs: outputs.map(({ id, data }) => ({ id, data })),
+    logs: logs.map(({ type = 'log', args, line }) => ({ type, args, line })),
+    errors: errors.map(({ type = 'Error', message, stack = [] }) => ({ type, message, stack: Array.isArray(stack) ? stack : [] }))
+  }
+}
@@ -3,10 +3,16 @@
 module.exports = function encode (object) {
   if (object === null || object === undefined) {
     return 'nil'
-  } else if (typeof object === 'number' || typeof object === 'bigint') {
+  } else if (typeof object === 'number') {
+    if (Number.isNaN(object)) return 'Float::NAN'
+    if (!Number.isFinite(object)) return object > 0 ? 'Float::INFINITY' : '-Float::INFINITY'
+    // mruby integers are 32 bit, and integer literals bigger than that don't compile, so they become floats
+    if (Number.isInteger(object) && (object > 2147483647 || object < -2147483648) && !`${object}`.includes('e')) return `${object}.0`
     return object.toString()
+  } else if (typeof object === 'bigint') {
+    return encode(Number(object))
   } else if (typeof object === 'string') {
-    return `'${object.replace('\\', '\\\\').replace("'", "\\'")}'`
+    return `'${object.replace(/[\\']/g, '\\$&')}'`
   } else if (typeof object === 'boolean') {
     return object ? 'true' : 'false'
   } else if (typeof object === 'symbol') {
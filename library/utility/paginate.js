@@ -0,0 +1,64 @@
+// utility to split long lists of recordIDs in to pages, using a recordID as the cursor to the next page
+const stringNaturalCompare = require('string-natural-compare')
+const createHttpError = require('http-errors')
+
+/**
+ * select a page of ids, in natural sort order
+ * @param {string[]} ids - list of ids, in any order
+ * @param {object} [options]
+ * @param {string} [options.after] - only include ids which sort after this one
+ * @param {string} [options.prefix] - only include ids which start with this string
+ * @param {number} [options.limit] - maximum number of ids to include
+ * @returns {string[]}
+ */
+exports.page = function page (ids, { after = undefined, prefix = undefined, limit = Infinity } = {}) {
+  const output = []
+  for (const id of [...ids].sort(stringNaturalCompare)) {
+    if (output.length >= limit) break
+    if (prefix !== undefined && !id.startsWith(prefix)) continue
+    if (after !== undefined && stringNaturalCompare(id, after) <= 0) continue
+    output.push(id)
+  }
+  return output
+}
+
+/**
+ * select a page of ids centered on one id, for showing nearby records in a sidebar
+ * @param {string[]} ids - list of ids, in any order
+ * @param {string} id - the id the page should contain
+ * @param {number} size - maximum number of ids in the page
+ * @returns {{ recordIDs: string[], earlier: boolean, later: boolean }} ids, and if there are more ids before or after them
+ */
+exports.around = function around (ids, id, size) {
+  const sorted = [...ids].sort(stringNaturalCompare)
+  const index = Math.max(0, sorted.indexOf(id))
+  const start = Math.max(0, Math.min(index - Math.floor(size / 2), sorted.length - size))
+  const end = start + size
+  return { recordIDs: sorted.slice(start, end), earlier: start > 0, later: end < sorted.length }
+}
+
+/**
+ * read paging options from a request's query string
+ * @param {object} query - express req.query object
+ * @param {number} [defaultLimit] - page size to use if the query doesn't specify one
+ * @returns {{ after: string|undefined, prefix: string|undefined, limit: number }}
+ */
+exports.options = function options (query, defaultLimit = Infinity) {
+  const after = typeof query.after === 'string' && query.after !== '' ? query.after : undefined
+  const prefix = typeof query.prefix === 'string' && query.prefix !== '' ? query.prefix : undefined
+  const limit = query.limit === undefined ? defaultLimit : parseInt(query.limit)
+  if (isNaN(limit) || limit < 1) throw createHttpError.BadRequest('limit must be a number above zero')
+  return { after, prefix, limit }
+}
+
+/**
+ * build a url for the next page, keeping the rest of the request's query string
+ * @param {Request} req - express request
+ * @param {string} after - last id in the current page
+ * @returns {string} path and query string
+ */
+exports.nextURL = function nextURL (req, after) {
+  const url = new URL(req.originalUrl, 'http://localhost')
+  url.searchParams.set('after', after)
+  return `${url.pathname}${url.search}`
+}
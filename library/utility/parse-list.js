@@ -0,0 +1,13 @@
+/**
+ * parse a list from a request body, like indexes or lookups, which is sent as an array, or from html forms as text
+ * with one entry per line
+ * @param {string[]|string|undefined} value
+ * @returns {string[]|undefined} undefined when the list wasn't sent
+ */
+function parseList (value) {
+  if (value === undefined || value === null) return undefined
+  if (Array.isArray(value)) return value
+  return `${value}`.split(/\r?\n/m).map(x => x.trim()).filter(x => !!x)
+}
+
+module.exports = parseList
@@ -0,0 +1,62 @@
+const layout = require('./layout')
+const uri = require('encodeuricomponent-tag')
+
+/**
+ * block to build a form proposing changes from one dataset to another
+ * @param {Request} req - express Request
+ * @param {object} data - object with state info for the form
+ * @param {string} data.from - data path of the dataset the changes come from
+ * @param {string} data.memo - description of the changes
+ * @param {import('../models/change-requests').ProposedChange[]} data.changes - records which would be proposed
+ * @param {null|string} error - null or a string with an error message
+ */
+module.exports = (req, data, error = null) => {
+  return layout(req, v => {
+    v.form({ class: 'simple-form', method: 'PUT' }, v => {
+      v.panel(v => {
+        v.header(v => {
+          v.breadcrumbs(v => {
+            v.a('Datasets', { href: '/datasets/' })
+            v.iconLink('user-circle', req.params.author, { href: uri`/authors/${req.params.author}` })
+            v.iconLink('cassette', req.params.name, { href: uri`/datasets/${req.params.author}:${req.params.name}/` })
+            v.a('Change Requests', { href: uri`/datasets/${req.params.author}:${req.params.name}/change-requests/` })
+          })
+        })
+
+        v.heading(`Propose Changes to “${req.params.name}”`)
+
+        if (error) {
+          v.p(v => { v.glitch('Error: '); v.text(error) })
+        }
+
+        v.dl({ class: ['expand'] }, v => {
+          v.dt('From Dataset (one of yours, like /datasets/author:name)')
+          v.dd(v => v.input({ name: 'from', value: data.from, required: true }))
+
+          v.dt('Memo (describe your changes)')
+          v.dd(v => v.textarea(data.memo, { name: 'memo', spellcheck: 'true', wrap: 'off' }))
+        })
+
+        if (data.from && !error) {
+          v.heading('Changed Records:', { level: 3 })
+          if (data.changes.length === 0) {
+            v.p('There are no changes to propose')
+          }
+          v.ul(v => {
+            for (const { id, type } of data.changes) {
+              v.li(v => {
+                v.a(id, { href: `${data.from}`.replace(/\/$/, '') + uri`/records/${id}` })
+                v.text(` (${type})`)
+              })
+            }
+          })
+        }
+
+        v.footer(v => {
+          v.button('Compare', { type: 'submit', formmethod: 'GET' })
+          if (data.changes.length > 0) v.button('Propose Changes', { type: 'submit' })
+        })
+      })
+    })
+  })
+}
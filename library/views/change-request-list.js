@@ -0,0 +1,38 @@
+const layout = require('./layout')
+const uri = require('encodeuricomponent-tag')
+
+/**
+ * block to build a list of change requests submitted to a dataset
+ * @param {Request} req - express Request
+ * @param {object} data
+ * @param {object[]} data.list - change request summaries, newest first
+ */
+module.exports = (req, { list }) => {
+  return layout(req, v => {
+    v.panel(v => {
+      v.header(v => {
+        v.breadcrumbs(v => {
+          v.a('Datasets', { href: '/datasets/' })
+          v.iconLink('user-circle', req.params.author, { href: uri`/authors/${req.params.author}` })
+          v.iconLink('cassette', req.params.name, { href: uri`/datasets/${req.params.author}:${req.params.name}/` })
+          v.a('Change Requests', { href: uri`/datasets/${req.params.author}:${req.params.name}/change-requests/` })
+        })
+      })
+
+      v.heading('Change Requests')
+
+      if (list.length === 0) {
+        v.p('Nobody has proposed any changes to this dataset yet. Fork it to make your own copy, then propose your changes from there.')
+      }
+
+      v.ul(v => {
+        for (const { id, author, from, memo, status, counts } of list) {
+          v.li(v => {
+            v.a(`#${id} ${memo || 'Untitled'}`, { href: uri`/datasets/${req.params.author}:${req.params.name}/change-requests/${id}` })
+            v.text(` from ${author} (${from}), ${status}: ${counts.pending} pending, ${counts.accepted} accepted, ${counts.rejected} rejected`)
+          })
+        }
+      })
+    })
+  })
+}
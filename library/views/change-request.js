@@ -0,0 +1,72 @@
+const layout = require('./layout')
+const codec = require('../models/codec')
+const uri = require('encodeuricomponent-tag')
+
+/**
+ * block to build a change request review page, showing each proposed record next to the current version
+ * @param {Request} req - express Request
+ * @param {object} data
+ * @param {import('../models/change-requests').ChangeRequest} data.request - the change request
+ * @param {object} data.current - current values of the target dataset's records, by recordID
+ */
+module.exports = (req, { request, current }) => {
+  const pending = Object.values(request.records).some(({ status }) => status === 'pending')
+  const canReview = req.owner && request.status === 'open'
+
+  return layout(req, v => {
+    v.form({ method: 'POST' }, v => {
+      v.panel(v => {
+        v.header(v => {
+          v.breadcrumbs(v => {
+            v.a('Datasets', { href: '/datasets/' })
+            v.iconLink('user-circle', req.params.author, { href: uri`/authors/${req.params.author}` })
+            v.iconLink('cassette', req.params.name, { href: uri`/datasets/${req.params.author}:${req.params.name}/` })
+            v.a('Change Requests', { href: uri`/datasets/${req.params.author}:${req.params.name}/change-requests/` })
+            v.a(`#${request.id}`, { href: uri`/datasets/${req.params.author}:${req.params.name}/change-requests/${request.id}` })
+          })
+        })
+
+        v.heading(`Change Request #${request.id}`)
+        if (request.memo) v.p(request.memo)
+        v.p(v => {
+          v.text(`Proposed by ${request.author} from `)
+          v.a(request.from, { href: `${request.from}/` })
+          v.text(` at version ${request.fromVersion}. This change request is ${request.status}.`)
+        })
+
+        for (const [id, { type, status, data }] of Object.entries(request.records)) {
+          v.heading({ level: 3 }, v => {
+            v.text(`${id} (${type}, ${status}) `)
+            if (canReview && status === 'pending') {
+              v.button('Accept', { type: 'submit', name: 'accept', value: id })
+              v.button('Reject', { type: 'submit', name: 'reject', value: id })
+            }
+          })
+
+          v.div({ class: 'change-diff' }, v => {
+            v.div(v => {
+              v.heading('Current', { level: 4 })
+              if (id in current) v.sourceCode(codec.json.print(current[id], '\t'))
+              else v.p('No record')
+            })
+            v.div(v => {
+              v.heading('Proposed', { level: 4 })
+              if (type !== 'delete') v.sourceCode(codec.json.print(data, '\t'))
+              else v.p('Delete record')
+            })
+          })
+        }
+
+        if (request.status === 'open' && (canReview || req.author === request.author)) {
+          v.footer(v => {
+            if (canReview && pending) {
+              v.button('Accept All', { type: 'submit', name: 'acceptAll', value: 'true' })
+              v.button('Reject All', { type: 'submit', name: 'rejectAll', value: 'true' })
+            }
+            v.button('Withdraw', { type: 'submit', formmethod: 'DELETE' })
+          })
+        }
+      })
+    })
+  })
+}
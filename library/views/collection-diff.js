@@ -0,0 +1,59 @@
+const layout = require('./layout')
+const codec = require('../models/codec')
+const uri = require('encodeuricomponent-tag')
+
+/**
+ * block to build a page comparing two versions of a dataset or lens, or a dataset or lens with another
+ * @param {Request} req - express Request
+ * @param {object} data
+ * @param {import('../models/base-data-model').DataModelDiff} data.diff - output of the model's diff function, with values
+ * @param {string} data.from - from value as entered in the query string
+ * @param {string} data.to - to value as entered in the query string
+ */
+module.exports = (req, { diff, from, to }) => {
+  const isLens = req.params.source === 'lenses'
+  const collectionURL = uri`/${req.params.source}/${req.params.author}:${req.params.name}/`
+  const total = diff.added.length + diff.removed.length + diff.changed.length
+  const types = new Map([
+    ...diff.added.map(id => [id, 'added']),
+    ...diff.removed.map(id => [id, 'removed']),
+    ...diff.changed.map(id => [id, 'changed'])
+  ])
+
+  return layout(req, v => {
+    v.form({ method: 'GET' }, v => {
+      v.panel(v => {
+        v.header(v => {
+          v.breadcrumbs(v => {
+            v.a(isLens ? 'Lenses' : 'Datasets', { href: `/${req.params.source}/` })
+            v.iconLink('user-circle', req.params.author, { href: uri`/authors/${req.params.author}/` })
+            v.iconLink(isLens ? '3dglasses' : 'cassette', req.params.name, { href: collectionURL })
+            v.a('Compare', { href: `${collectionURL}diff` })
+          })
+        })
+
+        v.heading('Compare Versions')
+        v.p('Enter a version number, or the path to another dataset or lens, like /datasets/author:name')
+        v.dl({ class: ['expand'] }, v => {
+          v.dt('From')
+          v.dd(v => v.input({ name: 'from', value: from, placeholder: `${diff.from.version}` }))
+          v.dt('To')
+          v.dd(v => v.input({ name: 'to', value: to, placeholder: `${diff.to.version}` }))
+        })
+
+        v.p(`Comparing ${diff.from.path} version ${diff.from.version} to ${diff.to.path} version ${diff.to.version}: ` +
+          `${diff.added.length} added, ${diff.removed.length} removed, ${diff.changed.length} changed.`)
+        if (total === 0) v.p('The records are identical.')
+
+        for (const [id, ops] of Object.entries(diff.records || {})) {
+          v.heading({ level: 3 }, `${id} (${types.get(id)})`)
+          v.sourceCode(codec.json.print(ops, '\t'))
+        }
+
+        v.footer(v => {
+          v.button('Compare', { type: 'submit' })
+        })
+      })
+    })
+  })
+}
@@ -28,7 +28,8 @@ module.exports = (req, data, error = null) => {
               { label: 'View', href: uri`/datasets/${req.params.author}:${req.params.name}/` },
               { label: 'Edit', href: uri`/datasets/${req.params.author}:${req.params.name}/configuration`, if: req.owner, current: true },
               { label: 'Import', href: uri`/datasets/${req.params.author}:${req.params.name}/import`, if: req.owner },
-              { label: 'Export', href: uri`/datasets/${req.params.author}:${req.params.name}/export` }
+              { label: 'Export', href: uri`/datasets/${req.params.author}:${req.params.name}/export` },
+              { label: 'Changes', href: uri`/datasets/${req.params.author}:${req.params.name}/change-requests/` }
             )
           }
         })
@@ -49,13 +50,40 @@ module.exports = (req, data, error = null) => {
 
           v.dt('Memo (short description)')
           v.dd(v => v.textarea(data.memo, { name: 'memo', spellcheck: 'true', wrap: 'off' }))
+
+          if (!data.create) {
+            v.dt('JSON Schema (optional, every record must match it)')
+            v.dd(v => v.sourceCodeEditor('schema', 'json5', data.schema || ''))
+
+            v.dt('Indexed fields (one JSON Pointer per line, like /handshape)')
+            v.dd(v => v.textarea([data.indexes || []].flat().join('\n'), { name: 'indexes', spellcheck: 'false', wrap: 'off' }))
+          }
         })
 
+        if (data.schemaReport) {
+          v.heading('Schema Check')
+          if (data.schemaReport.length === 0) {
+            v.p('Every existing record matches this schema.')
+          } else {
+            v.p(`${data.schemaReport.length} existing records don’t match this schema, and would need fixing before they can be saved again:`)
+            v.ul(v => {
+              for (const { id, errors } of data.schemaReport) {
+                v.li(v => {
+                  v.a(id, { href: uri`/datasets/${req.params.author}:${req.params.name}/records/${id}` })
+                  v.text(': ')
+                  v.text(errors.map(({ pointer, message }) => `“${pointer || '/'}” ${message}`).join(', '))
+                })
+              }
+            })
+          }
+        }
+
         v.footer(v => {
           if (data.create) {
             v.button('Create', { type: 'submit' })
           } else {
             v.button('Save', { type: 'submit' })
+            v.button('Check Records', { type: 'submit', name: 'dryRun', value: 'true' })
             v.button('Delete', { type: 'submit', formaction: uri`/datasets/${req.params.author}:${req.params.name}`, formmethod: 'DELETE' })
           }
         })
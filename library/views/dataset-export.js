@@ -22,7 +22,8 @@ module.exports = (req, state) => {
           { label: 'View', href: uri`/datasets/${req.params.author}:${req.params.name}/` },
           { label: 'Edit', href: uri`/datasets/${req.params.author}:${req.params.name}/configuration`, if: req.owner },
           { label: 'Import', href: uri`/datasets/${req.params.author}:${req.params.name}/import`, if: req.owner },
-          { label: 'Export', href: uri`/datasets/${req.params.author}:${req.params.name}/export`, current: true }
+          { label: 'Export', href: uri`/datasets/${req.params.author}:${req.params.name}/export`, current: true },
+          { label: 'Changes', href: uri`/datasets/${req.params.author}:${req.params.name}/change-requests/` }
         )
       })
 
@@ -0,0 +1,43 @@
+const layout = require('./layout')
+const uri = require('encodeuricomponent-tag')
+
+/**
+ * block to build a form to fork a dataset in to the logged in author's account
+ * @param {Request} req - express Request
+ * @param {object} data - object with state info for the form, name and memo of the new dataset
+ * @param {null|string} error - null or a string with an error message
+ */
+module.exports = (req, data, error = null) => {
+  return layout(req, v => {
+    v.form({ class: 'simple-form', method: 'POST' }, v => {
+      v.panel(v => {
+        v.header(v => {
+          v.breadcrumbs(v => {
+            v.a('Datasets', { href: '/datasets/' })
+            v.iconLink('user-circle', req.params.author, { href: uri`/authors/${req.params.author}` })
+            v.iconLink('cassette', req.params.name, { href: uri`/datasets/${req.params.author}:${req.params.name}/` })
+          })
+        })
+
+        v.heading(`Fork “${req.params.name}”`)
+        v.p(`Copies the records of ${req.params.author}’s dataset in to a new dataset you can edit. Attachments are shared, not copied.`)
+
+        if (error) {
+          v.p(v => { v.glitch('Error: '); v.text(error) })
+        }
+
+        v.dl({ class: ['expand'] }, v => {
+          v.dt('New Dataset Name')
+          v.dd(v => v.input({ name: 'name', value: data.name, minlength: 1, maxlength: 250, pattern: "[^!*'();:@&=+$,/?%#[\\]]+" }))
+
+          v.dt('Memo (short description)')
+          v.dd(v => v.textarea(data.memo, { name: 'memo', spellcheck: 'true', wrap: 'off' }))
+        })
+
+        v.footer(v => {
+          v.button('Fork', { type: 'submit' })
+        })
+      })
+    })
+  })
+}
@@ -22,7 +22,8 @@ module.exports = (req, state) => {
             { label: 'View', href: uri`/datasets/${req.params.author}:${req.params.name}/` },
             { label: 'Edit', href: uri`/datasets/${req.params.author}:${req.params.name}/configuration`, if: req.owner },
             { label: 'Import', href: uri`/datasets/${req.params.author}:${req.params.name}/import`, current: true, if: req.owner },
-            { label: 'Export', href: uri`/datasets/${req.params.author}:${req.params.name}/export` }
+            { label: 'Export', href: uri`/datasets/${req.params.author}:${req.params.name}/export` },
+            { label: 'Changes', href: uri`/datasets/${req.params.author}:${req.params.name}/change-requests/` }
           )
         })
 
@@ -1,14 +1,14 @@
 const layout = require('./layout')
 const uri = require('encodeuricomponent-tag')
-const naturalCompare = require('string-natural-compare')
 
 /**
  * block to build a dataset manual record editor
  * @param {Request} req - express Request
  * @param {string} data - object with state info for the form
- * @param {null|string} error - null or a string with an error message
+ * @param {object} data.config - dataset's meta object
+ * @param {object} data.records - page of records to list, with recordIDs, and optional after, prefix, and next url
  */
-module.exports = (req, { config }) => {
+module.exports = (req, { config, records }) => {
   return layout(req, v => {
     v.panel(v => {
       v.header(v => {
@@ -22,19 +22,53 @@ module.exports = (req, { config }) => {
           { label: 'View', href: uri`/datasets/${req.params.author}:${req.params.name}/`, current: true },
           { label: 'Edit', href: uri`/datasets/${req.params.author}:${req.params.name}/configuration`, if: req.owner },
           { label: 'Import', href: uri`/datasets/${req.params.author}:${req.params.name}/import`, if: req.owner },
-          { label: 'Export', href: uri`/datasets/${req.params.author}:${req.params.name}/export` }
+          { label: 'Export', href: uri`/datasets/${req.params.author}:${req.params.name}/export` },
+          { label: 'Changes', href: uri`/datasets/${req.params.author}:${req.params.name}/change-requests/` }
         )
       })
 
       v.heading(`Dataset: ${req.params.name}`)
       if (config.memo) v.p(config.memo)
+      v.p(`Version ${config.version}`)
+      if (config.forkedFrom) {
+        v.p(v => {
+          v.text('Forked from ')
+          v.a(config.forkedFrom.path, { href: `${config.forkedFrom.path}/` })
+          v.text(` at version ${config.forkedFrom.version}`)
+        })
+      }
       v.heading('Records:', { level: 3 })
-      const recordIDs = Object.keys(config.records).sort(naturalCompare)
-      v.linkList(recordIDs, id => uri`/datasets/${req.params.author}:${req.params.name}/records/${id}`)
+      v.form({ method: 'GET' }, v => {
+        v.input({ type: 'search', name: 'prefix', value: records.prefix || '', placeholder: 'Show records starting with…', 'aria-label': 'recordID prefix' })
+      })
+      v.linkList(records.recordIDs, id => uri`/datasets/${req.params.author}:${req.params.name}/records/${id}`)
+      if (records.after || records.next) {
+        v.p(v => {
+          if (records.after) v.button('First Page', { href: records.prefix ? uri`?prefix=${records.prefix}` : '?' })
+          if (records.next) v.button('Next Page', { href: records.next })
+        })
+      }
 
       if (req.owner) {
         v.footer(v => {
           v.button('Add Record', { href: uri`/datasets/${req.params.author}:${req.params.name}/create-record` })
+          v.button('Fork', { href: uri`/datasets/${req.params.author}:${req.params.name}/fork` })
+          v.button('Compare', { href: uri`/datasets/${req.params.author}:${req.params.name}/diff` })
+          if (config.forkedFrom) {
+            v.button('Propose Changes', { href: `${config.forkedFrom.path}${uri`/change-requests/create?from=/datasets/${req.params.author}:${req.params.name}`}` })
+          }
+          if (config.version > 0) {
+            v.form({ method: 'POST', action: uri`/datasets/${req.params.author}:${req.params.name}/rollback` }, v => {
+              v.label('Version ', { for: 'rollback-version' })
+              v.input({ type: 'number', name: 'version', id: 'rollback-version', min: 0, max: config.version - 1, value: config.version - 1, required: true })
+              v.button('Rollback', { type: 'submit' })
+            })
+          }
+        })
+      } else if (req.author) {
+        v.footer(v => {
+          v.button('Fork', { href: uri`/datasets/${req.params.author}:${req.params.name}/fork` })
+          v.button('Compare', { href: uri`/datasets/${req.params.author}:${req.params.name}/diff` })
         })
       }
     })
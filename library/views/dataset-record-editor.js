@@ -13,15 +13,27 @@ module.exports = (req, data, error = null) => {
       v.sidebar(v => {
         v.heading('Records')
 
+        const { recordIDs, earlier, later } = data.sidebar
         v.ul(v => {
-          for (const recordID of data.sidebar.recordIDs) {
+          if (earlier) v.li(v => v.a('…', { href: uri`/datasets/${req.params.author}:${req.params.name}/`, title: 'All Records' }))
+          for (const recordID of recordIDs) {
             const attribs = recordID === req.params.recordID ? { class: 'selected' } : {}
             v.li(attribs, v => v.a(recordID, { href: uri`/datasets/${req.params.author}:${req.params.name}/records/${recordID}?edit=1` }))
           }
+          if (later) v.li(v => v.a('More…', { href: uri`/datasets/${req.params.author}:${req.params.name}/?after=${recordIDs[recordIDs.length - 1]}` }))
         })
       })
     }
 
+    if (data.conflict) {
+      v.panel(v => {
+        v.heading('Edit Conflict')
+        v.p('This record was changed by someone else while you were editing it. This is the version that is saved now:')
+        v.sourceCode(data.conflict.currentData)
+        v.p('Your changes are below. Saving again will replace the version above with your changes.')
+      })
+    }
+
     v.form({ method: 'PUT', action: '?edit=1' }, v => {
       v.panel(v => {
         v.header(v => {
@@ -56,6 +68,10 @@ module.exports = (req, data, error = null) => {
         }
 
         v.sourceCodeEditor('recordData', 'json5', data.recordData, { class: ['expand'], ace: { maxLines: 1000 } })
+        if (data.recordHash) {
+          // used to detect if the record changes while it's being edited
+          v.input({ type: 'hidden', name: 'ifMatch', value: data.recordHash })
+        }
 
         v.footer(v => {
           v.button('Save', { type: 'submit' })
@@ -12,7 +12,10 @@ module.exports = (req, block) => {
       v.iconButton('users', 'Authors', { href: '/authors/' })
 
       v.span({ style: { flexGrow: 10 } })
-      v.iconButton('magnifier', 'Search', { href: '/search' })
+      v.form({ method: 'GET', action: '/search', class: 'search' }, v => {
+        v.input({ type: 'search', name: 'q', value: req.path === '/search' && req.query.q ? `${req.query.q}` : '', placeholder: 'Search', 'aria-label': 'Search' })
+        v.iconButton('magnifier', { type: 'submit', title: 'Search' })
+      })
       if (req.author) {
         v.iconButton('user-circle', req.author, { href: uri`/authors/${req.author}/` })
         v.iconButton('sign-out', 'Logout', { href: uri`/auth/logout` })
@@ -1,6 +1,115 @@
 const layout = require('./layout')
 const uri = require('encodeuricomponent-tag')
 const { LensCodeError } = require('../models/lens')
+const settings = require('../models/settings')
+const codec = require('../models/codec')
+const { describeCounts } = require('./lens-errors')
+
+const mapTypes = {
+  javascript: 'Javascript',
+  ruby: 'Ruby',
+  python: 'Python',
+  webhook: 'Webhook',
+  remote: 'Remote Workers'
+}
+
+// file extensions of lens code in each language, as they appear in error stacks
+const extensions = { javascript: 'js', ruby: 'rb', python: 'py' }
+
+// how to write map code in each language
+const mapHelp = {
+  javascript: `Map function receives <code>path</code> and <code>data</code>. <code>path</code> is an object
+    containing <code>string</code> (full data path of input), and <code>source</code>, <code>author</code>,
+    <code>name</code>, and <code>recordID</code> properties. data contains the value of the underlying
+    dataset/lens output. Use <code>output(recordID, recordData)</code> to add an output to the lens.
+    <code>console.log/warn/info/error()</code> is also available for debugging, <code>params</code> holds the
+    lens's params, <code>lookup(recordPath)</code> returns a record from one of the lens's lookups, and
+    <code>attach(data, mimeType)</code> stores a string or Uint8Array as an attachment, returning its hash url.`,
+  ruby: `Map code receives <code>path</code> and <code>data</code>. <code>path</code> is a Hash
+    containing <code>'string'</code> (full data path of input), and <code>'source'</code>,
+    <code>'author'</code>, <code>'name'</code>, and <code>'recordID'</code> keys. data contains the value
+    of the underlying dataset/lens output. Use <code>output(record_id, record_data)</code> to add an
+    output to the lens. <code>puts</code> and <code>p</code> are also available for debugging.`,
+  python: `Map code receives <code>path</code> and <code>data</code>. <code>path</code> is a dict
+    containing <code>'string'</code> (full data path of input), and <code>'source'</code>,
+    <code>'author'</code>, <code>'name'</code>, and <code>'recordID'</code> keys. data contains the value
+    of the underlying dataset/lens output. Use <code>output(record_id, record_data)</code> to add an
+    output to the lens. <code>print()</code> is also available for debugging.`
+}
+
+// source code editor, showing the stack trace and moving the cursor to the error, if the error came from this file
+function codeEditor (v, name, language, filename, code, error) {
+  const editorOpts = {}
+  if (error instanceof LensCodeError) {
+    const msgMatch = error.message.match(/([a-z]+\.js):([0-9]+:[0-9]+)]$/)
+    const errorFile = error.stack.length > 0 ? error.stack[0].filename : (msgMatch ? msgMatch[1] : 'map.js')
+    if (errorFile === filename) {
+      v.stacktrace(error.object)
+      if (msgMatch) editorOpts.cursor = msgMatch[2]
+      if (error.stack.length > 0) {
+        editorOpts.cursor = `${error.stack[0].line}:${error.stack[0].column}`
+      }
+    }
+  }
+  v.sourceCodeEditor(name, language, code, editorOpts)
+}
+
+// params and tests are sent back as JSON text when the form has errors, or stored as values in the lens config
+function jsonText (value) {
+  if (typeof value === 'string') return value
+  return value === undefined ? '' : codec.json.print(value)
+}
+
+// results of running the lens's tests, showing what each failing test output, what it expected, and any errors
+function testResults (v, results) {
+  v.heading('Test Results')
+  if (results.length === 0) v.p('This lens has no tests yet.')
+  for (const result of results) {
+    v.div({ class: ['test-result', result.pass ? 'pass' : 'fail'] }, v => {
+      v.heading({ level: 3 }, `${result.pass ? 'Passed' : 'Failed'}: ${result.name}`)
+      if (result.mismatched.length > 0) {
+        v.dl(v => {
+          for (const id of result.mismatched) {
+            v.dt(`Record ${id}`)
+            v.dd(v => {
+              v.p(id in result.expected ? 'Expected:' : 'Wasn’t expected')
+              if (id in result.expected) v.sourceCode(codec.json.print(result.expected[id]), { data: { language: 'json' } })
+              v.p(id in result.outputs ? 'Output:' : 'Wasn’t output')
+              if (id in result.outputs) v.sourceCode(codec.json.print(result.outputs[id]), { data: { language: 'json' } })
+            })
+          }
+        })
+      }
+      for (const error of result.errors) v.stacktrace(error)
+      if (result.logs.length > 0) v.logs(result.logs)
+    })
+  }
+}
+
+// how the lens's outputs would change if the form was saved, like the collection diff page
+function preview (v, { version, added, removed, changed, records, errorCounts }, errorPolicy) {
+  const types = new Map([
+    ...added.map(id => [id, 'added']),
+    ...removed.map(id => [id, 'removed']),
+    ...changed.map(id => [id, 'changed'])
+  ])
+
+  v.heading('Preview')
+  v.p(`Compared with version ${version} of the live lens, saving would output ${added.length} added, ` +
+    `${removed.length} removed, and ${changed.length} changed records.`)
+  if (errorCounts.map > 0 || errorCounts.reduce > 0) {
+    v.p(v => {
+      v.glitch(`${describeCounts(errorCounts)}.`)
+      if (errorPolicy === 'abort' && errorCounts.map > 0) v.text(' The build would abort, keeping the earlier outputs.')
+    })
+  }
+  if (types.size === 0) v.p('The outputs would be identical.')
+
+  for (const [id, ops] of Object.entries(records)) {
+    v.heading({ level: 3 }, `${id} (${types.get(id)})`)
+    v.sourceCode(codec.json.print(ops, '\t'))
+  }
+}
 
 /**
  * block to build a dataset config editor form
@@ -8,6 +117,10 @@ const { LensCodeError } = require('../models/lens')
  * @param {string} data - object with state info for the form
  */
 module.exports = (req, data) => {
+  // ruby and python lenses reduce in the same language as they map, every other type of lens reduces with javascript
+  const language = extensions[data.mapType] ? data.mapType : 'javascript'
+  const extension = extensions[language]
+
   return layout(req, v => {
     v.form({ class: 'simple-form', method: 'PUT' }, v => {
       v.panel(v => {
@@ -27,6 +140,7 @@ module.exports = (req, data) => {
               { label: 'Lens', href: uri`/lenses/${req.params.author}:${req.params.name}/` },
               { label: 'Edit', href: uri`/lenses/${req.params.author}:${req.params.name}/configuration`, if: req.owner, current: true },
               { label: 'Logs', href: uri`/lenses/${req.params.author}:${req.params.name}/logs` },
+              { label: 'Errors', href: uri`/lenses/${req.params.author}:${req.params.name}/errors` },
               { label: 'Export', href: uri`/lenses/${req.params.author}:${req.params.name}/export` }
             )
           }
@@ -40,7 +154,6 @@ module.exports = (req, data) => {
         }
 
         v.hiddenFormData({ owner: data.owner || req.author })
-        v.hiddenFormData({ mapType: data.mapType })
 
         v.dl(v => {
           v.dt('Lens Name')
@@ -57,31 +170,101 @@ module.exports = (req, data) => {
           v.dt('Inputs (one data path per line)')
           v.dd(v => v.textarea([data.inputs].flat().join('\n'), { name: 'inputs', spellcheck: 'false', wrap: 'off' }))
 
-          v.dt('Javascript Function')
+          v.dt('Lookups (one dataset or lens path per line, javascript lenses can read their records with lookup(path))')
+          v.dd(v => v.textarea([data.lookups || []].flat().join('\n'), { name: 'lookups', spellcheck: 'false', wrap: 'off' }))
+
+          v.dt('Indexed fields (one JSON Pointer per line, like /handshape)')
+          v.dd(v => v.textarea([data.indexes || []].flat().join('\n'), { name: 'indexes', spellcheck: 'false', wrap: 'off' }))
+
+          v.dt('Map Type')
+          v.dd(v => {
+            v.select({ name: 'mapType' }, v => {
+              for (const [value, label] of Object.entries(mapTypes)) {
+                v.option(label, { value, selected: (data.mapType || 'javascript') === value })
+              }
+            })
+          })
+
+          v.dt('When Input Records Fail to Map')
+          v.dd(v => {
+            v.select({ name: 'errorPolicy' }, v => {
+              v.option('Skip them, and publish the rest', { value: 'skip', selected: data.errorPolicy !== 'abort' })
+              v.option('Abort the build, keeping earlier outputs', { value: 'abort', selected: data.errorPolicy === 'abort' })
+            })
+          })
+
+          const webhook = data.webhook || {}
+          v.dt('Webhook Settings (used by webhook lenses)')
           v.dd(v => {
             v.div({
-              innerHTML: `Map function receives <code>path</code> and <code>data</code>. <code>path</code> is an object
-              containing <code>string</code> (full data path of input), and <code>source</code>, <code>author</code>,
-              <code>name</code>, and <code>recordID</code> properties. data contains the value of the underlying
-              dataset/lens output. Use <code>output(recordID, recordData)</code> to add an output to the lens.
-              <code>console.log/warn/info/error()</code> is also available for debugging.`
+              innerHTML: `Each input record is POSTed to this url as <code>{ path, data }</code>, and the response must be
+              an object like <code>{ outputs: [{ id, data }], logs: [], errors: [] }</code>, encoded as JSON or CBOR.`
             })
-            const editorOpts = {}
-            const error = data.error
-            if (error instanceof LensCodeError) {
-              v.stacktrace(error.object)
-              const msgMatch = error.message.match(/.js:([0-9]+:[0-9]+)]$/)
-              if (msgMatch[1]) editorOpts.cursor = msgMatch[1]
-              if (error.stack.length > 0) {
-                editorOpts.cursor = `${error.stack[0].line}:${error.stack[0].column}`
-              }
-            }
-            v.sourceCodeEditor('code', 'javascript', data.code, editorOpts)
+            v.dl(v => {
+              v.dt('URL')
+              v.dd(v => v.input({ name: 'webhookURL', type: 'url', value: data.webhookURL || webhook.url || '' }))
+              v.dt('Format')
+              v.dd(v => {
+                v.select({ name: 'webhookFormat' }, v => {
+                  for (const format of ['json', 'cbor']) {
+                    v.option(format.toUpperCase(), { value: format, selected: (data.webhookFormat || webhook.format || 'json') === format })
+                  }
+                })
+              })
+              v.dt('Concurrent Requests')
+              v.dd(v => v.input({ name: 'webhookConcurrency', type: 'number', min: 1, max: settings.webhookMaxConcurrency, value: data.webhookConcurrency || webhook.concurrency || 1 }))
+              v.dt('Retries')
+              v.dd(v => v.input({ name: 'webhookRetries', type: 'number', min: 0, max: settings.webhookMaxRetries, value: data.webhookRetries || (webhook.retries === undefined ? 2 : webhook.retries) }))
+            })
+          })
+
+          v.dt('Params (optional)')
+          v.dd(v => {
+            v.div({
+              innerHTML: `A JSON object of settings, like <code>{ "language": "Auslan" }</code>, which javascript lens code
+              reads from <code>params</code>, so similar lenses can share code. Changing params rebuilds every output.`
+            })
+            v.sourceCodeEditor('params', 'json', jsonText(data.params))
+          })
+
+          v.dt(`${mapTypes[language]} Function`)
+          v.dd(v => {
+            v.div({ innerHTML: mapHelp[language] })
+            codeEditor(v, 'code', language, `map.${extension}`, data.code, data.error)
+          })
+
+          v.dt(`${mapTypes[language]} Reduce Function (optional)`)
+          v.dd(v => {
+            v.div({
+              innerHTML: `Reduce function receives <code>id</code>, <code>left</code>, and <code>right</code> when more
+              than one value is output with the same recordID, and returns one value combining <code>left</code> and
+              <code>right</code>. Leave blank to use the default rules: arrays concatenate, numbers add, objects merge.`
+            })
+            codeEditor(v, 'reduceCode', language, `reduce.${extension}`, data.reduceCode || '', data.error)
+          })
+
+          v.dt('Tests (optional)')
+          v.dd(v => {
+            v.div({
+              innerHTML: `A JSON array of tests, like <code>[{ "name": "copies words", "inputs": { "/datasets/author:name/records/abc": "data" },
+              "outputs": { "abc": "expected data" } }]</code>. Each test maps its fixture input records, and passes when the lens
+              outputs exactly the expected records, without errors. Tests never change real datasets, and only read the lens’s lookups.`
+            })
+            v.sourceCodeEditor('tests', 'json', jsonText(data.tests))
+            v.input({ name: 'requireTestsPass', value: 'true', type: 'checkbox', id: 'require-tests-pass-check', checked: !!data.requireTestsPass })
+            v.label(' Refuse to save code which fails its tests', { for: 'require-tests-pass-check' })
           })
         })
 
+        if (Array.isArray(data.testResults)) testResults(v, data.testResults)
+        if (data.preview) preview(v, data.preview, data.errorPolicy)
+
         v.footer(v => {
           v.button('Test', { type: 'submit', formmethod: 'POST', formaction: '/lenses/ephemeral' })
+          if (!data.create) {
+            v.button('Run Tests', { type: 'submit', formmethod: 'POST', formaction: uri`/lenses/${req.params.author}:${req.params.name}/test` })
+            v.button('Preview', { type: 'submit', formmethod: 'POST', formaction: uri`/lenses/${req.params.author}:${req.params.name}/preview` })
+          }
           if (data.create) {
             v.button('Create', { type: 'submit' })
           } else {
@@ -0,0 +1,51 @@
+const layout = require('./layout')
+const uri = require('encodeuricomponent-tag')
+
+// summary of how many records failed, like "3 inputs failed to map, 1 output failed to reduce"
+function describeCounts ({ map = 0, reduce = 0 } = {}) {
+  const plural = (count, noun) => `${count} ${noun}${count === 1 ? '' : 's'}`
+  return `${plural(map, 'input')} failed to map, ${plural(reduce, 'output')} failed to reduce`
+}
+
+module.exports = (req, { config, errorsIter }) => {
+  return layout(req, async v => {
+    await v.panel(async v => {
+      v.header(v => {
+        v.breadcrumbs(v => {
+          v.a('Lenses', { href: '/lenses/' })
+          v.iconLink('user-circle', req.params.author, { href: uri`/authors/${req.params.author}/` })
+          v.iconLink('3dglasses', req.params.name, { href: uri`/lenses/${req.params.author}:${req.params.name}/` })
+          v.a('Lens Errors', { href: uri`/lenses/${req.params.author}:${req.params.name}/errors` })
+        })
+
+        v.panelTabs(
+          { label: 'Lens', href: uri`/lenses/${req.params.author}:${req.params.name}/` },
+          { label: 'Edit', href: uri`/lenses/${req.params.author}:${req.params.name}/configuration`, if: req.owner },
+          { label: 'Logs', href: uri`/lenses/${req.params.author}:${req.params.name}/logs` },
+          { label: 'Errors', href: uri`/lenses/${req.params.author}:${req.params.name}/errors`, current: true },
+          { label: 'Export', href: uri`/lenses/${req.params.author}:${req.params.name}/export` }
+        )
+      })
+
+      v.p(`In the latest build, ${describeCounts(config.errorCounts)}.`)
+      if (config.errorPolicy === 'abort') {
+        v.p('Builds with inputs which fail to map are aborted, keeping the earlier outputs.')
+      } else {
+        v.p('Inputs which fail to map are skipped, and don’t output anything.')
+      }
+
+      for await (const { input, function: fn, errors } of errorsIter) {
+        v.heading({ level: 3 }, v => {
+          if (fn === 'reduce') v.text('Reducing ')
+          v.a(input, { href: input })
+        })
+
+        for (const error of errors) {
+          v.stacktrace(error)
+        }
+      }
+    })
+  })
+}
+
+module.exports.describeCounts = describeCounts
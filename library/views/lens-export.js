@@ -22,6 +22,7 @@ module.exports = (req, state) => {
           { label: 'Lens', href: uri`/lenses/${req.params.author}:${req.params.name}/` },
           { label: 'Edit', href: uri`/lenses/${req.params.author}:${req.params.name}/configuration`, if: req.owner },
           { label: 'Logs', href: uri`/lenses/${req.params.author}:${req.params.name}/logs` },
+          { label: 'Errors', href: uri`/lenses/${req.params.author}:${req.params.name}/errors` },
           { label: 'Export', href: uri`/lenses/${req.params.author}:${req.params.name}/export`, current: true }
         )
       })
@@ -16,12 +16,16 @@ module.exports = (req, { logsIter }) => {
           { label: 'Lens', href: uri`/lenses/${req.params.author}:${req.params.name}/` },
           { label: 'Edit', href: uri`/lenses/${req.params.author}:${req.params.name}/configuration`, if: req.owner },
           { label: 'Logs', href: uri`/lenses/${req.params.author}:${req.params.name}/logs`, current: true },
+          { label: 'Errors', href: uri`/lenses/${req.params.author}:${req.params.name}/errors` },
           { label: 'Export', href: uri`/lenses/${req.params.author}:${req.params.name}/export` }
         )
       })
 
-      for await (const { input, errors, logs } of logsIter) {
-        v.heading({ level: 3 }, v => v.a(input, { href: input }))
+      for await (const { input, function: fn, errors, logs } of logsIter) {
+        v.heading({ level: 3 }, v => {
+          if (fn === 'reduce') v.text('Reducing ')
+          v.a(input, { href: input })
+        })
 
         for (const error of errors) {
           v.stacktrace(error)
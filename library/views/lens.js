@@ -1,14 +1,15 @@
 const layout = require('./layout')
 const uri = require('encodeuricomponent-tag')
-const naturalCompare = require('string-natural-compare')
+const { describeCounts } = require('./lens-errors')
 
 /**
  * block to build a login/register form page
  * @param {Request} req - express Request
  * @param {string} mode - either 'login' or 'register'
  * @param {null|string} error - null or a string with an error message
+ * @param {import('../models/lens-builds').LensBuild} [build] - status of the lens's latest background build
  */
-module.exports = (req, config) => {
+module.exports = (req, config, records, build) => {
   return layout(req, v => {
     v.panel(v => {
       v.header(v => {
@@ -22,6 +23,7 @@ module.exports = (req, config) => {
           { label: 'Lens', href: uri`/lenses/${req.params.author}:${req.params.name}/`, current: true },
           { label: 'Edit', href: uri`/lenses/${req.params.author}:${req.params.name}/configuration`, if: req.owner },
           { label: 'Logs', href: uri`/lenses/${req.params.author}:${req.params.name}/logs` },
+          { label: 'Errors', href: uri`/lenses/${req.params.author}:${req.params.name}/errors` },
           { label: 'Export', href: uri`/lenses/${req.params.author}:${req.params.name}/export` }
         )
       })
@@ -30,6 +32,28 @@ module.exports = (req, config) => {
         v.p('Memo: ' + config.memo)
       }
 
+      if (build) {
+        v.form({ method: 'DELETE', action: uri`/lenses/${req.params.author}:${req.params.name}/build` }, v => {
+          v.p(v => {
+            v.text('Build ')
+            v.span({ class: ['build-status', build.status] }, build.status)
+            if (build.status === 'running' && build.progress) v.text(` ${build.progress.done} of ${build.progress.total} input records`)
+            if (build.status === 'failed' && build.error) v.text(` ${build.error.message}`)
+            if (req.owner && ['queued', 'running'].includes(build.status)) {
+              v.text(' ')
+              v.button('Cancel', { type: 'submit' })
+            }
+          })
+        })
+      }
+
+      if (config.errorCounts && (config.errorCounts.map > 0 || config.errorCounts.reduce > 0)) {
+        v.p(v => {
+          v.text('Errors: ')
+          v.a(describeCounts(config.errorCounts), { href: uri`/lenses/${req.params.author}:${req.params.name}/errors` })
+        })
+      }
+
       v.p(v => {
         v.text('Data from ')
         v.inlineList(config.inputs, x => v.a(x, { href: x }))
@@ -44,11 +68,21 @@ module.exports = (req, config) => {
       }
 
       v.heading('Records:', { level: 3 })
-      v.linkList(Object.keys(config.records).sort(naturalCompare), name => uri`/lenses/${req.params.author}:${req.params.name}/records/${name}`)
+      v.form({ method: 'GET' }, v => {
+        v.input({ type: 'search', name: 'prefix', value: records.prefix || '', placeholder: 'Show records starting with…', 'aria-label': 'recordID prefix' })
+      })
+      v.linkList(records.recordIDs, name => uri`/lenses/${req.params.author}:${req.params.name}/records/${name}`)
+      if (records.after || records.next) {
+        v.p(v => {
+          if (records.after) v.button('First Page', { href: records.prefix ? uri`?prefix=${records.prefix}` : '?' })
+          if (records.next) v.button('Next Page', { href: records.next })
+        })
+      }
 
       if (req.session.auth) {
         v.footer(v => {
           v.button('Clone', { href: uri`/lenses/create?clone=${req.params.author}:${req.params.name}` })
+          v.button('Compare', { href: uri`/lenses/${req.params.author}:${req.params.name}/diff` })
         })
       }
     })
@@ -12,6 +12,8 @@ const capitalize = require('microsoft-capitalize')
  * @param {*} data.record - the actual record data to display
  * @param {object} data.sidebar - info for the sidebar
  * @param {string[]} data.sidebar.recordIDs - array of recordIDs in this containing dataset
+ * @param {boolean} [data.sidebar.earlier] - true if there are more records before the listed ones
+ * @param {boolean} [data.sidebar.later] - true if there are more records after the listed ones
  */
 module.exports = (req, { path, record, sidebar }) => {
   return layout(req, v => {
@@ -19,11 +21,14 @@ module.exports = (req, { path, record, sidebar }) => {
       v.sidebar(v => {
         v.heading(sidebar.title || 'Records')
 
+        const recordIDs = sidebar.recordIDs.sort(naturalCompare)
         v.ul(v => {
-          for (const recordID of sidebar.recordIDs.sort(naturalCompare)) {
+          if (sidebar.earlier) v.li(v => v.a('…', { href: '../', title: 'All Records' }))
+          for (const recordID of recordIDs) {
             const attribs = recordID === req.params.recordID ? { class: 'selected' } : {}
             v.li(attribs, v => v.a(recordID, { href: encodeURIComponent(recordID) }))
           }
+          if (sidebar.later) v.li(v => v.a('More…', { href: uri`../?after=${recordIDs[recordIDs.length - 1]}` }))
         })
       })
     }
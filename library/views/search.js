@@ -0,0 +1,48 @@
+const layout = require('./layout')
+const codec = require('../models/codec')
+
+/**
+ * build a search form with a list of matching records
+ * @param {Request} req - express Request
+ * @param {object} data - state info
+ * @param {string} data.query - text being searched for
+ * @param {string[]} data.in - data paths of collections being searched, or empty to search everything
+ * @param {import('../models/search').SearchResult[]} data.results - ranked list of matching records
+ */
+module.exports = (req, { query, in: paths, results }) => {
+  return layout(req, v => {
+    v.panel(v => {
+      v.header(v => {
+        v.breadcrumbs(v => v.a('Search', { href: '/search' }))
+      })
+
+      v.form({ method: 'GET', action: '/search' }, v => {
+        for (const path of paths) v.input({ type: 'hidden', name: 'in', value: path })
+        v.input({ type: 'search', name: 'q', value: query, placeholder: 'Words to find', 'aria-label': 'Search' })
+      })
+
+      if (paths.length > 0) {
+        v.p(v => {
+          v.text('Searching in: ')
+          v.inlineList(paths, path => v.a(path, { href: `${path}/` }))
+        })
+      }
+
+      if (query) {
+        if (results.length === 0) {
+          v.p('No records match all of those words')
+        } else {
+          v.ul(v => {
+            for (const { source, author, name, recordID } of results) {
+              v.li(v => {
+                v.iconLink('newspaper', recordID, { href: codec.path.encode(source, author, name, recordID) })
+                v.text(' in ')
+                v.iconLink(source === 'lenses' ? '3dglasses' : 'cassette', `${author}:${name}`, { href: `${codec.path.encode(source, author, name)}/` })
+              })
+            }
+          })
+        }
+      }
+    })
+  })
+}
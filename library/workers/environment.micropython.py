@@ -0,0 +1,82 @@
+# environment for python lenses, running inside micropython. The python lens worker calls __request() with JSON
+# encoded requests, and responses go back through the lens_host module as JSON, so print() output is free to become logs
+import io
+import json
+import sys
+import lens_host
+
+
+def __send(command, *args):
+    lens_host.send(json.dumps([command, args]))
+
+
+# send a lens output
+def output(id, data):
+    __send('output', str(id), data)
+
+
+# turn an exception in to a LensError, with a stack of lines in the lens's own code
+def __lens_error(err, file, code):
+    lines = code.split('\n')
+    trace = io.StringIO()
+    sys.print_exception(err, trace)
+    stack = []
+    for entry in trace.getvalue().split('\n'):
+        entry = entry.strip()
+        if entry.startswith('File "%s", line ' % file):
+            # the lens code is inside a function definition, one line down
+            number = int(entry.split('line ')[1].split(',')[0]) - 1
+            # errors at the end of the code are reported on the line after it
+            if isinstance(err, SyntaxError):
+                number = min(number, len(lines))
+            if number >= 1 and number <= len(lines):
+                stack.append({'line': number, 'column': 0, 'filename': file, 'code': lines[number - 1]})
+    # python tracebacks list the most recent call last
+    stack.reverse()
+    return {'type': type(err).__name__, 'message': str(err), 'stack': stack}
+
+
+# compile lens code as the body of a function, indented with a tab so any indentation style in the code still works
+def __compile(name, params, code, file):
+    source = 'def %s(%s):\n' % (name, params)
+    source += '\n'.join('\t' + line for line in code.split('\n'))
+    source += '\n\tpass\n'
+    exec(compile(source, file, 'exec'), globals())
+    return globals()[name]
+
+
+__lens = {}
+
+
+def __startup(text):
+    map_code, reduce_code = json.loads(text)
+    __lens['map_code'] = map_code
+    __lens['reduce_code'] = reduce_code
+    errors = []
+    try:
+        __lens['map'] = __compile('__lens_map', 'path, data', map_code, 'map.py')
+    except BaseException as err:
+        errors.append(__lens_error(err, 'map.py', map_code))
+
+    if reduce_code.strip() != '':
+        try:
+            __lens['reduce'] = __compile('__lens_reduce', 'id, left, right', reduce_code, 'reduce.py')
+        except BaseException as err:
+            errors.append(__lens_error(err, 'reduce.py', reduce_code))
+
+    __send('ready', errors)
+
+
+def __request(text):
+    command, args = json.loads(text)
+    try:
+        if command == 'map':
+            __lens['map'](*args)
+            __send('result', None)
+        elif command == 'reduce':
+            __send('result', __lens['reduce'](*args))
+    except BaseException as err:
+        if command == 'map':
+            __send('error', __lens_error(err, 'map.py', __lens['map_code']))
+        else:
+            __send('error', __lens_error(err, 'reduce.py', __lens['reduce_code']))
@@ -1,30 +1,116 @@
-require "./json/lib/json/pure"
-require "./json/lib/json/pure/add/exception"
+# environment for ruby lenses, running inside mruby. Requests arrive on STDIN as ruby literals, prefixed with their
+# length in 8 hex digits, and responses leave as JSON lines on STDERR, so STDOUT is free for the lens's own puts and p
+# calls, which become logs
+
+# mruby doesn't include a JSON library, so this is just enough of one to encode lens outputs
+module JSON
+  ESCAPES = { '"' => '\\"', '\\' => '\\\\', "\n" => '\\n', "\r" => '\\r', "\t" => '\\t' }
+
+  def self.generate (value)
+    case value
+    when nil then 'null'
+    when true then 'true'
+    when false then 'false'
+    when Integer then value.to_s
+    when Float then value.finite? ? value.to_s : 'null'
+    when String then string(value)
+    when Symbol then string(value.to_s)
+    when Array then '[' + value.map { |item| generate(item) }.join(',') + ']'
+    when Hash then '{' + value.map { |key, item| string(key.to_s) + ':' + generate(item) }.join(',') + '}'
+    else string(value.to_s)
+    end
+  end
+
+  def self.string (value)
+    escaped = ''
+    value.each_char do |char|
+      if ESCAPES[char]
+        escaped << ESCAPES[char]
+      elsif char.bytesize == 1 && char.ord < 0x20
+        escaped << format('\\u%04x', char.ord)
+      else
+        escaped << char
+      end
+    end
+    '"' + escaped + '"'
+  end
+end
+
+def __send (command, *args)
+  STDOUT.flush
+  STDERR.puts(JSON.generate({ command: command, args: args }))
+end
 
 # send a lens output
 def output (id, data)
-  STDERR.puts(JSON.generate(command: 'output', args: [id.to_s, data]))
+  __send('output', id.to_s, data)
 end
 
-# send an exception
-def __send_exception (exception)
-  error_info = {
+# turn an exception in to a LensError, with a stack of lines in the lens's own code
+def __lens_error (exception, file, code)
+  lines = code.split("\n")
+  line = nil
+  # mruby syntax errors describe their location in the message, not the backtrace
+  if exception.is_a?(SyntaxError)
+    match = exception.message.split('line ')[1]
+    # errors at the end of the code are reported on the line closing the lambda around it
+    line = [match.to_i, lines.length].min if match
+  end
+  stack = (exception.backtrace || []).map { |entry|
+    parts = entry.split(':')
+    parts[0] == file ? parts[1].to_i : nil
+  }.compact
+  stack.unshift(line) if line && stack.empty?
+  {
     type: exception.class.name,
     message: exception.message,
-    stack: exception.backtrace_locations.map { |loc|
-      {
-        line: loc.lineno(),
-        column: 0,
-        filename: loc.path(),
-        codeAtLine: loc.base_label()
-      }
+    stack: stack.select { |number| number >= 1 && number <= lines.length }.map { |number|
+      { line: number, column: 0, filename: file, code: lines[number - 1] }
     }
   }
+end
 
-  STDERR.puts(JSON.generate(command: 'error', args: [error_info]))
+# compile a lens function from source code, keeping the line numbers of the lens author's code
+def __compile (params, code, file)
+  eval("lambda { |#{params}| " + code + "\n}", nil, file, 1)
 end
 
-map_code, reduce_code = ARGV
+__map_code, __reduce_code = ARGV
+__map_fn = nil
+__reduce_fn = nil
+__errors = []
 
-map_lambda = eval("lambda { |path, data| \n" + map_code + "\n } \n")
-reduce_lambda = eval("lambda { |left, right| \n" + reduce_code + "\n }\n")
\ No newline at end of file
+begin
+  __map_fn = __compile('path, data', __map_code, 'map.rb')
+rescue Exception => err
+  __errors << __lens_error(err, 'map.rb', __map_code)
+end
+
+if __reduce_code && __reduce_code.strip != ''
+  begin
+    __reduce_fn = __compile('id, left, right', __reduce_code, 'reduce.rb')
+  rescue Exception => err
+    __errors << __lens_error(err, 'reduce.rb', __reduce_code)
+  end
+end
+
+__send('ready', __errors)
+
+# sysread reads exactly as much as asked for, where gets would wait for more input than the request has
+while true
+  __command, *__args = eval(STDIN.sysread(STDIN.sysread(8).to_i(16)))
+  begin
+    if __command == 'map'
+      __map_fn.call(*__args)
+      __send('result', nil)
+    elsif __command == 'reduce'
+      __send('result', __reduce_fn.call(*__args))
+    end
+  rescue Exception => err
+    if __command == 'map'
+      __send('error', __lens_error(err, 'map.rb', __map_code))
+    else
+      __send('error', __lens_error(err, 'reduce.rb', __reduce_code))
+    end
+  end
+end
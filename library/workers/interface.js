@@ -3,12 +3,13 @@ const childProcess = require('child_process')
 class LensWorker {
   constructor () {
     this.started = false
+    this.concurrency = 1
   }
 
   /**
    * Startup a lens worker, with a given configuration. Eventually resolves when the worker has fully booted up (~50ms)
    * @param {object} config - lens configuration
-   * @returns {{ errors: import('./lens-worker-base').LensError[] }}
+   * @returns {{ errors: import('./lens-worker-base').LensError[], concurrency: number }}
    */
   async startup (config) {
     this.promises = {}
@@ -24,6 +25,8 @@ class LensWorker {
       for (const { reject } of Object.values(this.promises)) reject(new Error('Disconnected'))
     })
     const res = await this._rpc('startup', config)
+    // how many map calls the worker can usefully run at the same time
+    this.concurrency = res.concurrency || 1
     this.started = true
     return res
   }
@@ -52,6 +55,15 @@ class LensWorker {
     return this._rpc('map', input)
   }
 
+  /**
+   * Run a user provided reduce function, combining two values output with the same recordID
+   * @param {{ id: string, left: any, right: any }} input - recordID and the two values to combine
+   * @returns {import('./lens-worker-base').ReduceOutput}
+   */
+  async reduce (input) {
+    return this._rpc('reduce', input)
+  }
+
   /**
    * Shutdown the lens worker, killing the subprocess, clearing memory.
    */
@@ -4,6 +4,10 @@ const ivm = require('isolated-vm')
 const settings = require('../models/settings')
 const timestring = require('timestring')
 const codec = require('../models/codec')
+const readPath = require('../models/read-path')
+const attachments = require('../models/attachments')
+const xbytes = require('xbytes')
+const { Readable } = require('stream')
 
 const StackTracey = require('stacktracey')
 
@@ -12,10 +16,15 @@ Object.assign(exports, workerBase)
 let isolate // ivm isolate
 let context // ivm context
 let code // keep a copy of the lens author source code for generating good errors
+let reduceCode // keep a copy of the lens author reduce source code, if any, for generating good errors
 let mapFnReference // reference to lens author defined map function inside of the context
+let reduceFnReference // reference to lens author defined reduce function, if the lens has one
 let timeout
 let outputs
 let logs
+let lookups // Map of lookup collection paths, to promises of Maps of their record paths to readPath entries
+let looked // record paths the running map call looked up, with the version read, or null if they didn't exist
+let holds // release functions of attachments written by attach(), held until the build has linked them to its outputs
 
 /**
  * take an error from a map or reduce function compile or run, and transform it to be cleaned up
@@ -48,6 +57,42 @@ function transformVMError (error, file, source) {
   }
 }
 
+// read a record from one of the lens's lookup datasets or lenses, for lookup() in map functions
+async function lookup (path) {
+  if (!looked) throw new Error('lookup() can only be used in map functions')
+  const params = codec.path.decode(`${path}`)
+  if (!params || params.recordID === undefined) throw new Error(`lookup() needs a record data path, not "${path}"`)
+  const collection = codec.path.encode(params.source, params.author, params.name)
+  if (!lookups.has(collection)) throw new Error(`${collection} isn’t one of this lens’s lookups`)
+
+  // read the list of records in each lookup the first time it's used, values are read as they're needed
+  if (!lookups.get(collection)) {
+    lookups.set(collection, (async () => {
+      const records = new Map()
+      for await (const entry of readPath.meta(collection, { fastRead: true })) records.set(entry.path, entry)
+      return records
+    })())
+  }
+  const entry = (await lookups.get(collection)).get(codec.path.encode(params))
+  looked[codec.path.encode(params)] = entry ? entry.version : null
+  return entry ? new ivm.ExternalCopy(await entry.read()).copyInto() : undefined
+}
+
+// store data as an attachment, for attach() in map and reduce functions, returning a hash:// url to put in outputs
+async function attach (data, mimeType) {
+  if (typeof mimeType !== 'string' || !/^[a-z]+\/[^\s]+$/i.test(mimeType)) throw new Error('attach() needs a mime type, like "image/svg+xml"')
+  let buffer
+  if (typeof data === 'string') buffer = Buffer.from(data, 'utf-8')
+  else if (ArrayBuffer.isView(data)) buffer = Buffer.from(data.buffer, data.byteOffset, data.byteLength)
+  else if (data instanceof ArrayBuffer) buffer = Buffer.from(data)
+  else throw new Error('attach() needs a string, Uint8Array, or ArrayBuffer')
+  if (buffer.length > xbytes.parseSize(settings.maxAttachmentSize)) throw new Error(`Attachments must be less than ${settings.maxAttachmentSize}`)
+
+  const { hash, release } = await attachments.writeStream(Readable.from([buffer]), { linkers: [] })
+  holds.push(release)
+  return `hash://sha256/${hash}?type=${encodeURIComponent(mimeType)}`
+}
+
 // compile all the scripts, set everything up, ready to blast through the data
 exports.startup = async function (config) {
   const returnVal = { errors: [] }
@@ -92,7 +137,26 @@ exports.startup = async function (config) {
   )))
   // make output function available globally
   $0.output = (id, data) => { $1.applySync(undefined, ['output', id, data], { arguments: { copy: true } }) }
-  `, [context.global.derefInto(), ioFunctionRef], { filename: 'pigeon-optics-lens-api.js' })
+  // make lens params available globally, frozen so one input record can't change what the next one sees
+  const freeze = value => {
+    if (value !== null && typeof value === 'object') for (const child of Object.values(value)) freeze(child)
+    return Object.freeze(value)
+  }
+  Object.defineProperty($0, 'params', { value: freeze($2), writable: false, enumerable: true, configurable: false })
+  // make lookup function available globally, it waits for the record to be read
+  $0.lookup = (path) => $3.applySyncPromise(undefined, [path], { arguments: { copy: true } })
+  // make attach function available globally, it waits for the attachment to be stored
+  $0.attach = (data, mimeType) => $4.applySyncPromise(undefined, [data, mimeType], { arguments: { copy: true } })
+  `, [
+    context.global.derefInto(),
+    ioFunctionRef,
+    new ivm.ExternalCopy(config.params || {}).copyInto(),
+    new ivm.Reference(lookup),
+    new ivm.Reference(attach)
+  ], { filename: 'pigeon-optics-lens-api.js' })
+
+  lookups = new Map((config.lookups || []).map(path => [codec.path.encode(codec.path.decode(path)), undefined]))
+  holds = []
 
   // keep the code around for debugging
   code = config.code
@@ -112,6 +176,24 @@ exports.startup = async function (config) {
     returnVal.errors.push(transformVMError(err, 'map.js', code))
   }
 
+  // build precompiled reduce function, if the lens has custom reduce code
+  reduceCode = config.reduceCode
+  if (typeof reduceCode === 'string' && reduceCode.trim() !== '') {
+    try {
+      const snippet = `return function reduce (id, left, right) {\n${reduceCode}\n}`
+      const opts = {
+        timeout,
+        lineOffset: -1,
+        columnOffset: -6,
+        filename: 'reduce.js',
+        result: { reference: true }
+      }
+      reduceFnReference = await context.evalClosure(snippet, [], opts)
+    } catch (err) {
+      returnVal.errors.push(transformVMError(err, 'reduce.js', reduceCode))
+    }
+  }
+
   // parse current configured timeout
   timeout = timestring(settings.lensTimeout, 'ms')
 
@@ -121,6 +203,7 @@ exports.startup = async function (config) {
 exports.map = async function (input) {
   logs = []
   outputs = []
+  looked = {}
 
   try {
     const path = {
@@ -134,12 +217,35 @@ exports.map = async function (input) {
       arguments: { copy: true }
     })
 
-    return { logs, errors: [], outputs }
+    return { logs, errors: [], outputs, lookups: looked }
   } catch (err) {
     return {
       logs,
       errors: [transformVMError(err, 'map.js', code)],
-      outputs
+      outputs,
+      lookups: looked
+    }
+  } finally {
+    looked = undefined
+  }
+}
+
+exports.reduce = async function (input) {
+  logs = []
+
+  try {
+    const value = await reduceFnReference.apply(undefined, [input.id, input.left, input.right], {
+      timeout,
+      arguments: { copy: true },
+      result: { copy: true }
+    })
+
+    return { logs, errors: [], value }
+  } catch (err) {
+    return {
+      logs,
+      errors: [transformVMError(err, 'reduce.js', reduceCode)],
+      value: input.left
     }
   }
 }
@@ -149,6 +255,10 @@ exports.shutdown = async function () {
   logs = []
   outputs = []
   if (mapFnReference) mapFnReference.release()
+  if (reduceFnReference) reduceFnReference.release()
   if (context) context.release()
   if (isolate) isolate.dispose()
+  // attachments which the build didn't link to any outputs are removed
+  for (const release of holds || []) await release()
+  holds = []
 }
@@ -0,0 +1,26 @@
+// webhook and remote lenses map somewhere else, but their reduce code is always javascript, so it runs in a javascript lens environment
+const workerBase = require('./lens-worker-base')
+
+let javascriptWorker // only loaded when the lens has reduce code, so isolated-vm isn't needed otherwise
+
+/**
+ * boot up a javascript environment, if the lens has reduce code
+ * @param {object} config - lens configuration
+ * @returns {{ errors: import('./lens-worker-base').LensError[] }}
+ */
+exports.startup = async function (config) {
+  const customReduce = typeof config.reduceCode === 'string' && config.reduceCode.trim() !== ''
+  if (!customReduce) return { errors: [] }
+  javascriptWorker = require('./javascript-lens-worker')
+  return await javascriptWorker.startup({ ...config, code: '' })
+}
+
+exports.reduce = async function (input) {
+  if (javascriptWorker) return await javascriptWorker.reduce(input)
+  return await workerBase.reduce(input)
+}
+
+exports.shutdown = async function () {
+  if (javascriptWorker) await javascriptWorker.shutdown()
+  javascriptWorker = undefined
+}
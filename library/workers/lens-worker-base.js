@@ -1,10 +1,11 @@
 // default methods of a lens worker
+const reduce = require('../utility/reduce')
 
 // called when the worker boots up to do some jobs on a specific lens
 /**
  * Startup a lens worker
  * @param {object} configuration
- * @returns {{ errors: LensError[] }}
+ * @returns {{ errors: LensError[], concurrency: number|undefined }} concurrency is how many maps can run at once, default 1
  */
 exports.startup = async function (configuration) {
   console.log('no startup code defined')
@@ -60,6 +61,28 @@ exports.map = async function (input) {
   }
 }
 
+/** Return value of reduce function
+ * @typedef {object} ReduceOutput
+ * @property {LensLog[]} logs - all the log outputs of the reduce function
+ * @property {LensError[]} errors - all the thrown errors of the reduce function
+ * @property {*} value - the combined value, or the left value if the reduce function threw
+ */
+
+/** given two values output with the same recordID, combine them in to one, using the default reduce rules
+ * @param {object} input
+ * @param {string} input.id - recordID both values were output with
+ * @param {*} input.left - value combined so far
+ * @param {*} input.right - next value to combine in to it
+ * @returns {ReduceOutput}
+ */
+exports.reduce = async function (input) {
+  return {
+    logs: [],
+    errors: [],
+    value: reduce([input.left, input.right])
+  }
+}
+
 exports.shutdown = async function () {
   console.log('no shutdown function defined')
 }
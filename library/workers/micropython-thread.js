@@ -0,0 +1,33 @@
+// runs the micropython interpreter inside a worker thread, so the python lens worker can stop it if lens code runs too long
+const { workerData, parentPort } = require('worker_threads')
+const path = require('path')
+const fs = require('fs')
+
+const packageName = '@micropython/micropython-webassembly-pyscript'
+
+// python string literal, JSON strings happen to be valid ones
+function pythonString (value) {
+  return JSON.stringify(value)
+}
+
+async function start () {
+  const { loadMicroPython } = await import(packageName)
+  const micropython = await loadMicroPython({
+    url: path.join(path.dirname(require.resolve(packageName)), 'micropython.wasm'),
+    heapsize: workerData.heapSize,
+    stdout: line => parentPort.postMessage({ stream: 'stdout', line }),
+    stderr: line => parentPort.postMessage({ stream: 'stderr', line })
+  })
+  micropython.registerJsModule('lens_host', {
+    send: text => parentPort.postMessage({ text })
+  })
+
+  micropython.runPython(fs.readFileSync(require.resolve('./environment.micropython.py'), 'utf-8'))
+  parentPort.on('message', request => {
+    micropython.runPython(`__request(${pythonString(request)})`)
+  })
+  micropython.runPython(`__startup(${pythonString(JSON.stringify(workerData.code))})`)
+}
+
+// errors thrown outside of a promise crash the thread, which the python lens worker reports
+start().catch(err => setImmediate(() => { throw err }))
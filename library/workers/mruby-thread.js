@@ -0,0 +1,44 @@
+/* global WebAssembly */
+// runs the mruby interpreter inside a worker thread, so the ruby lens worker can stop it if lens code runs too long
+// mruby reads requests from STDIN synchronously, so this thread sleeps on a shared signal until the next one arrives
+const { workerData, parentPort, receiveMessageOnPort } = require('worker_threads')
+const fs = require('fs')
+const vm = require('vm')
+
+const { wasm, port, signal, args } = workerData
+const gluePath = require.resolve('./mruby-3.0.0/mruby')
+// the emscripten glue code expects to be a commonjs module, which is given a Module object to configure it
+const glue = vm.runInThisContext(`(function (Module, require, __filename, __dirname, process) {\n${fs.readFileSync(gluePath, 'utf-8')}\n})`, { filename: gluePath })
+
+let request = Buffer.alloc(0)
+let position = 0
+
+// STDIN device, blocks until the ruby lens worker sends another request
+function stdin () {
+  while (position >= request.length) {
+    const received = receiveMessageOnPort(port)
+    if (received) {
+      request = Buffer.from(received.message)
+      position = 0
+    } else {
+      Atomics.wait(signal, 0, 0)
+      Atomics.store(signal, 0, 0)
+    }
+  }
+  return request[position++]
+}
+
+const Module = {
+  arguments: args,
+  stdin,
+  print: line => parentPort.postMessage({ stream: 'stdout', line }),
+  printErr: line => parentPort.postMessage({ stream: 'stderr', line }),
+  instantiateWasm (imports, receiveInstance) {
+    const instance = new WebAssembly.Instance(wasm, imports)
+    receiveInstance(instance, wasm)
+    return instance.exports
+  },
+  quit: status => process.exit(status)
+}
+
+glue(Module, require, gluePath, __dirname, process)
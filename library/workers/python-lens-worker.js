@@ -0,0 +1,110 @@
+// python lenses run in micropython, compiled to webassembly, inside a worker thread which can be terminated if it takes
+// too long. Much like the ruby lens worker, but micropython can be called directly, so requests are just messages
+const v8 = require('v8')
+const { Worker } = require('worker_threads')
+const workerBase = require('./lens-worker-base')
+const settings = require('../models/settings')
+const timestring = require('timestring')
+const codec = require('../models/codec')
+
+Object.assign(exports, workerBase)
+
+// see ruby-lens-worker.js, optimising the webassembly in the background stops threads from terminating quickly
+v8.setFlagsFromString('--no-wasm-tier-up')
+
+// bytes of memory for python objects
+const heapSize = 32 * 1024 * 1024
+
+let config // lens configuration, kept to restart micropython after a timeout
+let timeout
+let thread // worker thread running micropython
+let pending // { resolve } of the request micropython is working on
+let outputs
+let logs
+
+// handle a message from the thread, which is printed output, or a JSON response from the environment
+function receive ({ stream, line, text }) {
+  if (stream === 'stdout') return logs.push({ type: 'log', args: [line] })
+  if (stream === 'stderr') return logs.push({ type: 'error', args: [line] })
+
+  const [command, args] = JSON.parse(text)
+  if (command === 'output') {
+    const [id, data] = args
+    outputs.push({ id, data })
+  } else if (pending) {
+    const { resolve } = pending
+    pending = undefined
+    resolve({ command, args })
+  }
+}
+
+// stop the micropython thread, answering any request it was working on
+async function stop (message) {
+  const current = thread
+  thread = undefined
+  if (pending) receive({ text: JSON.stringify(['error', [{ type: 'Error', message, stack: [] }]]) })
+  if (current) await current.terminate()
+}
+
+// boot up micropython in a new thread, resolving with the message it sends when the lens code is compiled
+function boot () {
+  const current = thread = new Worker(require.resolve('./micropython-thread'), {
+    workerData: {
+      heapSize,
+      code: [`${config.code || ''}`, `${config.reduceCode || ''}`]
+    }
+  })
+  // threads which were stopped might still have some messages or events on the way, which should be ignored
+  current.on('message', message => { if (thread === current) receive(message) })
+  current.on('error', err => { if (thread === current) stop(`micropython crashed: ${err.message}`) })
+  current.on('exit', () => { if (thread === current) stop('micropython exited unexpectedly') })
+  return new Promise(resolve => { pending = { resolve } })
+}
+
+// send a request to micropython, and wait for the result, restarting micropython if it takes too long
+async function request (command, ...args) {
+  if (!thread) await boot()
+  logs = []
+  outputs = []
+  const promise = new Promise(resolve => { pending = { resolve } })
+  thread.postMessage(JSON.stringify([command, args]))
+
+  const timer = setTimeout(() => stop('Script execution timed out.'), timeout)
+  const response = await promise
+  clearTimeout(timer)
+  return response
+}
+
+// compile all the scripts, set everything up, ready to blast through the data
+exports.startup = async function (configuration) {
+  config = configuration
+  timeout = timestring(settings.lensTimeout, 'ms')
+  logs = []
+  outputs = []
+  const ready = await boot()
+  if (ready.command === 'error') return { errors: ready.args }
+  return { errors: ready.args[0] }
+}
+
+exports.map = async function (input) {
+  const path = {
+    string: input.path,
+    ...codec.path.decode(input.path)
+  }
+  const response = await request('map', path, input.data)
+  return { logs, errors: response.command === 'error' ? response.args : [], outputs }
+}
+
+exports.reduce = async function (input) {
+  if (!config.reduceCode || `${config.reduceCode}`.trim() === '') return await workerBase.reduce(input)
+  const response = await request('reduce', input.id, input.left, input.right)
+  if (response.command === 'error') return { logs, errors: response.args, value: input.left }
+  return { logs, errors: [], value: response.args[0] }
+}
+
+// stop micropython
+exports.shutdown = async function () {
+  logs = []
+  outputs = []
+  await stop('Lens worker shutdown')
+}
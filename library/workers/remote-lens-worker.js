@@ -0,0 +1,18 @@
+// remote lenses are mapped by remote workers pulling jobs from the lens's job queue, so this worker only runs reduce code
+const workerBase = require('./lens-worker-base')
+const javascriptReduce = require('./javascript-reduce')
+
+Object.assign(exports, workerBase)
+
+exports.startup = javascriptReduce.startup
+
+exports.map = async function (input) {
+  return {
+    logs: [],
+    errors: [{ type: 'Error', message: 'Remote lenses are mapped by remote workers, using the lens jobs api', stack: [] }],
+    outputs: []
+  }
+}
+
+exports.reduce = javascriptReduce.reduce
+exports.shutdown = javascriptReduce.shutdown
@@ -1,180 +1,130 @@
+/* global WebAssembly */
+// ruby lenses run in mruby, compiled to webassembly, inside a worker thread which can be terminated if it takes too long
 const fs = require('fs')
+const v8 = require('v8')
+const { Worker, MessageChannel } = require('worker_threads')
 const workerBase = require('./lens-worker-base')
 const settings = require('../models/settings')
 const timestring = require('timestring')
 const codec = require('../models/codec')
-const mruby = require('./mruby-3.0.0/mruby')
+const objectToRuby = require('../utility/object-to-ruby')
 
 Object.assign(exports, workerBase)
 
+// optimising mruby in the background takes over a second of cpu time, and threads can't be terminated until it's done,
+// so each interpreter stays on the quick baseline compiler. This process only runs this lens, so nothing else is slowed
+v8.setFlagsFromString('--no-wasm-tier-up')
+
+let wasm // compiled mruby webassembly module, shared by every thread this worker starts
+let config // lens configuration, kept to restart mruby after a timeout
 let timeout
-let errors
+let thread // worker thread running mruby
+let port // message port to send requests to mruby's STDIN
+let signal // shared memory to wake the thread when a request is sent
+let pending // { resolve } of the request mruby is working on
 let outputs
 let logs
 
-// compile all the scripts, set everything up, ready to blast through the data
-exports.startup = async function (config) {
-  const returnVal = { map: { errors: [] }, reduce: { errors: [] } }
-
-  const environmentCode = await fs.promises.readFile(require.resolve('./environment.mruby.rb'))
-
-  const module = {
-    arguments: ['-e', environmentCode, config.mapCode, config.reduceCode],
-    locateFile (path) {
-      return require.resolve(`./mruby-3.0.0/${path}`)
-    },
-    print (stdout) {
-      console.log('stdout:', stdout)
-      exports.log('puts', [stdout])
-    },
-    printErr (stderr) {
-      console.error('stderr:', stderr)
-      const parsed = JSON.parse(stderr)
-      if (parsed.command === 'output') {
-        outputs.push(parsed.args[0])
-      } else if (parsed.command === 'error') {
-        errors.push(parsed.args[0])
-      }
-    },
-    onAbort (...args) {
-      console.error('abort:', ...args)
-    }
-  }
-
-  // setup safe logger console object
-  const logger = ({ type, args, stack }) => {
-    const trace = new StackTracey(stack)
-    const source = trace.items.find(x => (x.file === 'map.js' || x.file === 'reduce.js') && x.line >= 1)
-    const logEntry = { type, args, line: source ? source.line : undefined }
-    logs.push(logEntry)
-  }
+// handle a line mruby wrote to STDOUT or STDERR
+function receive ({ stream, line }) {
+  if (stream === 'stdout') return logs.push({ type: 'log', args: [line] })
 
-  // setup safe output function
-  const output = (id, data) => outputs.push({ id, data: data })
-
-  // api made available to the vm
-  function ioFunction (cmd, ...args) {
-    if (cmd === 'log') {
-      logger(...args)
-    } else if (cmd === 'output') {
-      output(...args)
-    }
-  }
-
-  const ioFunctionRef = new ivm.Reference(ioFunction)
-
-  context.evalClosure(`
-  // make console api available globally
-  $0.console = Object.freeze(Object.fromEntries('log info warn error'.split(' ').map(type =>
-    [type, (...args) => $1.applyIgnored(undefined, ['log', { type, args, stack: (new Error('trace')).stack.toString() }], { arguments: { copy: true } })]
-  )))
-  // make output function available globally
-  $0.output = (id, data) => { $1.applySync(undefined, ['output', id, data], { arguments: { copy: true } }) }
-  `, [context.global.derefInto(), ioFunctionRef], { filename: 'pigeon-optics-lens-api.js' })
-
-  // keep the code around for debugging
-  code = { map: config.mapCode, reduce: config.reduceCode }
-
-  // build precompiled map function
+  let message
   try {
-    const snippet = `return function map (path, data) {\n${code.map}\n}`
-    const opts = {
-      timeout,
-      lineOffset: -1,
-      columnOffset: -6,
-      filename: 'map.js',
-      result: { reference: true }
-    }
-    mapFnReference = (await context.evalClosure(snippet, [], opts)).result
+    message = JSON.parse(line)
   } catch (err) {
-    returnVal.map.errors.push(transformVMError(err, 'map.js', code.map))
+    // mruby writes its own warnings to STDERR too
+    return logs.push({ type: 'error', args: [line] })
   }
 
-  try {
-    const snippet = `return function reduce (left, right) {\n${code.reduce}\n}`
-    const opts = {
-      timeout,
-      lineOffset: -1,
-      filename: 'reduce.js',
-      result: { reference: true }
-    }
-    reduceFnReference = (await context.evalClosure(snippet, [], opts)).result
-  } catch (err) {
-    returnVal.reduce.errors.push(transformVMError(err, 'reduce.js', code.reduce))
+  if (message.command === 'output') {
+    const [id, data] = message.args
+    outputs.push({ id, data })
+  } else if (pending) {
+    const { resolve } = pending
+    pending = undefined
+    resolve(message)
   }
+}
 
-  // parse current configured timeout
-  timeout = timestring(settings.lensTimeout, 'ms')
+// stop the mruby thread, answering any request it was working on
+async function stop (message) {
+  const current = thread
+  thread = undefined
+  if (pending) receive({ stream: 'stderr', line: JSON.stringify({ command: 'error', args: [{ type: 'Error', message, stack: [] }] }) })
+  if (current) await current.terminate()
+}
 
-  return returnVal
+// boot up mruby in a new thread, resolving with the message it sends when the lens code is compiled
+function boot () {
+  const environmentCode = fs.readFileSync(require.resolve('./environment.mruby.rb'), 'utf-8')
+  const channel = new MessageChannel()
+  port = channel.port1
+  signal = new Int32Array(new SharedArrayBuffer(4))
+  const current = thread = new Worker(require.resolve('./mruby-thread'), {
+    workerData: {
+      wasm,
+      port: channel.port2,
+      signal,
+      args: ['-e', environmentCode, `${config.code || ''}`, `${config.reduceCode || ''}`]
+    },
+    transferList: [channel.port2]
+  })
+  // threads which were stopped might still have some messages or events on the way, which should be ignored
+  current.on('message', message => { if (thread === current) receive(message) })
+  current.on('error', err => { if (thread === current) stop(`mruby crashed: ${err.message}`) })
+  current.on('exit', () => { if (thread === current) stop('mruby exited unexpectedly') })
+  return new Promise(resolve => { pending = { resolve } })
 }
 
-exports.map = async function (input) {
+// send a request to mruby, and wait for the result, restarting mruby if it takes too long
+async function request (command, ...args) {
+  if (!thread) await boot()
   logs = []
   outputs = []
-
-  try {
-    const path = {
-      string: input.path,
-      ...codec.path.decode(input.path)
-    }
-    const data = input.data
-
-    await mapFnReference.apply(undefined, [path, data], {
-      timeout,
-      arguments: { copy: true }
-    })
-
-    return { logs, errors: [], outputs }
-  } catch (err) {
-    const trace = new StackTracey(err)
-    const filteredTrace = trace.filter(x => x.file === 'map.js' && x.line >= 1)
-    return {
-      logs,
-      errors: [{
-        type: err.constructor.name,
-        message: err.message,
-        stack: filteredTrace.items.map(x => ({ ...x, codeAtLine: code.map.split('\n')[x.line - 1].trim() }))
-      }],
-      outputs
-    }
-  }
+  const body = Buffer.from(objectToRuby([command, ...args]))
+  const promise = new Promise(resolve => { pending = { resolve } })
+  port.postMessage(Buffer.concat([Buffer.from(body.length.toString(16).padStart(8, '0')), body]))
+  Atomics.store(signal, 0, 1)
+  Atomics.notify(signal, 0)
+
+  const timer = setTimeout(() => stop('Script execution timed out.'), timeout)
+  const response = await promise
+  clearTimeout(timer)
+  return response
 }
 
-exports.reduce = async function (left, right) {
+// compile all the scripts, set everything up, ready to blast through the data
+exports.startup = async function (configuration) {
+  config = configuration
+  if (!wasm) wasm = new WebAssembly.Module(await fs.promises.readFile(require.resolve('./mruby-3.0.0/mruby.wasm')))
+  timeout = timestring(settings.lensTimeout, 'ms')
   logs = []
   outputs = []
+  const ready = await boot()
+  if (ready.command === 'error') return { errors: ready.args }
+  return { errors: ready.args[0] }
+}
 
-  try {
-    const result = await reduceFnReference.apply(undefined, [left, right], {
-      timeout,
-      arguments: { copy: true },
-      result: { copy: true }
-    })
-
-    return { logs, errors: [], value: result }
-  } catch (err) {
-    const trace = new StackTracey(err)
-    const codeLines = code.reduce.split(/\r?\n/g)
-    const filteredTrace = trace.filter(x => x.file === 'reduce.js' && x.line >= 1 && x.line <= codeLines.length)
-    return {
-      logs,
-      errors: [{
-        type: err.constructor.name,
-        message: err.message,
-        stack: filteredTrace.items.map(x => ({ ...x, codeAtLine: codeLines[x.line - 1] }))
-      }],
-      value: undefined
-    }
+exports.map = async function (input) {
+  const path = {
+    string: input.path,
+    ...codec.path.decode(input.path)
   }
+  const response = await request('map', path, input.data)
+  return { logs, errors: response.command === 'error' ? response.args : [], outputs }
+}
+
+exports.reduce = async function (input) {
+  if (!config.reduceCode || `${config.reduceCode}`.trim() === '') return await workerBase.reduce(input)
+  const response = await request('reduce', input.id, input.left, input.right)
+  if (response.command === 'error') return { logs, errors: response.args, value: input.left }
+  return { logs, errors: [], value: response.args[0] }
 }
 
-// destroy the VM
+// stop mruby
 exports.shutdown = async function () {
   logs = []
   outputs = []
-  if (mapFnReference) mapFnReference.release()
-  if (reduceFnReference) reduceFnReference.release()
-  if (context) context.release()
-  if (isolate) isolate.dispose()
+  await stop('Lens worker shutdown')
 }
@@ -0,0 +1,99 @@
+// webhook lenses POST each input record to a url, and the response describes the outputs, logs, and errors
+const workerBase = require('./lens-worker-base')
+const javascriptReduce = require('./javascript-reduce')
+const settings = require('../models/settings')
+const codec = require('../models/codec')
+const mapOutput = require('../utility/map-output')
+const timestring = require('timestring')
+const superagent = require('superagent')
+const delay = require('delay')
+
+Object.assign(exports, workerBase)
+
+let webhook // webhook settings from the lens configuration
+let timeout // ms to wait for each response
+
+/**
+ * build a LensError describing a failed webhook request
+ * @param {string} message
+ * @returns {import('./lens-worker-base').LensError}
+ */
+function webhookError (message) {
+  return { type: 'WebhookError', message, stack: [] }
+}
+
+// map output for an input which couldn't be mapped by the webhook
+function errorOutput (message) {
+  return { logs: [], errors: [webhookError(message)], outputs: [] }
+}
+
+// network errors, timeouts, rate limiting, and server errors might work if tried again
+function isRetryable (err) {
+  return err.status === undefined || err.status === 408 || err.status === 429 || err.status >= 500
+}
+
+// collect the response body in to a buffer, whatever the content type is
+function bufferBody (res, callback) {
+  const chunks = []
+  res.on('data', chunk => chunks.push(chunk))
+  res.on('end', () => callback(null, Buffer.concat(chunks)))
+  res.on('error', callback)
+}
+
+exports.startup = async function (config) {
+  const returnVal = { errors: [] }
+  webhook = {
+    format: 'json',
+    concurrency: 1,
+    retries: 2,
+    ...config.webhook
+  }
+  timeout = timestring(settings.webhookTimeout, 'ms')
+  returnVal.concurrency = webhook.concurrency
+
+  try {
+    const url = new URL(webhook.url)
+    if (!['http:', 'https:'].includes(url.protocol)) returnVal.errors.push(webhookError('webhook url must be http or https'))
+  } catch (err) {
+    returnVal.errors.push(webhookError(`webhook url is invalid: ${err.message}`))
+  }
+
+  const result = await javascriptReduce.startup(config)
+  returnVal.errors.push(...result.errors)
+
+  return returnVal
+}
+
+exports.map = async function (input) {
+  const encoder = codec[webhook.format]
+  const mediaType = encoder.handles[0]
+  const body = encoder.encode({ path: input.path, data: input.data })
+
+  let res
+  for (let attempt = 0; attempt <= webhook.retries; attempt++) {
+    if (attempt > 0) await delay(250 * (2 ** (attempt - 1)))
+    try {
+      res = await superagent.post(webhook.url)
+        .type(mediaType)
+        .accept(mediaType)
+        .timeout({ deadline: timeout })
+        .buffer(true)
+        .parse(bufferBody)
+        .send(body)
+      break
+    } catch (err) {
+      if (attempt >= webhook.retries || !isRetryable(err)) return errorOutput(`POST ${webhook.url} failed: ${err.message}`)
+    }
+  }
+
+  try {
+    const decoder = codec.for(res.type)
+    if (!decoder || !decoder.decode) throw new Error(`Content-Type ${res.type} isn't supported`)
+    return mapOutput.parse(decoder.decode(res.body))
+  } catch (err) {
+    return errorOutput(`POST ${webhook.url} response is invalid: ${err.message}`)
+  }
+}
+
+exports.reduce = javascriptReduce.reduce
+exports.shutdown = javascriptReduce.shutdown
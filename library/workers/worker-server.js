@@ -6,6 +6,14 @@ const api = {
   async startup (config) {
     if (config.mapType === 'javascript') {
       worker = require('./javascript-lens-worker')
+    } else if (config.mapType === 'ruby') {
+      worker = require('./ruby-lens-worker')
+    } else if (config.mapType === 'python') {
+      worker = require('./python-lens-worker')
+    } else if (config.mapType === 'webhook') {
+      worker = require('./webhook-lens-worker')
+    } else if (config.mapType === 'remote') {
+      worker = require('./remote-lens-worker')
     } else {
       throw new Error('Unsupported mapType')
     }
@@ -16,6 +24,10 @@ const api = {
     return await worker.map(input)
   },
 
+  async reduce (input) {
+    return await worker.reduce(input)
+  },
+
   async shutdown () {
     await worker.shutdown()
     process.nextTick(x => process.exit())
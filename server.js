@@ -59,9 +59,11 @@ app.use('/npm', express.static('node_modules'))
 app.use(require('./library/controllers/auth-controller'))
 app.use(require('./library/controllers/attachment-controller'))
 app.use(require('./library/controllers/dataset-controller'))
+app.use(require('./library/controllers/change-request-controller'))
 app.use(require('./library/controllers/lens-controller'))
 app.use(require('./library/controllers/export-controller'))
 app.use(require('./library/controllers/meta-controller'))
+app.use(require('./library/controllers/search-controller'))
 
 app.get('/', (req, res) => {
   res.sendVibe('homepage', settings.title)
@@ -76,4 +78,6 @@ app.use(require('./library/utility/http-error-handler')({ silent: false }))
 const port = process.env.PORT || 3000
 app.listen(port, '127.0.0.1', () => {
   console.log(`Application Server ready at http://localhost:${port}/`)
+  // pick up any lens builds which were queued or running when the server last stopped
+  require('./library/models/lens-builds').resume().catch(err => console.error('lens build resume error', err))
 })
@@ -0,0 +1,114 @@
+const chai = require('chai')
+chai.use(require('chai-as-promised'))
+const { expect } = chai
+const createHttpError = require('http-errors')
+const crypto = require('crypto')
+const { Readable } = require('stream')
+const attachments = require('../library/models/attachments')
+const dataset = require('../library/models/dataset')
+const changeRequests = require('../library/models/change-requests')
+const account = 'system'
+const name = 'test-models-change-requests'
+const forkName = 'test-models-change-requests-fork'
+const memo = 'Automated Unit Testing created this dataset to verify change requests are working correctly'
+
+describe('models/change-requests', function () {
+  beforeEach(async () => {
+    await dataset.delete(account, name)
+    await dataset.delete(account, forkName)
+    await dataset.create(account, name, { memo })
+    await dataset.merge(account, name, { a: 'apple', b: 'banana', c: 'cherry' })
+    await dataset.fork(account, name, account, forkName)
+  })
+
+  afterEach(async () => {
+    await dataset.delete(account, name)
+    await dataset.delete(account, forkName)
+  })
+
+  it('compare() lists records changed in a fork', async () => {
+    await expect(changeRequests.compare(account, forkName, account, name)).to.eventually.deep.equal([])
+
+    await dataset.merge(account, forkName, { a: 'avocado', c: undefined, d: 'date' })
+    // changes made to the target after forking aren't reverted
+    await dataset.write(account, name, 'b', 'blueberry')
+
+    const changes = await changeRequests.compare(account, forkName, account, name)
+    expect(changes.map(({ id, type }) => ({ id, type }))).to.deep.equal([
+      { id: 'a', type: 'update' },
+      { id: 'c', type: 'delete' },
+      { id: 'd', type: 'create' }
+    ])
+  })
+
+  it('create() and review() apply accepted records to the target', async () => {
+    await dataset.merge(account, forkName, { a: 'avocado', c: undefined, d: 'date' })
+    await expect(changeRequests.create(account, forkName, account, name, { recordIDs: ['nope'] })).to.be.rejectedWith(createHttpError.BadRequest)
+
+    const id = await changeRequests.create(account, forkName, account, name, { memo: 'fruit fixes' })
+    expect(await changeRequests.list(account, name)).to.deep.equal([id])
+    const request = await changeRequests.read(account, name, id)
+    expect(request).to.include({ author: account, from: `/datasets/${account}:${forkName}`, memo: 'fruit fixes', status: 'open' })
+    expect(request.records.a).to.include({ type: 'update', status: 'pending', data: 'avocado' })
+
+    // later changes to the fork don't alter the change request
+    await dataset.write(account, forkName, 'a', 'apricot')
+
+    await changeRequests.review(account, name, id, { accept: ['a', 'c'], reject: 'd' })
+    expect(await dataset.read(account, name, 'a')).to.equal('avocado')
+    await expect(dataset.exists(account, name, 'c')).to.eventually.equal(false)
+    await expect(dataset.exists(account, name, 'd')).to.eventually.equal(false)
+
+    const reviewed = await changeRequests.read(account, name, id)
+    expect(reviewed.status).to.equal('closed')
+    expect(Object.values(reviewed.records).map(x => x.status)).to.deep.equal(['accepted', 'accepted', 'rejected'])
+    await expect(changeRequests.review(account, name, id, { accept: ['a'] })).to.be.rejectedWith(createHttpError.Conflict)
+  })
+
+  it('review() refuses records which changed in the target after they were proposed', async () => {
+    await dataset.merge(account, forkName, { a: 'avocado', d: 'date' })
+    const id = await changeRequests.create(account, forkName, account, name)
+    const { forkedFrom } = await dataset.readMeta(account, forkName)
+    expect((await changeRequests.read(account, name, id)).forkVersion).to.equal(forkedFrom.forkVersion)
+
+    await dataset.write(account, name, 'a', 'apricot')
+    await dataset.write(account, name, 'd', 'dragonfruit')
+    await expect(changeRequests.review(account, name, id, { accept: ['a'] })).to.be.rejectedWith(createHttpError.Conflict)
+    await expect(changeRequests.review(account, name, id, { accept: ['d'] })).to.be.rejectedWith(createHttpError.Conflict)
+    expect(await dataset.read(account, name, 'a')).to.equal('apricot')
+    expect(await dataset.read(account, name, 'd')).to.equal('dragonfruit')
+    expect(Object.values((await changeRequests.read(account, name, id)).records).map(x => x.status)).to.deep.equal(['pending', 'pending'])
+  })
+
+  it('close() withdraws a change request', async () => {
+    await dataset.write(account, forkName, 'e', 'elderberry')
+    const id = await changeRequests.create(account, forkName, account, name)
+    await changeRequests.close(account, name, id)
+    expect((await changeRequests.read(account, name, id)).status).to.equal('closed')
+    await expect(changeRequests.read(account, name, id + 1)).to.be.rejectedWith(createHttpError.NotFound)
+  })
+
+  it('create() holds attachments of proposed records until they\'re reviewed', async () => {
+    // store an attachment for each of two records in the fork
+    const [hashes, hashURLs] = [{}, {}]
+    for (const id of ['video', 'audio']) {
+      const { hash, release } = await attachments.writeStream(Readable.from([crypto.randomBytes(512)]), {
+        linkers: [`/datasets/${account}:${forkName}/records/${id}`]
+      })
+      hashes[id] = hash.toString('hex')
+      hashURLs[id] = `hash://sha256/${hashes[id]}?type=video%2Fmp4`
+      await dataset.write(account, forkName, id, { file: hashURLs[id] })
+      await release()
+    }
+
+    const id = await changeRequests.create(account, forkName, account, name)
+    // the fork stops using the attachments, but the change request still needs them
+    await dataset.merge(account, forkName, { video: undefined, audio: undefined })
+    for (const hash of Object.values(hashes)) expect(await attachments.validate(hash)).to.equal(true)
+
+    await changeRequests.review(account, name, id, { accept: 'video', reject: 'audio' })
+    expect(await dataset.read(account, name, 'video')).to.deep.equal({ file: hashURLs.video })
+    expect(await attachments.validate(hashes.video)).to.equal(true)
+    expect(await attachments.has(hashes.audio)).to.equal(false)
+  })
+})
@@ -355,6 +355,17 @@ describe('models/codec.html', () => {
   })
 })
 
+describe('models/codec.for', function () {
+  it('finds codecs by media type, extension, and structured syntax suffix', function () {
+    expect(codec.for('application/json')).to.equal(codec.json)
+    expect(codec.for('application/json; charset=utf-8')).to.equal(codec.json)
+    expect(codec.for('foo.yaml')).to.equal(codec.yaml)
+    expect(codec.for('application/merge-patch+json')).to.equal(codec.json)
+    expect(codec.for('application/vnd.thing+cbor')).to.equal(codec.cbor)
+    expect(codec.for('application/x-unknown')).to.equal(undefined)
+  })
+})
+
 describe('models/codec.path', function () {
   it('encodes without a record ID', function () {
     const opts = { source: 'datasets', author: 'person', name: 'name' }
@@ -5,6 +5,10 @@ const crypto = require('crypto')
 const createHttpError = require('http-errors')
 const delay = require('delay')
 const dataset = require('../library/models/dataset')
+const auth = require('../library/models/auth')
+const attachments = require('../library/models/attachments')
+const { Readable } = require('stream')
+const itToArray = require('../library/utility/async-iterable-to-array')
 const account = 'system'
 const name = 'test-models-dataset'
 const memo = 'Automated Unit Testing created this dataset to verify internal models are working correctly'
@@ -27,6 +31,19 @@ describe('models/dataset', function () {
     await expect(dataset.readMeta(account, name)).eventually.property('memo').does.include('Automated Unit Testing')
   })
 
+  it('dataset.iterateAll() lists datasets of every author, skipping authors without any', async () => {
+    const [author, emptyAuthor] = ['a', 'b'].map(x => `test-iterate-all-${x}-${crypto.randomBytes(8).toString('hex')}`)
+    try {
+      for (const user of [author, emptyAuthor]) await auth.register(user, crypto.randomBytes(32).toString('hex'))
+      await dataset.create(author, name, { memo })
+      const all = await itToArray(dataset.iterateAll())
+      expect(all).to.deep.include({ author, name })
+      expect(all.filter(entry => entry.author === emptyAuthor)).to.deep.equal([])
+    } finally {
+      for (const user of [author, emptyAuthor]) await auth.delete(user)
+    }
+  })
+
   it('dataset.updateMeta() carries errors correctly', async () => {
     await dataset.create(account, name, { memo })
 
@@ -100,6 +117,18 @@ describe('models/dataset', function () {
     expect(read).to.deep.equal({ hello: 'world' })
   })
 
+  it('dataset.list(account, name, { after, prefix, limit }) reads a page of records', async () => {
+    await dataset.create(account, name, { memo })
+    await dataset.merge(account, name, { 'a-10': 1, 'a-2': 2, 'a-1': 3, 'b-1': 4, 'b-2': 5 })
+    const ids = async (options) => (await dataset.list(account, name, options)).map(x => x.id)
+    expect(await ids({ limit: 2 })).to.deep.equal(['a-1', 'a-2'])
+    expect(await ids({ after: 'a-2', limit: 2 })).to.deep.equal(['a-10', 'b-1'])
+    expect(await ids({ prefix: 'b-' })).to.deep.equal(['b-1', 'b-2'])
+    expect(await ids({ prefix: 'a-', after: 'a-1' })).to.deep.equal(['a-2', 'a-10'])
+    const fast = await itToArray(dataset.iterate(account, name, { fastRead: true, prefix: 'a-', limit: 2 }))
+    expect(fast.map(x => x.id).sort()).to.deep.equal(['a-1', 'a-2'])
+  })
+
   it('dataset.overwrite(account, name, records) works as expected', async function () {
     await dataset.create(account, name, { memo })
     await dataset.write(account, name, 'abc', 987)
@@ -144,6 +173,243 @@ describe('models/dataset', function () {
     expect(meta.version).does.equal(2)
   })
 
+  it('dataset.readAt(account, name, recordID, version) reads earlier versions of records', async function () {
+    await dataset.create(account, name, { memo })
+    await dataset.write(account, name, 'abc', 1)
+    await dataset.write(account, name, 'abc', 2)
+    await dataset.write(account, name, 'def', 'x')
+    await dataset.delete(account, name, 'abc')
+
+    await expect(dataset.readAt(account, name, 'abc', 0)).to.eventually.be.undefined
+    await expect(dataset.readAt(account, name, 'abc', 1)).to.eventually.equal(1)
+    await expect(dataset.readAt(account, name, 'abc', 2)).to.eventually.equal(2)
+    await expect(dataset.readAt(account, name, 'abc', 3)).to.eventually.equal(2)
+    await expect(dataset.readAt(account, name, 'abc', 4)).to.eventually.be.undefined
+    await expect(dataset.readAt(account, name, 'def', 2)).to.eventually.be.undefined
+    await expect(dataset.readAt(account, name, 'def', 4)).to.eventually.equal('x')
+  })
+
+  it('dataset history logs each version in its own archive, without rewriting earlier ones', async function () {
+    await dataset.create(account, name, { memo })
+    await dataset.write(account, name, 'abc', 1)
+    await dataset.write(account, name, 'abc', 2)
+    const logged = async (version) => {
+      const entries = []
+      for await (const [key] of dataset.getDataArchive(account, name, ['history', `${version}`]).read()) entries.push(key)
+      return entries
+    }
+    expect(await logged(2)).to.deep.equal(['1/abc'])
+
+    await dataset.write(account, name, 'abc', 3)
+    await dataset.delete(account, name, 'abc')
+    expect(await logged(2)).to.deep.equal(['1/abc'])
+    expect(await logged(3)).to.deep.equal(['2/abc'])
+    expect(await logged(4)).to.have.members(['3/abc', '4/abc'])
+  })
+
+  it('dataset.iterate(account, name, { at }) lists records as they were at that version', async function () {
+    await dataset.create(account, name, { memo })
+    await dataset.overwrite(account, name, { a: 1, b: 2 })
+    await dataset.overwrite(account, name, { b: 3, c: 4 })
+
+    const readVersion = async (at) => {
+      const output = {}
+      for await (const { id, version, read } of dataset.iterate(account, name, { at })) {
+        output[id] = { version, data: await read() }
+      }
+      return output
+    }
+
+    await expect(readVersion(0)).to.eventually.deep.equal({})
+    await expect(readVersion(1)).to.eventually.deep.equal({ a: { version: 1, data: 1 }, b: { version: 1, data: 2 } })
+    await expect(readVersion(2)).to.eventually.deep.equal({ b: { version: 2, data: 3 }, c: { version: 2, data: 4 } })
+  })
+
+  it('dataset.rollback(account, name, version) restores records from an earlier version', async function () {
+    await dataset.create(account, name, { memo })
+    await dataset.overwrite(account, name, { a: 1, b: 2 })
+    await dataset.merge(account, name, { b: 3, c: 4 })
+    await dataset.delete(account, name, 'a')
+    await dataset.rollback(account, name, 1)
+
+    const meta = await dataset.readMeta(account, name)
+    expect(meta.version).to.equal(4)
+    expect(meta.records).to.have.all.keys('a', 'b')
+    await expect(dataset.read(account, name, 'a')).to.eventually.equal(1)
+    await expect(dataset.read(account, name, 'b')).to.eventually.equal(2)
+    await expect(dataset.readAt(account, name, 'c', 3)).to.eventually.equal(4)
+    await expect(dataset.rollback(account, name, 4)).to.be.rejectedWith('older than the current version')
+  })
+
+  it('dataset.iterateChanges(account, name, since) lists changes and deletions since that version', async function () {
+    await dataset.create(account, name, { memo })
+    await dataset.overwrite(account, name, { a: 1, b: 2, c: 3 })
+    await dataset.merge(account, name, { b: 5, d: 6 })
+    await dataset.delete(account, name, 'c')
+
+    const changes = {}
+    for await (const { id, version, deleted, read } of dataset.iterateChanges(account, name, 1)) {
+      changes[id] = deleted ? { version, deleted } : { version, data: await read() }
+    }
+    expect(changes).to.deep.equal({
+      b: { version: 2, data: 5 },
+      d: { version: 2, data: 6 },
+      c: { version: 3, deleted: true }
+    })
+
+    const everything = []
+    for await (const { id } of dataset.iterateChanges(account, name)) everything.push(id)
+    expect(everything).to.have.members(['a', 'b', 'd', 'c'])
+  })
+
+  it('dataset.diff(account, name, { from, to, values }) compares versions and collections', async function () {
+    const other = `${name}-other`
+    await dataset.create(account, name, { memo })
+    await dataset.overwrite(account, name, { a: 1, b: { x: 2 }, c: 3 })
+    await dataset.merge(account, name, { b: { x: 5 }, d: 6 })
+    await dataset.delete(account, name, 'c')
+
+    const latest = await dataset.diff(account, name)
+    expect(latest).to.deep.include({ added: [], removed: ['c'], changed: [] })
+    expect(latest.from.version).to.equal(2)
+    expect(latest.to.version).to.equal(3)
+
+    const range = await dataset.diff(account, name, { from: 1, to: 3, values: true })
+    expect(range).to.deep.include({ added: ['d'], removed: ['c'], changed: ['b'] })
+    expect(range.records).to.deep.equal({
+      b: [{ op: 'replace', path: '/x', value: 5 }],
+      c: [{ op: 'remove', path: '' }],
+      d: [{ op: 'add', path: '', value: 6 }]
+    })
+
+    try {
+      await dataset.create(account, other, { memo })
+      await dataset.overwrite(account, other, { a: 1, b: { x: 2 } })
+      const collections = await dataset.diff(account, name, { from: `/datasets/${account}:${other}` })
+      expect(collections.from).to.deep.equal({ path: `/datasets/${account}:${other}`, version: 1 })
+      expect(collections).to.deep.include({ added: ['d'], removed: [], changed: ['b'] })
+    } finally {
+      await dataset.delete(account, other)
+    }
+
+    await expect(dataset.diff(account, name, { to: 9 })).to.be.rejectedWith(createHttpError.BadRequest)
+    await expect(dataset.diff(account, name, { from: '/search' })).to.be.rejectedWith(createHttpError.BadRequest)
+  })
+
+  it('dataset.write() and dataset.delete() check ifVersion and ifHash preconditions', async function () {
+    await dataset.create(account, name, { memo })
+    await dataset.write(account, name, 'a', 1)
+    const { version, records } = await dataset.readMeta(account, name)
+
+    await expect(dataset.write(account, name, 'a', 2, { ifVersion: version - 1 })).to.be.rejectedWith(createHttpError.PreconditionFailed)
+    await expect(dataset.write(account, name, 'a', 2, { ifHash: 'f'.repeat(64) })).to.be.rejectedWith(createHttpError.PreconditionFailed)
+    await expect(dataset.write(account, name, 'a', 2, { ifHash: null })).to.be.rejectedWith(createHttpError.PreconditionFailed)
+    await expect(dataset.write(account, name, 'b', 2, { ifHash: '*' })).to.be.rejectedWith(createHttpError.PreconditionFailed)
+    await expect(dataset.delete(account, name, 'a', { ifHash: 'f'.repeat(64) })).to.be.rejectedWith(createHttpError.PreconditionFailed)
+    await expect(dataset.read(account, name, 'a')).to.eventually.equal(1)
+
+    await dataset.write(account, name, 'a', 2, { ifVersion: version, ifHash: records.a.hash })
+    await dataset.write(account, name, 'b', 3, { ifHash: null })
+    await dataset.delete(account, name, 'b', { ifHash: '*' })
+    await expect(dataset.read(account, name, 'a')).to.eventually.equal(2)
+    await expect(dataset.exists(account, name, 'b')).to.eventually.be.false
+
+    const current = (await dataset.readMeta(account, name)).version
+    await dataset.write(account, name, 'c', 4, { ifVersion: [current - 1, current] })
+    await expect(dataset.write(account, name, 'c', 5, { ifVersion: [] })).to.be.rejectedWith(createHttpError.PreconditionFailed)
+    await expect(dataset.delete(account, name, undefined, { ifVersion: current })).to.be.rejectedWith(createHttpError.PreconditionFailed)
+    await expect(dataset.exists(account, name)).to.eventually.be.true
+    await dataset.delete(account, name, undefined, { ifVersion: [current + 1] })
+    await expect(dataset.exists(account, name)).to.eventually.be.false
+  })
+
+  it('dataset.patch(account, name, recordID, patcher) updates part of a record', async function () {
+    await dataset.create(account, name, { memo })
+    await dataset.write(account, name, 'a', { gloss: 'cat', tags: ['animal'] })
+    await dataset.patch(account, name, 'a', current => ({ ...current, gloss: 'kitten' }))
+    await expect(dataset.read(account, name, 'a')).to.eventually.deep.equal({ gloss: 'kitten', tags: ['animal'] })
+
+    await expect(dataset.patch(account, name, 'b', current => current)).to.be.rejectedWith(createHttpError.NotFound)
+    await expect(dataset.patch(account, name, 'a', current => null)).to.be.rejectedWith(createHttpError.BadRequest)
+    const { hashURL } = fakehash()
+    await expect(dataset.patch(account, name, 'a', current => ({ ...current, file: hashURL }))).to.be.rejectedWith(createHttpError.BadRequest)
+  })
+
+  it('dataset schema is enforced on writes, and checkSchema() reports existing failures', async function () {
+    const schema = { type: 'object', properties: { gloss: { type: 'string' } }, required: ['gloss'] }
+    await dataset.create(account, name, { memo })
+    await dataset.merge(account, name, { good: { gloss: 'cat' }, bad: { gloss: 5 } })
+
+    const report = await dataset.checkSchema(account, name, schema)
+    expect(report).to.deep.equal([{ id: 'bad', errors: [{ pointer: '/gloss', message: 'must be string' }] }])
+
+    await expect(dataset.updateMeta(account, name, meta => ({ ...meta, schema: { type: 'nonsense' } }))).to.be.rejectedWith('schema is invalid')
+    await dataset.updateMeta(account, name, meta => ({ ...meta, schema }))
+    await expect(dataset.write(account, name, 'new', { gloss: ['x'] })).to.be.rejectedWith(createHttpError.BadRequest, '“/gloss”')
+    await expect(dataset.write(account, name, 'new', {})).to.be.rejectedWith(createHttpError.BadRequest, 'Record “new”')
+    await dataset.write(account, name, 'new', { gloss: 'dog' })
+    await expect(dataset.read(account, name, 'new')).to.eventually.deep.equal({ gloss: 'dog' })
+  })
+
+  it('dataset.query(account, name, query) finds records by indexed fields', async function () {
+    await dataset.create(account, name, { memo })
+    await dataset.merge(account, name, {
+      a: { handshape: 'B', tags: ['cat'], rank: 3 },
+      b: { handshape: 'A', tags: ['cat', 'dog'], rank: 1 },
+      c: { handshape: 'B', tags: ['dog'], rank: 2 }
+    })
+    await dataset.updateMeta(account, name, async meta => {
+      meta.indexes = ['/handshape', '/tags', '/rank']
+      await dataset.updateIndexes(account, name, meta)
+      return meta
+    })
+    await dataset.write(account, name, 'd', { handshape: 'B', tags: [], rank: 10 })
+
+    const query = async (q) => (await itToArray(dataset.query(account, name, q))).map(x => x.id)
+    expect(await query({ where: { '/handshape': 'B' }, sort: '/rank' })).to.deep.equal(['c', 'a', 'd'])
+    expect(await query({ where: { '/tags': 'dog' }, sort: '-/rank' })).to.deep.equal(['c', 'b'])
+    expect(await query({ where: { '/rank': '1' } })).to.deep.equal(['b'])
+    expect(await query({ where: { '/handshape': ['A', 'B'] }, sort: '/rank', limit: 2 })).to.deep.equal(['b', 'c'])
+    await expect(query({ where: { '/gloss': 'x' } })).to.be.rejectedWith(createHttpError.BadRequest)
+
+    const [first] = await itToArray(dataset.query(account, name, { where: { '/handshape': 'A' } }))
+    await expect(first.read()).to.eventually.deep.equal({ handshape: 'A', tags: ['cat', 'dog'], rank: 1 })
+  })
+
+  it('dataset.fork(fromAuthor, fromName, toAuthor, toName) copies records and links attachments', async function () {
+    const forkName = `${name}-fork`
+    await dataset.delete(account, forkName)
+    await dataset.create(account, name, { memo, indexes: ['/gloss'] })
+    const { hash, release } = await attachments.writeStream(Readable.from([crypto.randomBytes(512)]), {
+      linkers: [`/datasets/${account}:${name}/records/video`]
+    })
+    const hashURL = `hash://sha256/${hash.toString('hex')}?type=video%2Fmp4`
+    await dataset.merge(account, name, { video: { gloss: 'wave', file: hashURL }, text: { gloss: 'hello' } })
+    await release()
+
+    try {
+      await dataset.fork(account, name, account, forkName)
+      const meta = await dataset.readMeta(account, forkName)
+      expect(meta.memo).to.equal(memo)
+      expect(meta.indexes).to.deep.equal(['/gloss'])
+      expect(meta.forkedFrom).to.deep.equal({ path: `/datasets/${account}:${name}`, version: 1, forkVersion: 1 })
+      // the copy and forkedFrom are written together, so nothing writes to the fork after the version holding the copy
+      expect(meta.version).to.equal(meta.forkedFrom.forkVersion)
+      // records copied in to the fork aren't listed as changes since the fork version
+      for await (const change of dataset.iterateChanges(account, forkName, meta.forkedFrom.forkVersion)) expect.fail(`unexpected change ${change.id}`)
+      expect(await dataset.read(account, forkName, 'video')).to.deep.equal({ gloss: 'wave', file: hashURL })
+      expect(await dataset.read(account, forkName, 'text')).to.deep.equal({ gloss: 'hello' })
+
+      const { linkers } = await attachments.readMeta(hash.toString('hex'))
+      expect(linkers).to.include(`/datasets/${account}:${forkName}/records/video`)
+
+      await expect(dataset.fork(account, name, account, forkName)).to.be.rejected
+      await expect(dataset.fork(account, 'does-not-exist', account, `${forkName}-2`)).to.be.rejectedWith(createHttpError.NotFound)
+    } finally {
+      await dataset.delete(account, forkName)
+    }
+  })
+
   it('dataset.write() throws for missing hashURLs', async function () {
     await dataset.create(account, name, { memo })
 
@@ -122,6 +122,13 @@ describe('models/fs/objects', function () {
     await expect(objects.read(path)).to.eventually.deep.equal({ hello: 'world' })
   })
 
+  it('objects.update() leaves the file as-is when the block returns undefined', async function () {
+    const path = [testFolder, randomName()]
+    await objects.write(path, { hello: 'world' })
+    await objects.update(path, data => undefined)
+    await expect(objects.read(path)).to.eventually.deep.equal({ hello: 'world' })
+  })
+
   it('objects.updateIter() works', async function () {
     const path = [testFolder, 'updateIter']
     await objects.writeIter(path, tests)
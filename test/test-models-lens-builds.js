@@ -0,0 +1,102 @@
+const crypto = require('crypto')
+const chai = require('chai')
+chai.use(require('chai-as-promised'))
+const { expect } = chai
+const codec = require('../library/models/codec')
+const auth = require('../library/models/auth')
+const dataset = require('../library/models/dataset')
+const lens = require('../library/models/lens')
+const lensBuilds = require('../library/models/lens-builds')
+const lensGraph = require('../library/models/lens-graph')
+const settings = require('../library/models/settings')
+const account = `test-lens-builds-${crypto.randomBytes(8).toString('hex')}`
+const datasetName = 'test-builds-dataset'
+const lensNames = ['test-builds-a', 'test-builds-b']
+
+// wait for change events to reach the lens graph, and rebuilds it queued to finish
+async function settle () {
+  await new Promise(resolve => setImmediate(resolve))
+  await lensGraph.settled()
+}
+
+describe('models/lens-builds', function () {
+  before(async function () {
+    await auth.register(account, crypto.randomBytes(32).toString('hex'))
+    await dataset.create(account, datasetName, { memo: 'Test input data for lens builds' })
+    await dataset.overwrite(account, datasetName, { abc: 1, def: 2, ghi: 3 })
+    for (const name of lensNames) {
+      await lens.create(account, name, {
+        memo: 'Automated Unit Testing created this lens to verify background builds',
+        mapType: 'javascript',
+        code: 'output(path.recordID, data * 2)',
+        inputs: [codec.path.encode('datasets', account, datasetName)]
+      })
+    }
+  })
+
+  beforeEach(settle)
+
+  after(async function () {
+    await settle()
+    await auth.delete(account)
+  })
+
+  it('lensBuilds.enqueue() builds in the background, and reports progress', async function () {
+    const queued = await lensBuilds.enqueue(account, 'test-builds-a')
+    expect(queued.status).to.be.oneOf(['queued', 'running'])
+
+    const build = await lensBuilds.wait(account, 'test-builds-a')
+    expect(build.status).to.equal('done')
+    expect(build.progress).to.deep.equal({ done: 3, total: 3 })
+    expect(build.finished).to.be.at.least(build.started)
+    expect(await lens.read(account, 'test-builds-a', 'def')).to.equal(4)
+    expect(await lensBuilds.read(account, 'test-builds-a')).to.deep.equal(build)
+  })
+
+  it('lensBuilds.cancel() stops a running build, keeping earlier outputs', async function () {
+    await dataset.write(account, datasetName, 'def', 5)
+    await lensBuilds.enqueue(account, 'test-builds-a')
+    await lensBuilds.cancel(account, 'test-builds-a')
+
+    const build = await lensBuilds.wait(account, 'test-builds-a')
+    expect(build.status).to.equal('failed')
+    expect(build.error).to.deep.equal({ type: 'Cancelled', message: 'Build cancelled' })
+    expect(await lens.read(account, 'test-builds-a', 'def')).to.equal(4)
+  })
+
+  it('lensBuilds.cancel() removes a queued build from the queue', async function () {
+    const concurrency = settings.lensBuildConcurrency
+    settings.lensBuildConcurrency = 1
+    try {
+      await lensBuilds.enqueue(account, 'test-builds-a')
+      const queued = await lensBuilds.enqueue(account, 'test-builds-b')
+      expect(queued.status).to.equal('queued')
+      await lensBuilds.cancel(account, 'test-builds-b')
+      expect((await lensBuilds.read(account, 'test-builds-b')).status).to.equal('failed')
+      expect((await lensBuilds.wait(account, 'test-builds-a')).status).to.equal('done')
+    } finally {
+      settings.lensBuildConcurrency = concurrency
+    }
+    await expect(lensBuilds.cancel(account, 'test-builds-b')).to.be.rejectedWith('isn’t queued or building')
+  })
+
+  it('lensBuilds.resume() queues builds which were interrupted', async function () {
+    await lens.getFileStore(account, 'test-builds-b').write(['build'], { status: 'running', queued: Date.now() })
+    await lensBuilds.resume()
+    expect((await lensBuilds.wait(account, 'test-builds-b')).status).to.equal('done')
+    expect(await lens.read(account, 'test-builds-b', 'def')).to.equal(10)
+  })
+
+  it('lensBuilds.enqueue() doesn\'t leave a build status behind when the lens is deleted while building', async function () {
+    await lens.create(account, 'test-builds-c', {
+      memo: 'Automated Unit Testing created this lens to verify deleting lenses while they build',
+      mapType: 'javascript',
+      code: 'output(path.recordID, data)',
+      inputs: [codec.path.encode('datasets', account, datasetName)]
+    })
+    await lensBuilds.enqueue(account, 'test-builds-c')
+    await lens.delete(account, 'test-builds-c')
+    await lensBuilds.wait(account, 'test-builds-c')
+    expect(await lens.getFileStore(account, 'test-builds-c').exists(['build'])).to.equal(false)
+  })
+})
@@ -0,0 +1,126 @@
+const crypto = require('crypto')
+const chai = require('chai')
+chai.use(require('chai-as-promised'))
+const { expect } = chai
+const delay = require('delay')
+const codec = require('../library/models/codec')
+const dataset = require('../library/models/dataset')
+const lens = require('../library/models/lens')
+const lensGraph = require('../library/models/lens-graph')
+const auth = require('../library/models/auth')
+// the system account is left out of the graph, because it only holds ephemeral preview lenses
+const account = `test-lens-graph-${crypto.randomBytes(8).toString('hex')}`
+const datasetName = 'test-graph-dataset'
+const lensNames = ['test-graph-a', 'test-graph-b', 'test-graph-c']
+const [datasetPath, aPath, bPath, cPath] = [
+  codec.path.encode('datasets', account, datasetName),
+  ...lensNames.map(name => codec.path.encode('lenses', account, name))
+]
+
+// wait for change events to reach the lens graph, and background rebuilds to finish
+async function settle () {
+  await new Promise(resolve => setImmediate(resolve))
+  await lensGraph.settled()
+}
+
+describe('models/lens-graph', function () {
+  before(async function () {
+    await auth.register(account, crypto.randomBytes(32).toString('hex'))
+    await dataset.create(account, datasetName, { memo: 'Test input data for the lens graph' })
+    await dataset.write(account, datasetName, 'abc', 5)
+
+    // a takes the dataset, b takes the dataset and a, c takes b
+    const inputs = [[datasetPath], [datasetPath, aPath], [bPath]]
+    for (const [index, name] of lensNames.entries()) {
+      await lens.create(account, name, {
+        memo: 'Automated Unit Testing created this lens to verify the lens graph',
+        mapType: 'javascript',
+        code: 'output(path.recordID, data)',
+        inputs: inputs[index]
+      })
+      await settle()
+    }
+  })
+
+  after(async function () {
+    await settle()
+    await auth.delete(account)
+  })
+
+  it('lensGraph.downstream(path) lists lenses taking a collection as input', async function () {
+    expect(await lensGraph.downstream(datasetPath)).to.have.members([aPath, bPath])
+    expect(await lensGraph.downstream(codec.path.encode('datasets', account, datasetName, 'abc'))).to.have.members([aPath, bPath])
+    expect(await lensGraph.downstream(cPath)).to.deep.equal([])
+  })
+
+  it('lensGraph.buildOrder() puts lenses after their inputs', async function () {
+    const order = await lensGraph.buildOrder()
+    expect(order.indexOf(aPath)).to.be.below(order.indexOf(bPath))
+    expect(order.indexOf(bPath)).to.be.below(order.indexOf(cPath))
+  })
+
+  it('lens.updateMeta() rejects inputs which loop back to the lens', async function () {
+    await expect(lens.updateMeta(account, 'test-graph-a', meta => {
+      meta.inputs.push(cPath)
+      return meta
+    })).to.be.rejectedWith(`they would loop: ${aPath} → ${bPath} → ${cPath} → ${aPath}`)
+
+    await expect(lens.updateMeta(account, 'test-graph-c', meta => {
+      meta.inputs.push(cPath)
+      return meta
+    })).to.be.rejectedWith('they would loop')
+  })
+
+  it('rebuilds each lens downstream of a change once, in order', async function () {
+    const built = []
+    const build = lens.build
+    lens.build = async function (author, name) {
+      built.push(name)
+      return await build.call(this, author, name)
+    }
+
+    try {
+      await dataset.write(account, datasetName, 'def', 6)
+      await settle()
+    } finally {
+      lens.build = build
+    }
+
+    expect(built).to.deep.equal(lensNames)
+    // b reduces the record from the dataset and from a together
+    expect(await lens.read(account, 'test-graph-c', 'def')).to.equal(12)
+  })
+
+  it('rebuilds lenses which don\'t depend on each other at the same time', async function () {
+    // d takes a different dataset, so it doesn't need to wait for a, b, and c
+    const otherName = 'test-graph-other'
+    await dataset.create(account, otherName, { memo: 'Test input data for the lens graph, independent of the others' })
+    await lens.create(account, 'test-graph-d', {
+      memo: 'Automated Unit Testing created this lens to verify independent lenses rebuild at the same time',
+      mapType: 'javascript',
+      code: 'output(path.recordID, data)',
+      inputs: [codec.path.encode('datasets', account, otherName)]
+    })
+    await settle()
+
+    const finished = []
+    const build = lens.build
+    lens.build = async function (author, name, options) {
+      if (name === 'test-graph-a') await delay(300)
+      const result = await build.call(this, author, name, options)
+      finished.push(name)
+      return result
+    }
+
+    try {
+      await dataset.write(account, datasetName, 'ghi', 7)
+      await dataset.write(account, otherName, 'jkl', 8)
+      await settle()
+    } finally {
+      lens.build = build
+    }
+
+    expect(finished).to.deep.equal(['test-graph-d', ...lensNames])
+    expect(await lens.read(account, 'test-graph-d', 'jkl')).to.equal(8)
+  })
+})
@@ -0,0 +1,93 @@
+/* eslint-disable no-unused-expressions */
+const chai = require('chai')
+chai.use(require('chai-as-promised'))
+const { expect } = chai
+const createHttpError = require('http-errors')
+const codec = require('../library/models/codec')
+const dataset = require('../library/models/dataset')
+const lens = require('../library/models/lens')
+const lensJobs = require('../library/models/lens-jobs')
+const account = 'system'
+const datasetName = 'test-lens-jobs-dataset'
+const lensName = 'test-lens-jobs'
+
+describe('models/lens-jobs', function () {
+  beforeEach(async function () {
+    await lens.delete(account, lensName)
+    await dataset.delete(account, datasetName)
+    await dataset.create(account, datasetName, { memo: 'Test input data for testing remote lenses' })
+    await dataset.overwrite(account, datasetName, { a: { word: 'apple' }, b: { word: 'banana' } })
+    await lens.create(account, lensName, {
+      memo: 'Automated Unit Testing created this lens to verify remote lenses work',
+      mapType: 'remote',
+      inputs: [codec.path.encode('datasets', account, datasetName)]
+    })
+  })
+
+  afterEach(async function () {
+    await lens.delete(account, lensName)
+    await dataset.delete(account, datasetName)
+  })
+
+  // pretend to be a remote worker, claiming every job and outputting the word in each record
+  async function work () {
+    let job
+    while ((job = await lensJobs.claim(account, lensName))) {
+      const outputs = [{ id: job.data.word, data: job.path }]
+      await lensJobs.complete(account, lensName, job.id, job.lease.token, { outputs })
+    }
+  }
+
+  it('lens.build() queues jobs, and uses their results in the next build', async function () {
+    await lens.build(account, lensName)
+    expect(await lensJobs.list(account, lensName)).to.have.length(2)
+    expect((await lens.readMeta(account, lensName)).records).to.deep.equal({})
+
+    await work()
+    await lens.build(account, lensName)
+    await expect(lens.read(account, lensName, 'apple')).to.eventually.equal(codec.path.encode('datasets', account, datasetName, 'a'))
+    await expect(lens.read(account, lensName, 'banana')).to.eventually.equal(codec.path.encode('datasets', account, datasetName, 'b'))
+    expect(await lensJobs.list(account, lensName)).to.be.empty
+
+    // changed inputs keep their earlier outputs until the new version is mapped
+    await dataset.write(account, datasetName, 'a', { word: 'avocado' })
+    await lens.build(account, lensName)
+    await expect(lens.exists(account, lensName, 'apple')).to.eventually.be.ok
+    await work()
+    await lens.build(account, lensName)
+    await expect(lens.exists(account, lensName, 'apple')).to.eventually.not.be.ok
+    await expect(lens.exists(account, lensName, 'avocado')).to.eventually.be.ok
+  })
+
+  it('lens.build() keeps queued jobs when it\'s cancelled', async function () {
+    await lens.build(account, lensName)
+    expect(await lensJobs.list(account, lensName)).to.have.length(2)
+    await expect(lens.build(account, lensName, { cancelled: () => true })).to.be.rejectedWith('Build cancelled')
+    expect(await lensJobs.list(account, lensName)).to.have.length(2)
+  })
+
+  it('lensJobs.claim() leases jobs, and reissues them once the lease expires', async function () {
+    await lens.build(account, lensName)
+    const first = await lensJobs.claim(account, lensName, { leaseTime: '1m' })
+    const second = await lensJobs.claim(account, lensName, { leaseTime: '1m' })
+    expect(first.id).to.not.equal(second.id)
+    await expect(lensJobs.claim(account, lensName)).to.eventually.be.undefined
+
+    // claim as if both leases have run out
+    const reissued = await lensJobs.claim(account, lensName, { now: Math.max(first.lease.expires, second.lease.expires) + 1 })
+    expect([first.id, second.id]).to.include(reissued.id)
+    const stale = reissued.id === first.id ? first : second
+    await expect(lensJobs.complete(account, lensName, stale.id, stale.lease.token, { outputs: [] }))
+      .to.be.rejectedWith(createHttpError.Conflict)
+    await lensJobs.complete(account, lensName, reissued.id, reissued.lease.token, { outputs: [] })
+    await expect(lensJobs.complete(account, lensName, reissued.id, reissued.lease.token, { outputs: [] }))
+      .to.be.rejectedWith(createHttpError.Conflict)
+  })
+
+  it('lensJobs.complete() rejects results which aren\'t map outputs', async function () {
+    await lens.build(account, lensName)
+    const job = await lensJobs.claim(account, lensName)
+    await expect(lensJobs.complete(account, lensName, job.id, job.lease.token, { outputs: 'nope' }))
+      .to.be.rejectedWith(createHttpError.BadRequest)
+  })
+})
@@ -0,0 +1,85 @@
+const chai = require('chai')
+chai.use(require('chai-as-promised'))
+const { expect } = chai
+const lensTests = require('../library/models/lens-tests')
+
+const config = {
+  mapType: 'javascript',
+  code: 'if (data === "bad") throw new Error("bad data")\noutput(data, 1)',
+  inputs: []
+}
+
+describe('models/lens-tests', function () {
+  this.timeout(10000)
+
+  it('passes tests where the lens outputs exactly the expected records', async function () {
+    const [result] = await lensTests.run(config, [{
+      name: 'counts words',
+      inputs: {
+        '/datasets/test:words/records/1': 'hello',
+        '/datasets/test:words/records/2': 'world',
+        '/datasets/test:words/records/3': 'hello'
+      },
+      outputs: { hello: 2, world: 1 }
+    }])
+    expect(result.pass).to.equal(true)
+    expect(result.outputs).to.deep.equal({ hello: 2, world: 1 })
+    expect(result.mismatched).to.deep.equal([])
+    expect(lensTests.passed([result])).to.equal(true)
+  })
+
+  it('fails tests with missing, unexpected, or different outputs', async function () {
+    const [result] = await lensTests.run(config, [{
+      name: 'counts words wrong',
+      inputs: {
+        '/datasets/test:words/records/1': 'hello',
+        '/datasets/test:words/records/2': 'world'
+      },
+      outputs: { hello: 2, goodbye: 1 }
+    }])
+    expect(result.pass).to.equal(false)
+    expect(result.mismatched).to.have.members(['hello', 'goodbye', 'world'])
+    expect(lensTests.passed([result])).to.equal(false)
+  })
+
+  it('fails tests where input records fail to map, skipping their outputs', async function () {
+    const [result] = await lensTests.run(config, [{
+      name: 'handles bad data',
+      inputs: {
+        '/datasets/test:words/records/1': 'hello',
+        '/datasets/test:words/records/2': 'bad'
+      },
+      outputs: { hello: 1 }
+    }])
+    expect(result.pass).to.equal(false)
+    expect(result.mismatched).to.deep.equal([])
+    expect(result.errors).to.have.length(1)
+    expect(result.errors[0].message).to.equal('bad data')
+  })
+
+  it('reduces with custom reduce code', async function () {
+    const [result] = await lensTests.run({ ...config, reduceCode: 'return Math.max(left, right) + 10' }, [{
+      name: 'custom reduce',
+      inputs: {
+        '/datasets/test:words/records/1': 'hello',
+        '/datasets/test:words/records/2': 'hello'
+      },
+      outputs: { hello: 11 }
+    }])
+    expect(result.pass).to.equal(true)
+  })
+
+  it('runs the tests in the lens config by default', async function () {
+    const results = await lensTests.run({ ...config, tests: [{ name: 'nothing in, nothing out', inputs: {}, outputs: {} }] })
+    expect(results.map(x => x.name)).to.deep.equal(['nothing in, nothing out'])
+    expect(lensTests.passed(results)).to.equal(true)
+  })
+
+  it('rejects malformed tests', async function () {
+    expect(() => lensTests.validate({})).to.throw('tests must be an array')
+    expect(() => lensTests.validate([{ inputs: {}, outputs: {} }])).to.throw('each test must have a name')
+    expect(() => lensTests.validate([{ name: 'a', inputs: { '/datasets/test:words/': 1 }, outputs: {} }])).to.throw('must be a record data path')
+    expect(() => lensTests.validate([{ name: 'a', inputs: {}, outputs: [] }])).to.throw('outputs must be an object')
+    await expect(lensTests.run({ ...config, mapType: 'webhook' }, [])).to.be.rejectedWith('tests can only run on')
+  })
+})
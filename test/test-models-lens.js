@@ -4,6 +4,9 @@ const { expect } = chai
 const codec = require('../library/models/codec')
 const dataset = require('../library/models/dataset')
 const lens = require('../library/models/lens')
+const settings = require('../library/models/settings')
+const attachments = require('../library/models/attachments')
+const recordStructure = require('../library/utility/record-structure')
 const account = 'system'
 const datasetName = 'test-dataset'
 const lensName = 'test-lens'
@@ -52,6 +55,19 @@ describe('models/lens', function () {
     })
   })
 
+  it('lens.build(account, name) updates outputs when input records are added or removed', async function () {
+    await dataset.write(account, datasetName, 'jkl', { tags: ['cat', 'bird'] })
+    await lens.build(account, lensName)
+    await expect(lens.read(account, lensName, 'bird')).to.eventually.deep.equal(new Set(['jkl']))
+    await expect(lens.read(account, lensName, 'cat')).to.eventually.deep.equal(new Set(['abc', 'ghi', 'jkl']))
+
+    await dataset.delete(account, datasetName, 'jkl')
+    await lens.build(account, lensName)
+    await expect(lens.exists(account, lensName, 'bird')).to.eventually.not.be.ok
+    await expect(lens.read(account, lensName, 'cat')).to.eventually.deep.equal(new Set(['abc', 'ghi']))
+    await expect(lens.read(account, lensName, 'mango')).to.eventually.deep.equal(new Set(['def']))
+  })
+
   it('lens.build(account, name) transfers logs correctly', async function () {
     await dataset.write(account, datasetName, 'def', { tags: ['dog', 'mango'], log: 'log test' })
     await dataset.write(account, datasetName, 'ghi', { tags: ['dog', 'cat'], error: 'error test' })
@@ -72,6 +88,249 @@ describe('models/lens', function () {
     expect(logs.def.logs[0].args).is.an('array').and.deep.equals(['log test'])
   })
 
+  it('lens.build(account, name) skips records which fail to map, and counts them', async function () {
+    // ghi failed to map in the last build, so its outputs aren't published
+    await expect(lens.read(account, lensName, 'cat')).to.eventually.deep.equal(new Set(['abc']))
+    await expect(lens.readMeta(account, lensName)).to.eventually.have.property('errorCounts').that.deep.equals({ map: 1, reduce: 0 })
+
+    const inputs = []
+    for await (const { input, errors } of lens.iterateErrors(account, lensName)) {
+      inputs.push(input)
+      expect(errors[0].message).to.equal('error test')
+    }
+    expect(inputs).to.deep.equal([codec.path.encode('datasets', account, datasetName, 'ghi')])
+  })
+
+  it('lens.build(account, name) tracks changed and removed outputs', async function () {
+    const { version } = await lens.readMeta(account, lensName)
+    // ghi stops failing, so its outputs are included again
+    await dataset.write(account, datasetName, 'ghi', { tags: ['dog', 'cat'] })
+    await dataset.write(account, datasetName, 'abc', { tags: ['cat', 'fish'] })
+    await dataset.delete(account, datasetName, 'def')
+    await lens.build(account, lensName)
+
+    const changes = {}
+    for await (const { id, deleted, read } of lens.iterateChanges(account, lensName, version)) {
+      changes[id] = deleted ? 'deleted' : [...await read()]
+    }
+    expect(changes).to.deep.equal({
+      cat: ['abc', 'ghi'],
+      dog: ['ghi'],
+      fish: ['abc'],
+      mango: 'deleted'
+    })
+    await expect(lens.read(account, lensName, 'cat')).to.eventually.deep.equal(new Set(['abc', 'ghi']))
+  })
+
+  it('lens.build(account, name) only keeps history for recent versions', async function () {
+    const keepVersions = settings.lensHistoryVersions
+    settings.lensHistoryVersions = 1
+    try {
+      const { version } = await lens.readMeta(account, lensName)
+      await dataset.write(account, datasetName, 'mno', { tags: ['owl'] })
+      await lens.build(account, lensName)
+      const { version: owlVersion } = await lens.readMeta(account, lensName)
+      await dataset.write(account, datasetName, 'mno', { tags: ['emu'] })
+      await lens.build(account, lensName)
+
+      const meta = await lens.readMeta(account, lensName)
+      expect(meta.historyFrom).to.equal(meta.version - 1)
+      for await (const entry of lens.iterateHistory(account, lensName)) {
+        expect(entry.version).to.be.at.least(owlVersion)
+      }
+      await expect(lens.readAt(account, lensName, 'owl', owlVersion)).to.eventually.deep.equal(new Set(['mno']))
+      await expect(lens.readAt(account, lensName, 'owl', version)).to.be.rejected.and.eventually.have.property('status', 410)
+      const changes = lens.iterateChanges(account, lensName, version)
+      await expect(changes.next()).to.be.rejected.and.eventually.have.property('status', 410)
+    } finally {
+      settings.lensHistoryVersions = keepVersions
+      await dataset.delete(account, datasetName, 'mno')
+      await lens.build(account, lensName)
+    }
+  })
+
+  it('lens.build(account, name) uses custom reduce code, and logs from it', async function () {
+    await lens.updateMeta(account, lensName, meta => {
+      meta.reduceCode = 'if (id === \'cat\') console.log(\'reducing\', id)\nreturn new Set([...right, ...left, \'reduced\'])'
+      return meta
+    })
+    await lens.build(account, lensName)
+
+    await expect(lens.read(account, lensName, 'cat')).to.eventually.deep.equal(new Set(['abc', 'ghi', 'reduced']))
+    await expect(lens.read(account, lensName, 'dog')).to.eventually.deep.equal(new Set(['ghi']))
+    const logs = []
+    for await (const log of lens.iterateLogs(account, lensName)) {
+      if (log.function === 'reduce') logs.push(log)
+    }
+    expect(logs).to.have.length(1)
+    expect(logs[0].input).to.equal(codec.path.encode('lenses', account, lensName, 'cat'))
+    expect(logs[0].logs[0].args).to.deep.equal(['reducing', 'cat'])
+
+    // removing the reduce code goes back to the default rules
+    await lens.updateMeta(account, lensName, meta => {
+      delete meta.reduceCode
+      return meta
+    })
+    await lens.build(account, lensName)
+    await expect(lens.read(account, lensName, 'cat')).to.eventually.deep.equal(new Set(['abc', 'ghi']))
+    for await (const log of lens.iterateLogs(account, lensName)) expect(log.function).to.equal('map')
+  })
+
+  it('lens.build(account, name) with errorPolicy abort keeps earlier outputs when records fail', async function () {
+    await lens.updateMeta(account, lensName, meta => {
+      meta.errorPolicy = 'abort'
+      return meta
+    })
+    await dataset.write(account, datasetName, 'abc', { tags: ['cat', 'bird'], error: 'abort test' })
+    await dataset.write(account, datasetName, 'jkl', { tags: ['bird'] })
+    await expect(lens.build(account, lensName)).to.be.rejectedWith('Build aborted, 1 input record failed to map')
+    await expect(lens.exists(account, lensName, 'bird')).to.eventually.not.be.ok
+    await expect(lens.read(account, lensName, 'cat')).to.eventually.deep.equal(new Set(['abc', 'ghi']))
+    await expect(lens.readMeta(account, lensName)).to.eventually.have.property('errorCounts').that.deep.equals({ map: 1, reduce: 0 })
+
+    // once the record is fixed, outputs of records mapped by the aborted build are published too
+    await dataset.write(account, datasetName, 'abc', { tags: ['cat', 'fish'] })
+    await lens.build(account, lensName)
+    await expect(lens.read(account, lensName, 'bird')).to.eventually.deep.equal(new Set(['jkl']))
+    await expect(lens.read(account, lensName, 'cat')).to.eventually.deep.equal(new Set(['abc', 'ghi']))
+    await expect(lens.readMeta(account, lensName)).to.eventually.have.property('errorCounts').that.deep.equals({ map: 0, reduce: 0 })
+  })
+
+  it('lens.preview(account, name, config) compares new code with the live lens, without changing it', async function () {
+    const meta = await lens.readMeta(account, lensName)
+    const preview = await lens.preview(account, lensName, {
+      memo: meta.memo,
+      mapType: 'javascript',
+      code: 'output(data.tags[0], new Set([path.recordID]))',
+      inputs: meta.inputs
+    })
+    expect(preview.version).to.equal(meta.version)
+    expect(preview.added).to.deep.equal([])
+    expect(preview.removed).to.deep.equal(['fish'])
+    expect(preview.changed).to.deep.equal(['cat'])
+    expect(preview.records).to.have.keys('cat', 'fish')
+    expect(preview.errorCounts).to.deep.equal({ map: 0, reduce: 0 })
+
+    await expect(lens.readMeta(account, lensName)).to.eventually.have.property('version', meta.version)
+    await expect(lens.read(account, lensName, 'cat')).to.eventually.deep.equal(new Set(['abc', 'ghi']))
+    for await (const name of lens.iterate(account)) expect(name).to.not.match(/^preview-/)
+  })
+
+  it('lens.build(account, name) maps every input again when params change', async function () {
+    const { code } = await lens.readMeta(account, lensName)
+    await lens.updateMeta(account, lensName, meta => {
+      meta.code = 'output(params.prefix + "-" + path.recordID, 1)'
+      meta.params = { prefix: 'first' }
+      return meta
+    })
+    await lens.build(account, lensName)
+    await expect(lens.exists(account, lensName, 'first-abc')).to.eventually.be.ok
+
+    await lens.updateMeta(account, lensName, meta => {
+      meta.params = { prefix: 'second' }
+      return meta
+    })
+    await lens.build(account, lensName)
+    await expect(lens.exists(account, lensName, 'first-abc')).to.eventually.not.be.ok
+    await expect(lens.exists(account, lensName, 'second-abc')).to.eventually.be.ok
+
+    await expect(lens.updateMeta(account, lensName, meta => ({ ...meta, params: ['list'] }))).to.be.rejectedWith('params must be an object')
+    await expect(lens.updateMeta(account, lensName, meta => ({ ...meta, mapType: 'ruby' }))).to.be.rejectedWith('params are only available to javascript lenses')
+
+    await lens.updateMeta(account, lensName, meta => {
+      meta.code = code
+      delete meta.params
+      return meta
+    })
+    await lens.build(account, lensName)
+  })
+
+  it('lens.build(account, name) maps inputs again when records they looked up change', async function () {
+    this.timeout(10000)
+    const lookupName = 'test-lookups'
+    if (await dataset.exists(account, lookupName)) await dataset.delete(account, lookupName)
+    await dataset.create(account, lookupName, { memo: 'Test lookup data for testing lenses' })
+    await dataset.overwrite(account, lookupName, { cat: 'meow', dog: 'woof' })
+
+    const { code } = await lens.readMeta(account, lensName)
+    try {
+      await lens.updateMeta(account, lensName, meta => {
+        meta.code = `output(path.recordID, lookup('${codec.path.encode('datasets', account, lookupName)}/records/' + data.tags[0]) || 'unknown')`
+        meta.lookups = [codec.path.encode('datasets', account, lookupName)]
+        return meta
+      })
+      const records = async () => {
+        const values = {}
+        for await (const { id, read } of lens.iterate(account, lensName)) values[id] = await read()
+        return values
+      }
+      await lens.build(account, lensName)
+      expect(await records()).to.deep.equal({ abc: 'meow', ghi: 'woof', jkl: 'unknown' })
+
+      await dataset.write(account, lookupName, 'dog', 'bark')
+      await dataset.write(account, lookupName, 'bird', 'tweet')
+      await lens.build(account, lensName)
+      expect(await records()).to.deep.equal({ abc: 'meow', ghi: 'bark', jkl: 'tweet' })
+
+      await dataset.delete(account, lookupName, 'cat')
+      await lens.build(account, lensName)
+      expect(await records()).to.deep.equal({ abc: 'unknown', ghi: 'bark', jkl: 'tweet' })
+
+      await expect(lens.updateMeta(account, lensName, meta => ({ ...meta, lookups: [`${meta.lookups[0]}/records/cat`] }))).to.be.rejectedWith('must be the path of a dataset or lens')
+    } finally {
+      // put the lens back, and remove the lookup dataset, even if this test fails
+      await lens.updateMeta(account, lensName, meta => {
+        meta.code = code
+        delete meta.lookups
+        return meta
+      })
+      await lens.build(account, lensName)
+      await dataset.delete(account, lookupName)
+    }
+  })
+
+  it('lens.build(account, name) links outputs to attachments from attach(), and removes them when unused', async function () {
+    this.timeout(10000)
+    const { code } = await lens.readMeta(account, lensName)
+    await lens.updateMeta(account, lensName, meta => {
+      meta.code = 'output(path.recordID, attach(data.tags.join(" "), "text/plain"))'
+      return meta
+    })
+    const hashes = async () => {
+      const values = {}
+      for await (const { id, read } of lens.iterate(account, lensName)) {
+        const [{ hash }] = recordStructure.listHashURLs([await read()])
+        values[id] = hash
+      }
+      return values
+    }
+    await lens.build(account, lensName)
+    const first = await hashes()
+    expect(first).to.have.keys('abc', 'ghi', 'jkl')
+    for (const [id, hash] of Object.entries(first)) {
+      await expect(attachments.readMeta(hash)).to.eventually.have.property('linkers').that.deep.equals([codec.path.encode('lenses', account, lensName, id)])
+    }
+    const stream = await attachments.readStream(first.ghi)
+    const chunks = []
+    for await (const chunk of stream) chunks.push(chunk)
+    expect(Buffer.concat(chunks).toString('utf-8')).to.equal('dog cat')
+
+    await dataset.write(account, datasetName, 'ghi', { tags: ['dog'] })
+    await lens.build(account, lensName)
+    const second = await hashes()
+    expect(second.ghi).to.not.equal(first.ghi)
+    await expect(attachments.has(first.ghi)).to.eventually.equal(false)
+    await expect(attachments.has(second.ghi)).to.eventually.equal(true)
+    await expect(attachments.has(first.abc)).to.eventually.equal(true)
+
+    await lens.updateMeta(account, lensName, meta => {
+      meta.code = code
+      return meta
+    })
+    await lens.build(account, lensName)
+    for (const hash of Object.values(second)) await expect(attachments.has(hash)).to.eventually.equal(false)
+  })
+
   it('lens.delete(account, name) works', async function () {
     await expect(lens.exists(account, lensName)).is.eventually.ok
     await expect(lens.exists(account, lensName, 'cat')).is.eventually.ok
@@ -0,0 +1,94 @@
+const chai = require('chai')
+chai.use(require('chai-as-promised'))
+const { expect } = chai
+const createHttpError = require('http-errors')
+const crypto = require('crypto')
+const auth = require('../library/models/auth')
+const dataset = require('../library/models/dataset')
+const search = require('../library/models/search')
+const indexStore = require('../library/models/fs/objects').instance({ prefix: ['search-index'] })
+const account = 'system'
+const name = 'test-models-search'
+const memo = 'Automated Unit Testing created this dataset to verify search is working correctly'
+const path = `/datasets/${account}:${name}`
+
+describe('models/search', function () {
+  beforeEach(async () => await dataset.delete(account, name))
+  afterEach(async () => {
+    await dataset.delete(account, name)
+    await search.update('datasets', account, name)
+  })
+
+  it('tokenize() splits text in to lowercase words without accents', function () {
+    expect(search.tokenize('Hello, Wörld! café-au-lait 42')).to.deep.equal(['hello', 'world', 'cafe', 'au', 'lait', '42'])
+    expect(search.tokenize('  ')).to.deep.equal([])
+  })
+
+  it('recordTerms() finds words in nested values and the record id', function () {
+    const terms = search.recordTerms('sign-1', { gloss: 'Dog', tags: ['animal', { note: 'pet' }], count: 3, flag: true })
+    expect(terms).to.have.members(['sign', '1', 'dog', 'animal', 'pet', '3'])
+  })
+
+  it('search() ranks records containing every word', async () => {
+    await dataset.create(account, name, { memo })
+    await dataset.merge(account, name, {
+      dog: { gloss: 'Dog', english: 'a dog, a puppy, a loyal dog' },
+      cat: { gloss: 'Cat', english: 'a cat or kitten' },
+      hotdog: { gloss: 'Hot Dog', english: 'a sausage in bread, like a dog' }
+    })
+
+    const results = await search.search('dog', { in: path })
+    expect(results.map(x => x.recordID)).to.deep.equal(['dog', 'hotdog'])
+    expect(results[0].path).to.equal(`${path}/records/dog`)
+    expect(results[0].score).to.be.above(results[1].score)
+
+    expect((await search.search('HOT dog', { in: path })).map(x => x.recordID)).to.deep.equal(['hotdog'])
+    expect(await search.search('dog giraffe', { in: path })).to.deep.equal([])
+    expect(await search.search('', { in: path })).to.deep.equal([])
+  })
+
+  it('search() results follow changes to the dataset', async () => {
+    await dataset.create(account, name, { memo })
+    await dataset.write(account, name, 'a', { gloss: 'apple' })
+    expect((await search.search('apple', { in: path })).map(x => x.recordID)).to.deep.equal(['a'])
+
+    await dataset.write(account, name, 'a', { gloss: 'banana' })
+    await dataset.write(account, name, 'b', { gloss: 'apple pie' })
+    expect((await search.search('apple', { in: path })).map(x => x.recordID)).to.deep.equal(['b'])
+    expect((await search.search('banana', { in: path })).map(x => x.recordID)).to.deep.equal(['a'])
+
+    await dataset.delete(account, name, 'b')
+    expect(await search.search('apple', { in: path })).to.deep.equal([])
+  })
+
+  it('search() without collections searches every author, including authors who haven\'t made any lenses yet', async () => {
+    const author = `search-test-${crypto.randomBytes(8).toString('hex')}`
+    await auth.register(author, crypto.randomBytes(32).toString('hex'))
+    try {
+      await dataset.create(author, name, { memo })
+      await dataset.write(author, name, 'a', { gloss: 'xylophone' })
+      const results = await search.search('xylophone')
+      expect(results.map(x => x.path)).to.deep.equal([`/datasets/${author}:${name}/records/a`])
+    } finally {
+      await dataset.delete(author, name)
+      await auth.delete(author)
+      await search.prune()
+    }
+  })
+
+  it('prune() removes indexes of deleted datasets', async () => {
+    await dataset.create(account, name, { memo })
+    await dataset.write(account, name, 'a', { gloss: 'apple' })
+    await search.search('apple', { in: path })
+    await expect(indexStore.exists(['datasets', account, name])).to.eventually.equal(true)
+
+    await dataset.delete(account, name)
+    await search.prune()
+    await expect(indexStore.exists(['datasets', account, name])).to.eventually.equal(false)
+  })
+
+  it('search() rejects paths which aren\'t collections', async () => {
+    await expect(search.search('dog', { in: '/meta/system:system' })).to.be.rejectedWith(createHttpError.BadRequest)
+    await expect(search.search('dog', { in: `${path}/records/dog` })).to.be.rejectedWith(createHttpError.BadRequest)
+  })
+})
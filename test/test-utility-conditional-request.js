@@ -0,0 +1,35 @@
+/* eslint-disable no-unused-expressions */
+const conditional = require('../library/utility/conditional-request')
+const { expect } = require('chai')
+
+// minimal stand in for an express request's header getter
+function fakeRequest (headers) {
+  return { get: (name) => headers[name] }
+}
+
+describe('utility/conditional-request', function () {
+  it('parse() reads entity tag lists', function () {
+    expect(conditional.parse(undefined)).to.be.undefined
+    expect(conditional.parse('*')).to.equal('*')
+    expect(conditional.parse('"abc"')).to.deep.equal(['abc'])
+    expect(conditional.parse('"abc", W/"def"')).to.deep.equal(['abc', 'def'])
+    expect(conditional.parse('"abc", W/"def"', { strong: true })).to.deep.equal(['abc'])
+  })
+
+  it('ifHash() maps headers to a record hash expectation', function () {
+    expect(conditional.ifHash(fakeRequest({}))).to.be.undefined
+    expect(conditional.ifHash(fakeRequest({ 'If-Match': '"abc"' }))).to.deep.equal(['abc'])
+    expect(conditional.ifHash(fakeRequest({ 'If-Match': '"abc", "def"' }))).to.deep.equal(['abc', 'def'])
+    expect(conditional.ifHash(fakeRequest({ 'If-Match': 'W/"abc"' }))).to.deep.equal([])
+    expect(conditional.ifHash(fakeRequest({ 'If-Match': '*' }))).to.equal('*')
+    expect(conditional.ifHash(fakeRequest({ 'If-None-Match': '*' }))).to.be.null
+  })
+
+  it('ifVersion() maps If-Match to acceptable collection versions', function () {
+    expect(conditional.ifVersion(fakeRequest({}))).to.be.undefined
+    expect(conditional.ifVersion(fakeRequest({ 'If-Match': '"12"' }))).to.deep.equal([12])
+    expect(conditional.ifVersion(fakeRequest({ 'If-Match': '"12", "14"' }))).to.deep.equal([12, 14])
+    expect(conditional.ifVersion(fakeRequest({ 'If-Match': 'W/"12"' }))).to.deep.equal([])
+    expect(conditional.ifVersion(fakeRequest({ 'If-Match': '"abc"' }))).to.deep.equal([NaN])
+  })
+})
@@ -0,0 +1,36 @@
+const { diff } = require('../library/utility/diff')
+const jsonPatch = require('../library/utility/json-patch')
+const { expect } = require('chai')
+
+const pairs = [
+  [1, 1],
+  [1, 2],
+  [undefined, { a: 1 }],
+  [{ a: 1 }, undefined],
+  [{ a: 1, b: [1, 2, 3] }, { a: 1, b: [1, 5] }],
+  [{ a: [1] }, { a: [1, 2, { c: 3 }] }],
+  [{ 'a/b': { 'm~n': 'x' } }, { 'a/b': { 'm~n': 'y', z: null } }],
+  [[{ a: 1 }, 'foo'], { 0: { a: 1 }, 1: 'foo' }],
+  ['string', ['array']]
+]
+
+describe('utility/diff', function () {
+  it('diff() output patches the first value in to the second', function () {
+    for (const [before, after] of pairs) {
+      const ops = diff(before, after)
+      expect(jsonPatch.apply(structuredCopy(before), ops)).to.deep.equal(after)
+    }
+  })
+
+  it('diff() describes changes at the deepest path', function () {
+    expect(diff({ a: 1 }, { a: 1 })).to.deep.equal([])
+    expect(diff({ a: { b: 1, c: 2 } }, { a: { b: 1, c: 3 } })).to.deep.equal([{ op: 'replace', path: '/a/c', value: 3 }])
+    expect(diff({ 'x/y': 1 }, {})).to.deep.equal([{ op: 'remove', path: '/x~1y' }])
+    expect(diff([1, 2, 3], [1])).to.deep.equal([{ op: 'remove', path: '/2' }, { op: 'remove', path: '/1' }])
+    expect(diff(undefined, 5)).to.deep.equal([{ op: 'add', path: '', value: 5 }])
+  })
+})
+
+function structuredCopy (value) {
+  return value === undefined ? undefined : JSON.parse(JSON.stringify(value))
+}
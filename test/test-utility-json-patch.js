@@ -0,0 +1,72 @@
+const jsonPatch = require('../library/utility/json-patch')
+const createHttpError = require('http-errors')
+const { expect } = require('chai')
+
+describe('utility/json-patch', function () {
+  it('parsePointer() unescapes keys', function () {
+    expect(jsonPatch.parsePointer('')).to.deep.equal([])
+    expect(jsonPatch.parsePointer('/a~1b/m~0n/0')).to.deep.equal(['a/b', 'm~n', '0'])
+    expect(() => jsonPatch.parsePointer('foo')).to.throw(createHttpError.BadRequest)
+  })
+
+  it('resolve() reads values by pointer', function () {
+    const doc = { a: { 'b/c': [1, { d: 2 }] } }
+    expect(jsonPatch.resolve(doc, '')).to.equal(doc)
+    expect(jsonPatch.resolve(doc, '/a/b~1c/1/d')).to.equal(2)
+    expect(jsonPatch.resolve(doc, '/a/nope')).to.equal(undefined)
+    expect(jsonPatch.resolve(doc, '/a/b~1c/0/x')).to.equal(undefined)
+  })
+
+  it('apply() performs each operation', function () {
+    const doc = { foo: ['bar', 'baz'], qux: { a: 1 } }
+    const result = jsonPatch.apply(doc, [
+      { op: 'add', path: '/foo/1', value: 'qux' },
+      { op: 'add', path: '/foo/-', value: 'end' },
+      { op: 'remove', path: '/foo/0' },
+      { op: 'replace', path: '/qux/a', value: 2 },
+      { op: 'copy', from: '/qux', path: '/copied' },
+      { op: 'move', from: '/qux/a', path: '/moved' },
+      { op: 'test', path: '/copied', value: { a: 2 } }
+    ])
+    expect(result).to.deep.equal({ foo: ['qux', 'baz', 'end'], qux: {}, copied: { a: 2 }, moved: 2 })
+  })
+
+  it('apply() can replace the whole document', function () {
+    expect(jsonPatch.apply({ a: 1 }, [{ op: 'replace', path: '', value: [1, 2] }])).to.deep.equal([1, 2])
+  })
+
+  it('apply() rejects patches which don\'t fit the document', function () {
+    expect(() => jsonPatch.apply({ a: 1 }, [{ op: 'test', path: '/a', value: 2 }])).to.throw(createHttpError.Conflict)
+    expect(() => jsonPatch.apply({ a: 1 }, [{ op: 'remove', path: '/b' }])).to.throw(createHttpError.Conflict)
+    expect(() => jsonPatch.apply({ a: [] }, [{ op: 'add', path: '/a/1', value: 1 }])).to.throw(createHttpError.Conflict)
+    expect(() => jsonPatch.apply({ a: 1 }, [{ op: 'frobnicate', path: '/a' }])).to.throw(createHttpError.BadRequest)
+    expect(() => jsonPatch.apply({ a: 1 }, { op: 'remove', path: '/a' })).to.throw(createHttpError.BadRequest)
+  })
+
+  it('apply() treats __proto__ as a normal key', function () {
+    const result = jsonPatch.apply({}, [{ op: 'add', path: '/__proto__', value: { polluted: true } }])
+    expect(Object.keys(result)).to.deep.equal(['__proto__'])
+    expect(({}).polluted).to.equal(undefined)
+  })
+
+  it('merge() follows RFC 7386 examples', function () {
+    const examples = [
+      [{ a: 'b' }, { a: 'c' }, { a: 'c' }],
+      [{ a: 'b' }, { b: 'c' }, { a: 'b', b: 'c' }],
+      [{ a: 'b' }, { a: null }, {}],
+      [{ a: 'b', b: 'c' }, { a: null }, { b: 'c' }],
+      [{ a: ['b'] }, { a: 'c' }, { a: 'c' }],
+      [{ a: 'c' }, { a: ['b'] }, { a: ['b'] }],
+      [{ a: { b: 'c' } }, { a: { b: 'd', c: null } }, { a: { b: 'd' } }],
+      [{ a: [{ b: 'c' }] }, { a: [1] }, { a: [1] }],
+      [['a', 'b'], ['c', 'd'], ['c', 'd']],
+      [{ a: 'b' }, ['c'], ['c']],
+      [{ e: null }, { a: 1 }, { e: null, a: 1 }],
+      [[1, 2], { a: 'b', c: null }, { a: 'b' }],
+      [{}, { a: { bb: { ccc: null } } }, { a: { bb: {} } }]
+    ]
+    for (const [target, patch, result] of examples) {
+      expect(jsonPatch.merge(target, patch)).to.deep.equal(result)
+    }
+  })
+})
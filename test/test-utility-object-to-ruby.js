@@ -11,6 +11,9 @@ const tests = {
   '0.0001': 0.0001,
   '[1, 2, 3]': [1, 2, 3],
   '[nil, nil, nil]': [null, null, null],
+  '3000000000.0': 3000000000,
+  '[Float::NAN, Float::INFINITY, -Float::INFINITY]': [NaN, Infinity, -Infinity],
+  "'it\\'s a \\\\ and \\' and \\\\ again'": "it's a \\ and ' and \\ again",
   "{:type=>'Buffer', :data=>[104, 101, 108, 108, 111, 32, 119, 111, 114, 108, 100]}": Buffer.from('hello world'),
   "{'a'=>1, 'b'=>2}": { a: 1, b: 2 },
   "{'1'=>false, '2'=>true}": { 1: false, 2: true },
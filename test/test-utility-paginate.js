@@ -0,0 +1,34 @@
+/* eslint-env mocha */
+const paginate = require('../library/utility/paginate')
+const createHttpError = require('http-errors')
+const { expect } = require('chai')
+
+describe('utility/paginate', () => {
+  const ids = ['c', 'a-10', 'a-2', 'b', 'a-1']
+
+  it('page() selects naturally sorted pages', () => {
+    expect(paginate.page(ids)).to.deep.equal(['a-1', 'a-2', 'a-10', 'b', 'c'])
+    expect(paginate.page(ids, { limit: 2 })).to.deep.equal(['a-1', 'a-2'])
+    expect(paginate.page(ids, { after: 'a-2', limit: 2 })).to.deep.equal(['a-10', 'b'])
+    expect(paginate.page(ids, { prefix: 'a-', after: 'a-1' })).to.deep.equal(['a-2', 'a-10'])
+  })
+
+  it('around() centers the page on the id', () => {
+    expect(paginate.around(ids, 'a-10', 3)).to.deep.equal({ recordIDs: ['a-2', 'a-10', 'b'], earlier: true, later: true })
+    expect(paginate.around(ids, 'a-1', 3)).to.deep.equal({ recordIDs: ['a-1', 'a-2', 'a-10'], earlier: false, later: true })
+    expect(paginate.around(ids, 'c', 3)).to.deep.equal({ recordIDs: ['a-10', 'b', 'c'], earlier: true, later: false })
+    expect(paginate.around(ids, 'c', 10)).to.deep.equal({ recordIDs: ['a-1', 'a-2', 'a-10', 'b', 'c'], earlier: false, later: false })
+  })
+
+  it('options() reads the query string', () => {
+    expect(paginate.options({})).to.deep.equal({ after: undefined, prefix: undefined, limit: Infinity })
+    expect(paginate.options({ after: 'x', prefix: '', limit: '5' }, 100)).to.deep.equal({ after: 'x', prefix: undefined, limit: 5 })
+    expect(paginate.options({}, 100).limit).to.equal(100)
+    expect(() => paginate.options({ limit: 'lots' })).to.throw(createHttpError.BadRequest)
+  })
+
+  it('nextURL() keeps the rest of the query string', () => {
+    const req = { originalUrl: '/datasets/a:b/records/?prefix=x&limit=2&after=old' }
+    expect(paginate.nextURL(req, 'new id')).to.equal('/datasets/a:b/records/?prefix=x&limit=2&after=new+id')
+  })
+})
@@ -0,0 +1,15 @@
+/* eslint-env mocha */
+const parseList = require('../library/utility/parse-list')
+const { expect } = require('chai')
+
+describe('utility/parse-list', () => {
+  it('splits text in to trimmed lines, skipping blank ones', () => {
+    expect(parseList(' /a \r\n\n/b\n')).to.deep.equal(['/a', '/b'])
+    expect(parseList('')).to.deep.equal([])
+  })
+
+  it('passes arrays through, and leaves missing lists undefined', () => {
+    expect(parseList(['/a', '/b'])).to.deep.equal(['/a', '/b'])
+    expect(parseList(undefined)).to.equal(undefined)
+  })
+})
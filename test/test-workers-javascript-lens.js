@@ -92,6 +92,52 @@ describe('workers/interface.LensWorker#map', async function () {
   })
 })
 
+describe('workers/interface.LensWorker#reduce', async function () {
+  let worker
+
+  before('startup worker', async function () {
+    worker = new LensWorker()
+    const startup = await worker.startup({
+      mapType: 'javascript',
+      code: testCode,
+      reduceCode: `if (right.plzlog) console.log(right.plzlog)
+if (right.plzthrow) throw new Error(right.plzthrow)
+return { id, total: left.total + right.total }`
+    })
+
+    expect(startup.errors).to.be.an('array').and.be.empty
+  })
+
+  it('reduces correctly', async function () {
+    const result = await worker.reduce({ id: 'a', left: { total: 1 }, right: { total: 2 } })
+    expect(result.value).to.deep.equal({ id: 'a', total: 3 })
+    expect(result.logs).to.be.an('array').and.be.empty
+    expect(result.errors).to.be.an('array').and.be.empty
+  })
+
+  it('logs from reduces and catches throws, keeping the left value', async function () {
+    const result = await worker.reduce({ id: 'a', left: { total: 1 }, right: { total: 2, plzthrow: 'nice', plzlog: 'hey' } })
+    expect(result.value).to.deep.equal({ total: 1 })
+    expect(result.logs).to.have.length(1)
+    expect(result.logs[0].args).to.deep.equal(['hey'])
+    expect(result.logs[0].line).to.equal(1)
+    expect(result.errors).to.have.length(1)
+    expect(result.errors[0].message).to.equal('nice')
+    expect(result.errors[0].stack[0].filename).to.equal('reduce.js')
+  })
+
+  it('catches reduce code syntax errors', async function () {
+    const broken = new LensWorker()
+    const startup = await broken.startup({ mapType: 'javascript', code: testCode, reduceCode: 'return {' })
+    await broken.shutdown()
+    expect(startup.errors).to.not.be.empty
+  })
+
+  after('shutdown worker', async function () {
+    await worker.shutdown()
+  })
+})
+
 // testing the worker environment code is working inside the worker, more extensive tests in ./test-workers-javascript-environment.js
 // doing tests across the process bridge is slow and irritating to debug when stuff breaks, so it happens in main thread in that suite
 describe('workers/environment.js', () => {
@@ -161,3 +207,37 @@ describe('workers/environment.js', () => {
     await worker.shutdown()
   })
 })
+
+describe('workers/interface.LensWorker params', async function () {
+  let worker
+
+  before('startup worker', async function () {
+    worker = new LensWorker()
+    const startup = await worker.startup({
+      mapType: 'javascript',
+      code: `output('language', params.language)
+try { params.words.push(data) } catch (err) { output('error', err.constructor.name) }
+params = 'replaced'
+output('words', params.words)`,
+      params: { language: 'Auslan', words: ['hello'] }
+    })
+
+    expect(startup.errors).to.be.an('array').and.be.empty
+  })
+
+  it('provides frozen params to lens code', async function () {
+    for (const data of ['goodbye', 'again']) {
+      const result = await worker.map({ path: '/datasets/author:name/records/recordID', data })
+      expect(result.errors).to.be.an('array').and.be.empty
+      expect(result.outputs).to.deep.equal([
+        { id: 'language', data: 'Auslan' },
+        { id: 'error', data: 'TypeError' },
+        { id: 'words', data: ['hello'] }
+      ])
+    }
+  })
+
+  after('shutdown worker', async function () {
+    await worker.shutdown()
+  })
+})
@@ -0,0 +1,130 @@
+/* eslint-env mocha */
+/* eslint-disable no-unused-expressions */
+const { LensWorker } = require('../library/workers/interface')
+const codec = require('../library/models/codec')
+const dataset = require('../library/models/dataset')
+const lens = require('../library/models/lens')
+const chai = require('chai')
+chai.use(require('chai-as-promised'))
+const { expect } = chai
+
+const testCode = `# this is my test map code
+# it should output five things, a, b, and c c c
+output('a', 1)
+output('b', 2)
+3.times { output('c', data['v']) }
+puts data['plzlog'] if data['plzlog']
+raise data['plzthrow'] if data['plzthrow']
+loop {} if data['plzloop']`
+
+const reduceCode = `puts right['plzlog'] if right['plzlog']
+raise right['plzthrow'] if right['plzthrow']
+{ id: id, total: left['total'] + right['total'] }`
+
+describe('workers/ruby-lens-worker', function () {
+  let worker
+
+  before('startup worker', async function () {
+    worker = new LensWorker()
+    const startup = await worker.startup({ mapType: 'ruby', code: testCode, reduceCode })
+    expect(startup.errors).to.be.an('array').and.be.empty
+  })
+
+  it('catches code syntax errors', async function () {
+    const broken = new LensWorker()
+    const startup = await broken.startup({ mapType: 'ruby', code: `${testCode}\nif true`, reduceCode: 'left +' })
+    await broken.shutdown()
+    expect(startup.errors).to.have.length(2)
+    expect(startup.errors.map(x => x.type)).to.deep.equal(['SyntaxError', 'SyntaxError'])
+    expect(startup.errors.map(x => x.stack[0].filename)).to.deep.equal(['map.rb', 'reduce.rb'])
+  })
+
+  it('maps correctly', async function () {
+    const result = await worker.map({
+      path: '/datasets/author:name/records/recordID',
+      data: { foo: 'bar', v: 'yehaw' }
+    })
+
+    expect(result.outputs).to.deep.equal([
+      { id: 'a', data: 1 },
+      { id: 'b', data: 2 },
+      { id: 'c', data: 'yehaw' },
+      { id: 'c', data: 'yehaw' },
+      { id: 'c', data: 'yehaw' }
+    ])
+    expect(result.logs).to.be.an('array').and.be.empty
+    expect(result.errors).to.be.an('array').and.be.empty
+  })
+
+  it('passes data through to ruby and back unchanged', async function () {
+    const data = { v: ['quote " hash #{x} backslash \\ newline \n tab \t', 'ünïcødé 🐦', -5, 0.25, 3000000000, true, false, null, { nested: [] }] }
+    const result = await worker.map({ path: '/datasets/author:name/records/recordID', data })
+    expect(result.outputs[2].data).to.deep.equal(data.v)
+  })
+
+  it('logs from maps and catches raises', async function () {
+    const result = await worker.map({
+      path: '/datasets/author:name/records/recordID',
+      data: { foo: 'bar', v: 'yehaw', plzthrow: 'nice', plzlog: 'hey' }
+    })
+
+    expect(result.logs).to.have.length(1)
+    expect(result.logs[0].args).to.deep.equal(['hey'])
+    expect(result.errors).to.have.length(1)
+    expect(result.errors[0].message).to.equal('nice')
+    expect(result.errors[0].type).to.equal('RuntimeError')
+    expect(result.errors[0].stack[0]).to.include({ line: 7, filename: 'map.rb', code: "raise data['plzthrow'] if data['plzthrow']" })
+  })
+
+  it('stops maps which run too long, and keeps working after', async function () {
+    const result = await worker.map({ path: '/datasets/author:name/records/recordID', data: { plzloop: true } })
+    expect(result.errors).to.have.length(1)
+    expect(result.errors[0].message).to.include('timed out')
+
+    const next = await worker.map({ path: '/datasets/author:name/records/recordID', data: { v: 'still here' } })
+    expect(next.errors).to.be.empty
+    expect(next.outputs).to.have.length(5)
+  })
+
+  it('reduces correctly', async function () {
+    const result = await worker.reduce({ id: 'a', left: { total: 1 }, right: { total: 2 } })
+    expect(result.value).to.deep.equal({ id: 'a', total: 3 })
+    expect(result.logs).to.be.an('array').and.be.empty
+    expect(result.errors).to.be.an('array').and.be.empty
+  })
+
+  it('logs from reduces and catches raises, keeping the left value', async function () {
+    const result = await worker.reduce({ id: 'a', left: { total: 1 }, right: { total: 2, plzthrow: 'nice', plzlog: 'hey' } })
+    expect(result.value).to.deep.equal({ total: 1 })
+    expect(result.logs).to.have.length(1)
+    expect(result.logs[0].args).to.deep.equal(['hey'])
+    expect(result.errors).to.have.length(1)
+    expect(result.errors[0].message).to.equal('nice')
+    expect(result.errors[0].stack[0].filename).to.equal('reduce.rb')
+  })
+
+  it('lens.build() maps inputs through a ruby lens', async function () {
+    const [account, datasetName, lensName] = ['system', 'test-ruby-dataset', 'test-ruby-lens']
+    try {
+      await dataset.create(account, datasetName, { memo: 'Test input data for testing ruby lenses' })
+      await dataset.overwrite(account, datasetName, { a: { text: 'red fish' }, b: { text: 'blue fish' } })
+      await lens.create(account, lensName, {
+        memo: 'Automated Unit Testing created this lens to verify ruby lenses work',
+        mapType: 'ruby',
+        code: "data['text'].split(' ').each { |word| output(word, [path['recordID']]) }",
+        inputs: [codec.path.encode('datasets', account, datasetName)]
+      })
+      await lens.build(account, lensName)
+
+      await expect(lens.read(account, lensName, 'fish')).to.eventually.have.members(['a', 'b'])
+      await expect(lens.read(account, lensName, 'blue')).to.eventually.deep.equal(['b'])
+    } finally {
+      await lens.delete(account, lensName)
+      await dataset.delete(account, datasetName)
+    }
+  })
+
+  after('shutdown worker', async function () {
+    await worker.shutdown()
+  })
+})
@@ -0,0 +1,152 @@
+/* eslint-env mocha */
+/* eslint-disable no-unused-expressions */
+const { LensWorker } = require('../library/workers/interface')
+const codec = require('../library/models/codec')
+const dataset = require('../library/models/dataset')
+const lens = require('../library/models/lens')
+const express = require('express')
+const chai = require('chai')
+chai.use(require('chai-as-promised'))
+const { expect } = chai
+
+// stand-in webhook service, which outputs each word in the input's text
+const app = express()
+const requests = []
+let failures = 0
+app.use(express.raw({ type: () => true }))
+app.post('/words', (req, res) => {
+  const decoder = codec.for(req.get('Content-Type'))
+  const { path, data } = decoder.decode(req.body)
+  requests.push({ type: req.get('Content-Type'), path })
+  if (failures > 0) {
+    failures -= 1
+    return res.sendStatus(503)
+  }
+  const outputs = data.text.split(' ').map(word => ({ id: word, data: [path] }))
+  const body = { outputs, logs: [{ type: 'log', args: [`${outputs.length} words`] }], errors: [] }
+  res.type(decoder.handles[0]).send(decoder.encode(body))
+})
+app.post('/bad-request', (req, res) => res.status(400).send('nope'))
+app.post('/invalid', (req, res) => res.send({ outputs: 'not an array' }))
+
+describe('workers/webhook-lens-worker', function () {
+  let server
+  const base = 'http://localhost:3001'
+
+  before(async () => {
+    await new Promise((resolve, reject) => {
+      server = app.listen(3001, (err) => err ? reject(err) : resolve())
+    })
+  })
+
+  beforeEach(() => {
+    requests.length = 0
+    failures = 0
+  })
+
+  async function mapWith (webhook, data) {
+    const worker = new LensWorker()
+    try {
+      const startup = await worker.startup({ mapType: 'webhook', webhook })
+      expect(startup.errors).to.be.an('array').and.be.empty
+      return await worker.map({ path: '/datasets/author:name/records/recordID', data })
+    } finally {
+      await worker.shutdown()
+    }
+  }
+
+  it('maps with JSON and CBOR requests', async function () {
+    for (const format of ['json', 'cbor']) {
+      const result = await mapWith({ url: `${base}/words`, format }, { text: 'hello there' })
+      expect(result.outputs).to.deep.equal([
+        { id: 'hello', data: ['/datasets/author:name/records/recordID'] },
+        { id: 'there', data: ['/datasets/author:name/records/recordID'] }
+      ])
+      expect(result.logs).to.have.length(1)
+      expect(result.logs[0].args).to.deep.equal(['2 words'])
+      expect(result.errors).to.be.empty
+    }
+    expect(requests.map(x => x.type)).to.deep.equal(['application/json', 'application/cbor'])
+  })
+
+  it('retries server errors', async function () {
+    failures = 2
+    const result = await mapWith({ url: `${base}/words`, retries: 2 }, { text: 'hi' })
+    expect(result.outputs).to.deep.equal([{ id: 'hi', data: ['/datasets/author:name/records/recordID'] }])
+    expect(requests).to.have.length(3)
+  })
+
+  it('reports errors when retries run out, or the request or response is bad', async function () {
+    failures = 5
+    const failed = await mapWith({ url: `${base}/words`, retries: 1 }, { text: 'hi' })
+    expect(requests).to.have.length(2)
+    expect(failed.outputs).to.be.empty
+    expect(failed.errors).to.have.length(1)
+    expect(failed.errors[0].type).to.equal('WebhookError')
+
+    const rejected = await mapWith({ url: `${base}/bad-request`, retries: 3 }, { text: 'hi' })
+    expect(rejected.errors[0].message).to.include('Bad Request')
+
+    const invalid = await mapWith({ url: `${base}/invalid` }, { text: 'hi' })
+    expect(invalid.errors[0].message).to.include('outputs must be an array')
+  })
+
+  it('reports concurrency, and catches bad urls', async function () {
+    const worker = new LensWorker()
+    const startup = await worker.startup({ mapType: 'webhook', webhook: { url: 'ftp://nope', concurrency: 3 } })
+    await worker.shutdown()
+    expect(startup.errors).to.have.length(1)
+    expect(worker.concurrency).to.equal(3)
+  })
+
+  it('reduces with the default rules when there is no reduce code', async function () {
+    const worker = new LensWorker()
+    try {
+      await worker.startup({ mapType: 'webhook', webhook: { url: `${base}/words` } })
+      const result = await worker.reduce({ id: 'hello', left: ['a'], right: ['b'] })
+      expect(result.value).to.deep.equal(['a', 'b'])
+      expect(result.errors).to.be.empty
+    } finally {
+      await worker.shutdown()
+    }
+  })
+
+  it('runs reduce code in a javascript environment', async function () {
+    const worker = new LensWorker()
+    try {
+      const reduceCode = 'return { total: left.total + right.total }'
+      const startup = await worker.startup({ mapType: 'webhook', webhook: { url: `${base}/words` }, reduceCode })
+      expect(startup.errors).to.be.empty
+      const result = await worker.reduce({ id: 'hello', left: { total: 1 }, right: { total: 2 } })
+      expect(result.value).to.deep.equal({ total: 3 })
+    } finally {
+      await worker.shutdown()
+    }
+  })
+
+  it('lens.build() maps inputs through a webhook lens, several at a time', async function () {
+    const [account, datasetName, lensName] = ['system', 'test-webhook-dataset', 'test-webhook-lens']
+    try {
+      await dataset.create(account, datasetName, { memo: 'Test input data for testing webhook lenses' })
+      await dataset.overwrite(account, datasetName, { a: { text: 'red fish' }, b: { text: 'blue fish' }, c: { text: 'one fish' } })
+      await lens.create(account, lensName, {
+        memo: 'Automated Unit Testing created this lens to verify webhook lenses work',
+        mapType: 'webhook',
+        webhook: { url: `${base}/words`, concurrency: 2 },
+        inputs: [codec.path.encode('datasets', account, datasetName)]
+      })
+      await lens.build(account, lensName)
+
+      expect(requests).to.have.length(3)
+      await expect(lens.read(account, lensName, 'fish')).to.eventually.have.members(['a', 'b', 'c'].map(id => codec.path.encode('datasets', account, datasetName, id)))
+      await expect(lens.read(account, lensName, 'red')).to.eventually.deep.equal([codec.path.encode('datasets', account, datasetName, 'a')])
+    } finally {
+      await lens.delete(account, lensName)
+      await dataset.delete(account, datasetName)
+    }
+  })
+
+  after(async () => {
+    await new Promise(resolve => server.close(resolve))
+  })
+})